@@ -3,60 +3,25 @@
  * All persistent state lives in chrome.storage.local.
  */
 
-// ─── Complete default schema ───────────────────────────────────────────────────
-// Every key that any content script may read must be seeded here.
-const DEFAULTS = {
-  // Focus Ruler
-  focusRulerEnabled       : false,
-  rulerHeight             : 40,
-  dimOpacity              : 0.75,
-
-  // Color Overlay
-  overlayEnabled          : false,
-  overlayColor            : '#ffff99',
-  overlayOpacity          : 0.15,
-
-  // Dark Mode
-  darkModeEnabled         : false,
-
-  // CVD Filter
-  cvdEnabled              : false,
-  cvdMode                 : 'none',
-
-  // Dyslexia (teammate zone)
-  dyslexiaFontEnabled     : false,
-  textScale               : 100,       // percent, range 50–200
-
-  // Bionic Reading (teammate zone)
-  bionicReadingEnabled    : false,
-
-  // Typography engine master toggle
-  typographyEngineEnabled : false,
-
-  // ─── Text to Speech (TTS) ───
-  ttsEnabled              : false,
-  ttsSpeed                : 1.0
-};
+// Settings schema (OtterSchema), shared key names and per-site profile
+// resolution (StorageHelper), presets for the context menu (OtterPresets),
+// the bundled hyphenation languages (OtterHyphenation)
+importScripts('/utils/settings-schema.js', '/utils/storage-helper.js', '/utils/presets.js', '/utils/hyphenation.js');
 
-// ─── Install: seed all defaults ───────────────────────────────────────────────
-chrome.runtime.onInstalled.addListener((details) => {
-if (details.reason === 'install') {
-  chrome.storage.local.set(DEFAULTS);
-  console.log('[ProjectOtter] Storage initialized with defaults.');
-}
+// ─── Install / update: bring storage up to the current schema ─────────────────
+// Seeds every default on install; on update, runs the migrations the stored
+// data hasn't seen and repairs invalid values — user settings are kept.
+chrome.runtime.onInstalled.addListener(async (details) => {
+buildContextMenu();
+resumeFocusSession();
+if (details.reason !== 'install' && details.reason !== 'update') return;
 
-if (details.reason === 'update') {
-  // Only write keys that don't already exist — preserves user settings
-  chrome.storage.local.get(null, (existing) => {
-    const missing = {};
-    for (const [key, value] of Object.entries(DEFAULTS)) {
-      if (!(key in existing)) missing[key] = value;
-    }
-    if (Object.keys(missing).length > 0) {
-      chrome.storage.local.set(missing);
-      console.log('[ProjectOtter] Added new storage keys:', Object.keys(missing));
-    }
-  });
+try {
+  const { remove } = await StorageHelper.migrate();
+  console.log(`[ProjectOtter] Storage checked against settings schema v${OtterSchema.VERSION}.`);
+  if (remove.length) console.log('[ProjectOtter] Removed stale storage keys:', remove);
+} catch (err) {
+  console.warn('[ProjectOtter] Storage migration failed:', err);
 }
 });
 
@@ -65,57 +30,624 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Handle Text-to-Speech Requests
 if (message.type === 'SPEAK_TEXT') {
-  chrome.storage.local.get(['ttsSpeed'], (res) => {
-    chrome.tts.speak(message.text, {
-      rate: parseFloat(res.ttsSpeed) || 1.0,
-      enqueue: false, // Interrupts current speech to play the new selection
-      onEvent: (event) => {
-        if (event.type === 'error') console.error('[ProjectOtter] TTS Error:', event);
-      }
-    });
+  // Boundary events go back to the frame that asked, tagged with its utterance id
+  speak({
+    text        : message.text,
+    tabId       : sender.tab?.id,
+    frameId     : sender.frameId ?? 0,
+    utteranceId : message.utteranceId,
+    origin      : StorageHelper.originOf(sender.tab?.url),
   });
 }
 
+// "Read this page": a queue of sentence-sized chunks, spoken one after another
+if (message.type === 'SPEAK_QUEUE' && Array.isArray(message.chunks) && message.chunks.length) {
+  chrome.storage.session.set({ [SESSION_QUEUE]: message.chunks });
+  speakChunk({
+    queue       : message.chunks,
+    pageKey     : message.pageKey,
+    tabId       : sender.tab?.id,
+    frameId     : sender.frameId ?? 0,
+    utteranceId : message.utteranceId,
+    origin      : StorageHelper.originOf(sender.tab?.url),
+  }, message.startIndex || 0);
+}
+
+if (message.type === 'TTS_SEEK') {
+  withSpeech(speech => { if (speech.queue) speakChunk(speech, message.index); });
+}
+
 if (message.type === 'STOP_SPEAKING') {
   chrome.tts.stop();
 }
 
+if (message.type === 'TTS_PAUSE') {
+  withSpeech(speech => setSpeechPaused(speech, true));
+}
+
+if (message.type === 'TTS_RESUME') {
+  withSpeech(speech => setSpeechPaused(speech, false));
+}
+
+if (message.type === 'TTS_SKIP') {
+  withSpeech(speech => skipSentence(speech, message.direction < 0 ? -1 : 1));
+}
+
+// In-page shortcut (content-scripts/shortcuts.js)
+if (message.type === 'SHORTCUT_ACTION') {
+  runShortcut(message.action, sender.tab);
+}
+
+// Syllables (content-scripts/syllables.js): a language's patterns are only
+// injected into the frame that has text in it
+if (message.type === 'LOAD_HYPHENATION') {
+  const language = OtterHyphenation.LANGUAGES[OtterHyphenation.languageOf(message.lang)];
+  if (!language || sender.tab?.id === undefined) {
+    sendResponse({ ok: false, error: `No hyphenation patterns for "${message.lang}"` });
+  } else {
+    chrome.scripting.executeScript({
+      target : { tabId: sender.tab.id, frameIds: [sender.frameId ?? 0] },
+      files  : [language.file],
+    })
+      .then(() => sendResponse({ ok: true }))
+      .catch(err => sendResponse({ ok: false, error: err.message }));
+  }
+}
+
+// Word lookup (content-scripts/word-lookup.js)
+if (message.type === 'LOOKUP_WORD') {
+  lookupWord(message.word)
+    .then(entry => sendResponse({ ok: true, entry }))
+    .catch(err => sendResponse({ ok: false, error: err.message }));
+}
+
+// Focus sessions (popup, and the break notice's "Skip break")
+if (message.type === 'FOCUS_SESSION_START') {
+  startFocusSession()
+    .then(session => sendResponse({ ok: true, session }))
+    .catch(err => sendResponse({ ok: false, error: err.message }));
+}
+
+if (message.type === 'FOCUS_SESSION_STOP') {
+  stopFocusSession()
+    .then(() => sendResponse({ ok: true }))
+    .catch(err => sendResponse({ ok: false, error: err.message }));
+}
+
+if (message.type === 'FOCUS_SESSION_SKIP') {
+  skipFocusBreak()
+    .then(() => sendResponse({ ok: true }))
+    .catch(err => sendResponse({ ok: false, error: err.message }));
+}
+
 // Mandatory for async sendResponse if you add more logic later
 return true; 
 });
 
-// ─── Keyboard shortcut commands ───────────────────────────────────────────────
-chrome.commands?.onCommand.addListener((command) => {
-if (command === 'toggle-focus-ruler') {
-  chrome.storage.local.get(['focusRulerEnabled'], (result) => {
-    const next = !result.focusRulerEnabled;
-    chrome.storage.local.set({ focusRulerEnabled: next });
-    broadcastToActiveTab({ type: 'FOCUS_RULER_TOGGLE', enabled: next });
-  });
+// ─── Text to Speech ───────────────────────────────────────────────────────────
+// The utterance being spoken is mirrored to chrome.storage.session so pause and
+// skip still find it if the worker was suspended between messages. Skipping
+// re-speaks the text from a sentence start; `base` is that start so forwarded
+// charIndex values always refer to the full original text.
+//
+// Page reading speaks `queue` one chunk at a time: `index` is the chunk being
+// spoken, and its charIndex values are relative to that chunk. The queue is
+// stored once under its own session key so word events stay cheap to persist.
+const SESSION_SPEECH = 'ttsSession';
+const SESSION_QUEUE  = 'ttsQueue';
+const TTS_TERMINAL_EVENTS = ['end', 'interrupted', 'cancelled', 'error'];
+let activeSpeech = null;
+
+async function speak(utterance, startAt = 0) {
+const prefs = await StorageHelper.getEffective(
+  ['ttsSpeed', 'ttsVoice', 'ttsPitch', 'ttsVolume'],
+  utterance.origin
+);
+const speech = { ...utterance, base: startAt, charIndex: startAt, paused: false };
+activeSpeech = speech;
+saveSpeech(speech);
+
+chrome.tts.speak(speech.text.slice(startAt), {
+  rate      : parseFloat(prefs.ttsSpeed)  || 1.0,
+  pitch     : parseFloat(prefs.ttsPitch)  || 1.0,
+  volume    : Number.isFinite(prefs.ttsVolume) ? prefs.ttsVolume : 1.0,
+  voiceName : prefs.ttsVoice || undefined,
+  enqueue   : false, // Interrupts current speech to play the new selection
+  onEvent   : (event) => {
+    // A skip or a new selection replaced this utterance — drop its leftovers.
+    // When the new one belongs to another tab, frame or selection, this one's
+    // frame still hears that it stopped, so its bar and highlights close.
+    if (speech !== activeSpeech) {
+      if (TTS_TERMINAL_EVENTS.includes(event.type) && !sameUtterance(speech, activeSpeech)) {
+        forwardTtsEvent(speech, { type: event.type });
+      }
+      return;
+    }
+    if (event.type === 'error') console.error('[ProjectOtter] TTS Error:', event);
+
+    const charIndex = event.charIndex !== undefined ? event.charIndex + speech.base : undefined;
+    if (event.type === 'word' && charIndex !== undefined) {
+      speech.charIndex = charIndex;
+      saveSpeech(speech);
+    }
+    if (event.type === 'end' && speech.queue) {
+      if (speech.index + 1 < speech.queue.length) {
+        speakChunk(speech, speech.index + 1);
+        return;
+      }
+      StorageHelper.clearReadingPosition(speech.pageKey); // finished — nothing to resume
+    }
+    if (TTS_TERMINAL_EVENTS.includes(event.type)) {
+      activeSpeech = null;
+      chrome.storage.session.remove([SESSION_SPEECH, SESSION_QUEUE]);
+    }
+    forwardTtsEvent(speech, { ...event, charIndex });
+  }
+});
 }
 
-if (command === 'toggle-color-overlay') {
-  chrome.storage.local.get(['overlayEnabled'], (result) => {
-    const next = !result.overlayEnabled;
-    chrome.storage.local.set({ overlayEnabled: next });
-    broadcastToActiveTab({ type: 'COLOR_OVERLAY_TOGGLE', enabled: next });
-  });
+// Same frame and utterance: a skip or the next chunk, not a new selection
+function sameUtterance(a, b) {
+return !!b && a.tabId === b.tabId && a.frameId === b.frameId && a.utteranceId === b.utteranceId;
+}
+
+// Speaks chunk `index` of a page queue and records it as the resume point
+function speakChunk(speech, index) {
+if (!Number.isInteger(index) || index < 0 || index >= speech.queue.length) {
+  chrome.tts.stop();
+  return;
+}
+StorageHelper.setReadingPosition(speech.pageKey, {
+  index,
+  total   : speech.queue.length,
+  snippet : speech.queue[index].slice(0, 60),
+});
+speak({ ...speech, text: speech.queue[index], index });
+}
+
+function saveSpeech({ queue, ...speech }) {
+chrome.storage.session.set({ [SESSION_SPEECH]: speech });
+}
+
+function setSpeechPaused(speech, paused) {
+if (paused) chrome.tts.pause();
+else        chrome.tts.resume();
+speech.paused = paused;
+saveSpeech(speech);
+forwardTtsEvent(speech, { type: paused ? 'pause' : 'resume' });
+}
+
+function withSpeech(callback) {
+if (activeSpeech) { callback(activeSpeech); return; }
+chrome.storage.session.get([SESSION_SPEECH, SESSION_QUEUE], (res) => {
+  const speech = res[SESSION_SPEECH];
+  if (!speech) return;
+  if (speech.pageKey) speech.queue = res[SESSION_QUEUE] || [];
+  callback(speech);
+});
+}
+
+// Moves to the next sentence, or back to the start of the current one
+// (or the previous one if we're only just into the current sentence).
+function skipSentence(speech, direction) {
+// Page queues are already split into sentences
+if (speech.queue) {
+  const justStarted = speech.charIndex < 12;
+  speakChunk(speech, direction > 0
+    ? speech.index + 1
+    : (justStarted ? Math.max(0, speech.index - 1) : speech.index));
+  return;
+}
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+const starts    = Array.from(segmenter.segment(speech.text), s => s.index);
+const current   = speech.charIndex;
+
+let target;
+if (direction > 0) {
+  target = starts.find(s => s > current);
+} else {
+  const i = starts.findLastIndex(s => s <= current);
+  target  = (current - starts[i] < 12 && i > 0) ? starts[i - 1] : starts[Math.max(0, i)];
 }
+
+if (target === undefined) { chrome.tts.stop(); return; }
+speak(speech, target);
+}
+
+// ─── Keyboard shortcuts ───────────────────────────────────────────────────────
+// Chrome commands (manifest.json) and in-page shortcuts (SHORTCUT_ACTION) run
+// the same actions — see utils/shortcuts.js. Setting changes are written where
+// they take effect for the tab's site, like the popup's "This site" or
+// "Everywhere" scope, and every affected tab is sent its resolved state.
+const CVD_CYCLE = ['none', 'protanopia', 'deuteranopia', 'protanomaly', 'deuteranomaly',
+                   'tritanopia', 'tritanomaly', 'achromatopsia', 'achromatomaly'];
+const CVD_SIMULATE_ONLY = ['achromatopsia', 'achromatomaly'];
+
+const TOGGLE_ACTIONS = {
+  'toggle-focus-ruler'    : 'focusRulerEnabled',
+  'toggle-color-overlay'  : 'overlayEnabled',
+  'toggle-dark-mode'      : 'darkModeEnabled',
+  'toggle-text-spacing'   : 'textSpacingEnabled',
+  'toggle-bionic-reading' : 'bionicReadingEnabled',
+  'toggle-syllables'      : 'syllablesEnabled',
+  'toggle-distractions'   : 'distractionBlockEnabled',
+  'toggle-tts'            : 'ttsEnabled',
+};
+
+chrome.commands?.onCommand.addListener((command, tab) => {
+if (tab) { runShortcut(command, tab); return; }
+chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => runShortcut(command, tabs[0]));
 });
 
+async function runShortcut(action, tab) {
+if (action === 'read-selection') {
+  if (tab?.id !== undefined) chrome.tabs.sendMessage(tab.id, { type: 'READ_SELECTION' }).catch(() => {});
+  return;
+}
+if (action === 'lookup-word') {
+  if (tab?.id !== undefined) chrome.tabs.sendMessage(tab.id, { type: 'LOOKUP_SELECTION' }).catch(() => {});
+  return;
+}
+if (action === 'toggle-reader-view') {
+  if (tab?.id !== undefined) chrome.tabs.sendMessage(tab.id, { type: 'READER_VIEW_TOGGLE' }, { frameId: 0 }).catch(() => {});
+  return;
+}
+if (action === 'pause-speech') {
+  withSpeech(speech => setSpeechPaused(speech, !speech.paused));
+  return;
+}
+if (action === 'stop-speech') {
+  chrome.tts.stop();
+  return;
+}
+
+// Everything else changes settings — never on a site where Otter is paused
+const origin = StorageHelper.originOf(tab?.url);
+const state  = await StorageHelper.getEffective(null, origin);
+if (state.otterPaused) return;
+
+if (TOGGLE_ACTIONS[action]) {
+  const key = TOGGLE_ACTIONS[action];
+  await applySettingsFor({ [key]: !state[key] }, origin);
+}
+
+// Same rule as the popup toggle: switching the font on picks OpenDyslexic
+// when no font was chosen yet
+if (action === 'toggle-dyslexia-font') {
+  const items = { dyslexiaFontEnabled: !state.dyslexiaFontEnabled };
+  if (items.dyslexiaFontEnabled && state.dyslexiaFontFamily === 'default') items.dyslexiaFontFamily = 'OpenDyslexic';
+  await applySettingsFor(items, origin);
+}
+
+// Steps through the popup's filter chips, then off. Correction skips the
+// modes that can only be simulated.
+if (action === 'cycle-cvd-mode') {
+  const modes = state.cvdMethod === 'correct'
+    ? CVD_CYCLE.filter(m => !CVD_SIMULATE_ONLY.includes(m))
+    : CVD_CYCLE;
+  const current = state.cvdEnabled ? modes.indexOf(state.cvdMode) : 0;
+  const mode    = modes[(current + 1) % modes.length];
+  await applySettingsFor({ cvdMode: mode, cvdEnabled: mode !== 'none' }, origin);
+}
+}
+
+// Writes `items` for `origin` and re-sends the affected tabs their state:
+// only tabs on that site when every key is one of its overrides, else all
+async function applySettingsFor(items, origin) {
+const overrides = origin ? await StorageHelper.getSiteOverrides(origin) : {};
+const siteOnly  = Object.keys(items).every(key => key in overrides);
+await StorageHelper.setEffective(items, origin);
+await reapplyTabs(siteOnly ? origin : null);
+}
+
+// Re-sends each tab its resolved state — every tab, or only tabs on `origin`
+async function reapplyTabs(origin = null) {
+const stored = await StorageHelper.get(null);
+const tabs   = await chrome.tabs.query({});
+for (const tab of tabs) {
+  if (!tab.url || tab.url.startsWith('chrome://')) continue;
+  const tabOrigin = StorageHelper.originOf(tab.url);
+  if (origin && tabOrigin !== origin) continue;
+  const state = StorageHelper.resolveForOrigin(stored, tabOrigin);
+  chrome.tabs.sendMessage(tab.id, { type: 'REAPPLY_STATE', state }).catch(() => {});
+}
+}
+
+// ─── Context menu ─────────────────────────────────────────────────────────────
+// Page, selection, link and editable-field menus all get the same entries.
+// Where a click landed is only known to the content scripts, so the frame
+// that was clicked (info.frameId) is asked to act on its last right-click.
+const MENU_CONTEXTS      = ['page', 'selection', 'link', 'editable'];
+const MENU_PRESET_PREFIX = 'preset:';
+const HTTP_PAGES         = ['http://*/*', 'https://*/*'];
+let menuChain = Promise.resolve();
+
+// Rebuilt on install and whenever the user's presets change. Chained so two
+// quick rebuilds can't both create the same ids.
+function buildContextMenu() {
+menuChain = menuChain
+  .then(() => chrome.contextMenus.removeAll())
+  .then(() => StorageHelper.getUserPresets())
+  .then((user) => {
+    const create = (props) => chrome.contextMenus.create(
+      { contexts: MENU_CONTEXTS, ...props },
+      () => void chrome.runtime.lastError
+    );
+    create({ id: 'read-from-here',   title: 'Read aloud from here' });
+    create({ id: 'read-selection',   title: 'Read selection aloud', contexts: ['selection'] });
+    create({ id: 'lookup-word',      title: 'Look up "%s"', contexts: ['selection'] });
+    create({ id: 'focus-ruler-here', title: 'Turn on focus ruler here' });
+    create({ id: 'hide-element',     title: 'Hide this element…' });
+    create({ id: 'reader-view',      title: 'Reader view' });
+    create({ id: 'pause-site',       title: 'Disable Otter on this site', documentUrlPatterns: HTTP_PAGES });
+    create({ id: 'apply-preset',     title: 'Apply my preset to this page' });
+    for (const preset of [...OtterPresets.BUILTIN, ...user]) {
+      // "&" marks an access key in menu titles
+      create({ id: MENU_PRESET_PREFIX + preset.id, parentId: 'apply-preset', title: preset.name.replace(/&/g, '&&') });
+    }
+  })
+  .catch(err => console.warn('[ProjectOtter] Context menu build failed:', err));
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+if (area === 'local' && changes.userPresets) buildContextMenu();
+});
+
+chrome.contextMenus?.onClicked.addListener(async (info, tab) => {
+if (tab?.id === undefined) return;
+const frame  = { frameId: info.frameId ?? 0 };
+const origin = StorageHelper.originOf(tab.url);
+const state  = await StorageHelper.getEffective([], origin);
+if (state.otterPaused) return;   // "Disable Otter on this site" already applies
+
+if (info.menuItemId === 'read-from-here') {
+  chrome.tabs.sendMessage(tab.id, { type: 'READ_FROM_HERE' }, frame).catch(() => {});
+}
+
+// The page reads it with highlights when it can; text selected inside a
+// field (or a page without our scripts, like the PDF viewer) is spoken as is
+if (info.menuItemId === 'read-selection') {
+  const res = await chrome.tabs.sendMessage(tab.id, { type: 'READ_SELECTION', here: true }, frame).catch(() => null);
+  if (!res?.ok && info.selectionText) speak({ text: info.selectionText, origin });
+}
+
+if (info.menuItemId === 'lookup-word') {
+  chrome.tabs.sendMessage(tab.id, { type: 'LOOKUP_SELECTION', here: true }, frame).catch(() => {});
+}
+
+// The view replaces the whole tab, so the top frame opens it
+if (info.menuItemId === 'reader-view') {
+  chrome.tabs.sendMessage(tab.id, { type: 'READER_VIEW_TOGGLE' }, { frameId: 0 }).catch(() => {});
+}
+
+// Picking belongs to the top frame; it starts on the clicked element when
+// that is where the click was
+if (info.menuItemId === 'hide-element') {
+  chrome.tabs.sendMessage(tab.id, { type: 'PICK_ELEMENT', fromMenu: info.frameId === 0 }, { frameId: 0 }).catch(() => {});
+}
+
+if (info.menuItemId === 'focus-ruler-here') {
+  await applySettingsFor({ focusRulerEnabled: true }, origin);
+  chrome.tabs.sendMessage(tab.id, { type: 'FOCUS_RULER_TOGGLE', enabled: true, here: true }, frame).catch(() => {});
+}
+
+if (info.menuItemId === 'pause-site' && origin) {
+  await StorageHelper.setPaused(origin, true);
+  await reapplyTabs(origin);
+}
+
+// "This page": into the site's profile, like applying a preset in the
+// popup's "This site" scope. Pages without a site profile get it globally.
+if (String(info.menuItemId).startsWith(MENU_PRESET_PREFIX)) {
+  const id     = String(info.menuItemId).slice(MENU_PRESET_PREFIX.length);
+  const user   = await StorageHelper.getUserPresets();
+  const preset = [...OtterPresets.BUILTIN, ...user].find(p => p.id === id);
+  if (!preset) return;
+  if (origin) await StorageHelper.setSiteOverrides(origin, preset.settings);
+  else        await StorageHelper.set(preset.settings);
+  await reapplyTabs(origin);
+}
+});
+
+// ─── Focus sessions ───────────────────────────────────────────────────────────
+// Work and break phases, back to back until the session is stopped. The
+// session is kept in storage and each phase ends on an alarm, so the worker
+// can be suspended in between. Starting turns on what the chosen preset turns
+// on — its `false` entries are left alone, so a student's other tools keep
+// running — globally and in every site profile that overrides one of those
+// keys, so the preset wins on every site. Stopping puts back each value the
+// session changed, in the same place, unless the student has changed it
+// again since. A break relaxes the tools through the resolved state
+// (StorageHelper.resolveForOrigin), so nothing stored changes; the in-page
+// notice (content-scripts/focus-session.js) follows the stored session.
+const FOCUS_ALARM = 'focus-phase';   // the current phase ends
+const FOCUS_TICK  = 'focus-tick';    // once a minute, for the toolbar badge
+const FOCUS_BADGE = { work: '#f5c842', break: '#7bc8a4' };
+const MINUTE      = 60 * 1000;
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+if (alarm.name === FOCUS_ALARM) endFocusPhase();
+if (alarm.name === FOCUS_TICK)  getFocusSession().then(showFocusBadge);
+});
+
+chrome.runtime.onStartup.addListener(resumeFocusSession);
+
+async function getFocusSession() {
+const stored = await StorageHelper.get(['focusSession']);
+return stored.focusSession.phase ? stored.focusSession : null;
+}
+
+async function startFocusSession() {
+const running = await getFocusSession();
+if (running) return running;
+
+const settings = await StorageHelper.get(['focusWorkMinutes', 'focusBreakMinutes', 'focusPreset', 'siteOverrides']);
+const user     = await StorageHelper.getUserPresets();
+const preset   = [...OtterPresets.BUILTIN, ...user].find(p => p.id === settings.focusPreset);
+const applied  = preset ? Object.fromEntries(Object.entries(preset.settings).filter(([, v]) => v !== false)) : {};
+const sites    = settings.siteOverrides;
+const beforeSites = {};
+for (const [origin, profile] of Object.entries(sites)) {
+  const keys = Object.keys(applied).filter(key => key in profile);
+  if (!keys.length) continue;
+  beforeSites[origin] = Object.fromEntries(keys.map(key => [key, profile[key]]));
+  for (const key of keys) profile[key] = applied[key];
+}
+const session  = {
+  phase        : 'work',
+  round        : 1,
+  endsAt       : Date.now() + settings.focusWorkMinutes * MINUTE,
+  workMinutes  : settings.focusWorkMinutes,
+  breakMinutes : settings.focusBreakMinutes,
+  before       : await StorageHelper.get(Object.keys(applied)),
+  beforeSites,
+  applied,
+};
+await StorageHelper.set({ ...applied, siteOverrides: sites });
+await setFocusPhase(session);
+return session;
+}
+
+async function stopFocusSession() {
+const session = await getFocusSession();
+await chrome.alarms.clear(FOCUS_ALARM);
+await chrome.alarms.clear(FOCUS_TICK);
+showFocusBadge(null);
+if (!session) return;
+const current = await StorageHelper.get([...Object.keys(session.before), 'siteOverrides']);
+const restore = {};
+for (const [key, value] of Object.entries(session.before)) {
+  if (current[key] === session.applied[key]) restore[key] = value;
+}
+const sites = current.siteOverrides;
+for (const [origin, before] of Object.entries(session.beforeSites)) {
+  const profile = sites[origin];
+  if (!profile) continue;
+  for (const [key, value] of Object.entries(before)) {
+    if (profile[key] === session.applied[key]) profile[key] = value;
+  }
+}
+await StorageHelper.set({ focusSession: {}, ...restore, siteOverrides: sites });
+await reapplyTabs();
+}
+
+// A finished work phase is counted in the history, then the break starts;
+// a finished break starts the next round
+async function endFocusPhase() {
+const session = await getFocusSession();
+if (!session) return;
+if (session.phase === 'work') {
+  await StorageHelper.addFocusSession(session.workMinutes, session.endsAt);
+  await setFocusPhase({ ...session, phase: 'break', endsAt: Date.now() + session.breakMinutes * MINUTE });
+} else {
+  await setFocusPhase({ ...session, phase: 'work', round: session.round + 1, endsAt: Date.now() + session.workMinutes * MINUTE });
+}
+}
+
+async function skipFocusBreak() {
+const session = await getFocusSession();
+if (session?.phase === 'break') await endFocusPhase();
+}
+
+async function setFocusPhase(session) {
+await StorageHelper.set({ focusSession: session });
+await chrome.alarms.create(FOCUS_ALARM, { when: session.endsAt });
+await chrome.alarms.create(FOCUS_TICK, { periodInMinutes: 1 });
+showFocusBadge(session);
+await reapplyTabs();
+}
+
+// Alarms don't always outlive a browser restart or an update; a phase that
+// ended meanwhile ends as soon as its alarm is back
+async function resumeFocusSession() {
+const session = await getFocusSession();
+if (!session) return;
+if (!(await chrome.alarms.get(FOCUS_ALARM))) {
+  await chrome.alarms.create(FOCUS_ALARM, { when: Math.max(session.endsAt, Date.now() + 1000) });
+  await chrome.alarms.create(FOCUS_TICK, { periodInMinutes: 1 });
+}
+showFocusBadge(session);
+}
+
+// Minutes left on the toolbar icon, amber while working and green on a break
+function showFocusBadge(session) {
+if (!session) {
+  chrome.action.setBadgeText({ text: '' });
+  return;
+}
+const minutes = Math.max(0, Math.ceil((session.endsAt - Date.now()) / MINUTE));
+chrome.action.setBadgeBackgroundColor({ color: FOCUS_BADGE[session.phase] });
+chrome.action.setBadgeText({ text: `${minutes}m` });
+}
+
+// ─── Word lookup ──────────────────────────────────────────────────────────────
+// The dictionary ships with the extension and is read on the first lookup —
+// nothing is ever sent to an online service. Entries are keyed by headword;
+// inflected forms ("analyzed", "studies") are reduced with a few suffix
+// rules, British -ise/-yse spellings find the -ize/-yze headword, and
+// irregular forms ("went", "children") come from the file's `forms` map.
+const DICTIONARY_FILE = 'assets/dictionary/en.json';
+const WORD_ENDINGS = [
+  ['ies', 'y'], ['ied', 'y'], ['es', ''], ['s', ''],
+  ['ed', ''], ['ed', 'e'], ['ing', ''], ['ing', 'e'], ['ily', 'y'], ['ly', ''],
+];
+let dictionary = null;
+
+function loadDictionary() {
+dictionary ??= fetch(chrome.runtime.getURL(DICTIONARY_FILE))
+  .then(res => res.json())
+  .then(data => ({ entries: data.entries, forms: data.forms || {} }))
+  .catch((err) => { dictionary = null; throw err; });
+return dictionary;
+}
+
+// Headwords `word` could be a form of, most likely first
+function wordForms(word) {
+const w = String(word || '').trim().toLowerCase().replace(/’/g, "'").replace(/'s?$/, '');
+const forms = [w];
+for (const [ending, base] of WORD_ENDINGS) {
+  if (!w.endsWith(ending) || w.length - ending.length < 2) continue;
+  const stem = w.slice(0, -ending.length) + base;
+  forms.push(stem);
+  // committed → commit, planning → plan
+  if (!base && /([b-df-hj-np-tv-z])\1$/.test(stem)) forms.push(stem.slice(0, -1));
+}
+return [...new Set(forms.flatMap(f => [f, f.replace(/is(e|ed|es|ing)?$/, 'iz$1').replace(/ys(e|ed|es|ing)?$/, 'yz$1')]))];
+}
+
+// { word, senses: [{ pos, text }] } for the headword found, or null
+async function lookupWord(word) {
+const { entries, forms } = await loadDictionary();
+const headword = wordForms(word)
+  .map(f => Object.hasOwn(forms, f) && !Object.hasOwn(entries, f) ? forms[f] : f)
+  .find(f => Object.hasOwn(entries, f));
+if (!headword) return null;
+return {
+  word   : headword,
+  senses : entries[headword].map(([pos, text]) => ({ pos, text })),
+};
+}
+
 // ─── Tab navigation guard ─────────────────────────────────────────────────────
-// Re-applies active features when a tab finishes loading.
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+// Re-applies active features when a tab finishes loading, using the settings
+// resolved for that tab's origin (global values + site overrides + pause).
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 if (changeInfo.status !== 'complete') return;
 
-chrome.storage.local.get(Object.keys(DEFAULTS), (stored) => {
+StorageHelper.getEffective(null, StorageHelper.originOf(tab?.url)).then((stored) => {
   const anyActive =
     stored.focusRulerEnabled  ||
     stored.overlayEnabled     ||
     stored.darkModeEnabled    ||
     stored.cvdEnabled         ||
     stored.dyslexiaFontEnabled||
+    stored.textSpacingEnabled ||
+    stored.textScale !== 100  ||
     stored.bionicReadingEnabled||
+    stored.syllablesEnabled   ||
+    stored.wordLookupEnabled  ||
+    stored.distractionBlockEnabled ||
     stored.ttsEnabled; // Now monitors TTS state
 
   if (!anyActive) return;
@@ -128,9 +660,14 @@ chrome.storage.local.get(Object.keys(DEFAULTS), (stored) => {
 });
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
-function broadcastToActiveTab(message) {
-chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-  if (!tabs[0]?.id) return;
-  chrome.tabs.sendMessage(tabs[0].id, message).catch(() => {});
-});
+// Relays chrome.tts events (start, word, sentence, end, interrupted…) to the
+// content script that started the utterance so it can highlight along.
+function forwardTtsEvent({ tabId, frameId, utteranceId, index }, event) {
+if (tabId === undefined || !utteranceId) return;
+chrome.tabs.sendMessage(tabId, {
+  type        : 'TTS_EVENT',
+  utteranceId,
+  chunk       : index,
+  event       : { type: event.type, charIndex: event.charIndex, length: event.length },
+}, { frameId }).catch(() => {});
 }
@@ -0,0 +1,275 @@
+/**
+ * Project Otter — content-scripts/bionic-reading.js
+ * Bionic Reading: bolds the leading letters of every word so the eye can
+ * anchor on the start of each word and skim the rest.
+ *
+ * Architecture:
+ *   - The bolded copy of each eligible text node goes into a
+ *     <span data-otter-bionic> just before it, and the node is emptied
+ *     (utils/text-wrappers.js). It never leaves its parent, so frameworks
+ *     that hold on to it can still update, move or remove it, and disable()
+ *     puts its text back.
+ *   - A MutationObserver picks up content added after load; work is batched
+ *     per animation frame so long pages never block the main thread.
+ *   - Open shadow roots (web components) are walked and observed as well;
+ *     the style reaches them as an adopted constructed sheet.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  if (window.__otterBionicLoaded) return;
+  window.__otterBionicLoaded = true;
+
+  // ── Local reference to globals from storage-helper.js ──────────────────────
+  const KEYS = window.STORAGE_KEYS || {
+    BIONIC_ENABLED : 'bionicReadingEnabled',
+  };
+
+  // ── Constants ──────────────────────────────────────────────────────────────
+  const STYLE_ID      = 'otter-bionic-style';
+  const WRAPPER_ATTR  = 'data-otter-bionic';
+  const SYLLABLE_ATTR = 'data-otter-syllables';   // content-scripts/syllables.js
+  const FIX_CLASS     = 'otter-bionic-fix';
+  const BATCH_SIZE    = 250;   // text nodes converted per frame
+  const OBSERVE       = { childList: true, subtree: true, characterData: true };
+
+  // Letters (any script) followed by letters, combining marks or apostrophes
+  const WORD_RE = /(\p{L}[\p{L}\p{M}'’]*)/u;
+
+  // Subtrees whose text must never be rewritten
+  const SKIP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'INPUT', 'SELECT',
+    'OPTION', 'CODE', 'PRE', 'KBD', 'SAMP', 'VAR', 'svg', 'math', 'CANVAS',
+    'IFRAME', 'TITLE',
+  ]);
+  const SKIP_IDS = new Set(['__al-ruler-host__', 'accessilens-overlay']);
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  let isEnabled = false;
+  let observer  = null;      // watches the live page for new content
+  let wrappers  = null;      // bolded copies of the page's text nodes
+  let rafId     = null;
+  let release   = null;      // takes the style out of shadow roots again
+  let unwatch   = null;      // stops shadow root discovery
+  const roots     = new Set();   // open shadow roots observed alongside document.body
+  const queue     = new Set();   // text nodes waiting to be converted
+
+  // ── Bootstrap ──────────────────────────────────────────────────────────────
+  init();
+
+  async function init() {
+    try {
+      const result = await window.StorageHelper.getEffective([KEYS.BIONIC_ENABLED]);
+      if (result[KEYS.BIONIC_ENABLED] === true) enable();
+    } catch (err) {
+      console.debug('[Project Otter] bionic-reading storage read failed:', err.message);
+    }
+
+    registerMessageListener();
+  }
+
+  // ── Enable / Disable ───────────────────────────────────────────────────────
+  function enable() {
+    if (isEnabled || !document.body) return;
+    isEnabled = true;
+
+    injectStyle();
+    wrappers = window.OtterTextWrappers.create(WRAPPER_ATTR, render);
+    observer = new MutationObserver(onPageMutated);
+    observe();
+
+    enqueueSubtree(document.body);
+    unwatch = window.OtterShadowRoots.watch(addRoot);
+    window.OtterShadowRoots.all().forEach(addRoot);
+    console.debug('[Project Otter] Bionic Reading enabled.');
+  }
+
+  function disable() {
+    if (!isEnabled) return;
+    isEnabled = false;
+
+    observer?.disconnect();
+    observer = null;
+    if (rafId !== null) { cancelAnimationFrame(rafId); rafId = null; }
+    queue.clear();
+    unwatch?.();
+    release?.();
+    unwatch = release = null;
+    roots.clear();
+
+    wrappers.restoreAll();
+    wrappers = null;
+
+    window.OtterPage.remove(document.getElementById(STYLE_ID));
+    console.debug('[Project Otter] Bionic Reading disabled.');
+  }
+
+  // ── Text node discovery ────────────────────────────────────────────────────
+  // Inside a shadow root the chain continues at the host
+  function isSkippable(el) {
+    for (let node = el; node && node !== document.body; node = node.parentElement || node.getRootNode().host) {
+      if (SKIP_TAGS.has(node.tagName)) return true;
+      if (SKIP_IDS.has(node.id))       return true;
+      if (node.hasAttribute(WRAPPER_ATTR) || node.hasAttribute(SYLLABLE_ATTR)) return true;
+      if (node.isContentEditable)      return true;
+    }
+    return false;
+  }
+
+  function isEligible(textNode) {
+    const parent = textNode.parentElement;
+    if (!parent || !textNode.isConnected) return false;
+    if (!WORD_RE.test(textNode.data))     return false;
+    return !isSkippable(parent);
+  }
+
+  function enqueueSubtree(root) {
+    if (root.nodeType === Node.TEXT_NODE) {
+      queue.add(root);
+    } else if (root.nodeType === Node.ELEMENT_NODE) {
+      if (isSkippable(root)) return;
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) queue.add(walker.currentNode);
+    } else {
+      return;
+    }
+    scheduleFlush();
+  }
+
+  function addRoot(root) {
+    roots.add(root);
+    observer.observe(root, OBSERVE);
+    root.childNodes.forEach(enqueueSubtree);
+  }
+
+  function observe() {
+    observer.observe(document.body, OBSERVE);
+    for (const root of roots) {
+      if (root.host.isConnected) observer.observe(root, OBSERVE);
+      else roots.delete(root);
+    }
+  }
+
+  function scheduleFlush() {
+    if (rafId === null) rafId = requestAnimationFrame(flush);
+  }
+
+  function flush() {
+    rafId = null;
+    if (!isEnabled) return;
+
+    // Our own DOM writes must not feed back into the observer
+    observer.disconnect();
+    let done = 0;
+    for (const node of queue) {
+      queue.delete(node);
+      if (isEligible(node)) wrappers.wrap(node);
+      if (++done >= BATCH_SIZE) break;
+    }
+    observe();
+
+    if (queue.size > 0) scheduleFlush();
+  }
+
+  // ── Conversion ─────────────────────────────────────────────────────────────
+  // Short words get one bold letter; longer words get roughly the first half.
+  function fixationLength(word) {
+    if (word.length <= 3) return 1;
+    if (word.length === 4) return 2;
+    return Math.ceil(word.length * 0.45);
+  }
+
+  function render(wrapper, text) {
+    wrapper.textContent = '';
+    for (const part of text.split(WORD_RE)) {
+      if (!part) continue;
+      if (!WORD_RE.test(part)) {
+        wrapper.appendChild(document.createTextNode(part));
+        continue;
+      }
+      const cut = fixationLength(part);
+      const fix = document.createElement('span');
+      fix.className   = FIX_CLASS;
+      fix.textContent = part.slice(0, cut);
+      wrapper.appendChild(fix);
+      if (cut < part.length) wrapper.appendChild(document.createTextNode(part.slice(cut)));
+    }
+  }
+
+  // ── Observers ──────────────────────────────────────────────────────────────
+  // Text the page changed in a node already bolded is rendered into its
+  // wrapper; everything else new is queued
+  function onPageMutated(mutations) {
+    observer.disconnect();
+    wrappers.sync(mutations);
+    observe();
+
+    for (const m of mutations) {
+      if (m.type === 'characterData') {
+        if (!wrappers.has(m.target)) enqueueSubtree(m.target);
+        continue;
+      }
+      m.addedNodes.forEach(enqueueSubtree);
+    }
+  }
+
+  // ── Style ──────────────────────────────────────────────────────────────────
+  function injectStyle() {
+    const css = `
+      span[${WRAPPER_ATTR}] { font: inherit; color: inherit; }
+      span.${FIX_CLASS} { font-weight: 700 !important; }
+    `;
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(css);
+    release = window.OtterShadowRoots.share(sheet);
+
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = css;
+    (document.head || document.documentElement).appendChild(style);
+    window.OtterPage.keep(style);
+  }
+
+  // ── Message Listener ───────────────────────────────────────────────────────
+  function registerMessageListener() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      switch (message.type) {
+
+        case 'BIONIC_READING_TOGGLE':
+          if (message.enabled) enable();
+          else                 disable();
+          sendResponse({ ok: true, enabled: isEnabled });
+          break;
+
+        // Service worker sends this after navigation to re-apply all features
+        case 'REAPPLY_STATE':
+          reapply(message.state || {});
+          sendResponse({ ok: true });
+          break;
+
+        default:
+          break;
+      }
+      return true;
+    });
+
+    // Client-side navigation (page-watcher.js)
+    window.OtterEvents?.addEventListener('reapply', (e) => reapply(e.detail.state));
+  }
+
+  // Already on: a navigation may have replaced <body>, which leaves the
+  // observer on the old one and the new text unconverted
+  function reapply(s) {
+    if (!s.bionicReadingEnabled) disable();
+    else if (!isEnabled)         enable();
+    else if (document.body) {
+      observer.disconnect();
+      observe();
+      enqueueSubtree(document.body);
+    }
+  }
+
+})();
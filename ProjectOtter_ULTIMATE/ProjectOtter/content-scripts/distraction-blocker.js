@@ -0,0 +1,631 @@
+/**
+ * Project Otter — content-scripts/distraction-blocker.js
+ * Distraction blocker: takes away the parts of a page that pull attention off
+ * the text. Five categories, each with its own switch:
+ *   - Ads          — known ad slots and ad frames are collapsed
+ *   - Sticky bars  — fixed banners, cookie bars and pop-ups are hidden;
+ *                    sticky headers, and fixed ones holding the site's
+ *                    navigation, scroll away with the page
+ *   - Sidebars     — <aside>, role="complementary" and sidebar containers
+ *   - Autoplay     — video and audio that start without the reader asking
+ *                    are paused
+ *   - Motion       — CSS animations and transitions jump to their end,
+ *                    smooth scrolling is off and animated GIFs stand still
+ *                    (what a reduced-motion page would do)
+ *
+ * Architecture:
+ *   - Hiding is done with one <style> and marker attributes; nothing is
+ *     removed, so switching a category off puts everything back.
+ *   - Sticky and sidebar candidates are judged by what they hold: an element
+ *     that contains the article (OtterArticle) or most of the page's text is
+ *     the page itself and stays. Fixed elements that appear right after a
+ *     click or key press were asked for (a menu, a sign-in dialog) and stay.
+ *   - A GIF is frozen by drawing its current frame into a <canvas> shown in
+ *     its place — drawing works for cross-origin images too.
+ *   - The element picker ("Hide an element", popup or context menu) hides
+ *     anything else the reader points at. Its selector is remembered for the
+ *     site (StorageHelper.addHiddenElement) and hidden on every visit while
+ *     Otter isn't paused there, whether or not the switches above are on.
+ *   - Runs in every frame (ad frames, embedded players); the picker and the
+ *     per-site list belong to the top frame.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  if (window.__otterDistractionLoaded) return;
+  window.__otterDistractionLoaded = true;
+
+  // ── Local reference to globals from storage-helper.js ──────────────────────
+  const KEYS = window.STORAGE_KEYS || {
+    DISTRACTION_ENABLED  : 'distractionBlockEnabled',
+    DISTRACTION_ADS      : 'distractionAds',
+    DISTRACTION_STICKY   : 'distractionSticky',
+    DISTRACTION_SIDEBARS : 'distractionSidebars',
+    DISTRACTION_AUTOPLAY : 'distractionAutoplay',
+    DISTRACTION_MOTION   : 'distractionMotion',
+    HIDDEN_ELEMENTS      : 'hiddenElements',
+  };
+
+  // Setting key for each category switch
+  const CATEGORY_KEYS = {
+    ads      : KEYS.DISTRACTION_ADS,
+    sticky   : KEYS.DISTRACTION_STICKY,
+    sidebars : KEYS.DISTRACTION_SIDEBARS,
+    autoplay : KEYS.DISTRACTION_AUTOPLAY,
+    motion   : KEYS.DISTRACTION_MOTION,
+  };
+
+  // ── Constants ──────────────────────────────────────────────────────────────
+  const STYLE_ID      = 'otter-distraction-style';
+  const MARK_ATTR     = 'data-otter-distraction';   // 'sticky' | 'unstick' | 'sidebar'
+  const UNLOCK_ATTR   = 'data-otter-unlock';        // on <html> once a page-covering pop-up is hidden
+  const FROZEN_ATTR   = 'data-otter-frozen';        // on a GIF shown as a still <canvas>
+  const STILL_CLASS   = 'otter-still-frame';
+  const PICKER_ID     = 'otter-picker-host';
+  const IS_TOP        = window === window.top;
+  const SCAN_DELAY    = 150;    // ms; one scan per burst of page changes
+  const CONTENT_SHARE = 0.5;    // of the page's text, held by an element that is the page itself
+  const COVER_SHARE   = 0.9;    // of the viewport, covered by a pop-up that locks scrolling
+  const OBSERVE       = {
+    childList       : true,
+    subtree         : true,
+    attributes      : true,
+    attributeFilter : ['class', 'style'],   // headers often turn fixed on scroll
+  };
+
+  // Ad networks' own slot markup — specific enough not to catch "add" or "header"
+  const AD_SELECTOR = [
+    'ins.adsbygoogle', 'amp-ad', 'amp-embed', '[id^="google_ads_"]', '[id^="div-gpt-ad"]',
+    '[data-ad-slot]', '[data-ad-unit]', '[data-google-query-id]', '[id^="taboola-"]', '.OUTBRAIN',
+    'iframe[src*="doubleclick.net"]', 'iframe[src*="googlesyndication.com"]',
+    'iframe[src*="amazon-adsystem.com"]', '[aria-label="Advertisement" i]',
+    '.ad-slot', '.ad-container', '.advertisement',
+  ].join(', ');
+
+  const SIDEBAR_SELECTOR = 'aside, [role="complementary"], [id*="sidebar" i], [class*="sidebar" i]';
+
+  // A fixed bar holding one of these is the site's header, not a distraction
+  const NAV_BAR_SELECTOR = 'nav, header, [role="navigation"], [role="banner"]';
+
+  const GIF_RE           = /^data:image\/gif|\.gif(?:$|[?#])/i;
+
+  // Copied from a GIF to the canvas that stands in for it
+  const STILL_PROPS = ['display', 'position', 'top', 'right', 'bottom', 'left', 'float',
+                       'margin', 'verticalAlign', 'borderRadius', 'zIndex'];
+
+  const MOTION_CSS = `
+    *, *::before, *::after {
+      animation-duration        : 1ms !important;
+      animation-delay           : 0s !important;
+      animation-iteration-count : 1 !important;
+      transition-duration       : 0s !important;
+      transition-delay          : 0s !important;
+      scroll-behavior           : auto !important;
+    }
+  `;
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  let isEnabled  = false;
+  let categories = { ads: true, sticky: true, sidebars: true, autoplay: true, motion: true };
+  let isPaused   = false;
+  let picked     = [];      // this site's hidden-element selectors (top frame)
+  let observer   = null;    // watches the page while sticky bars, sidebars or GIFs are handled
+  let scanTimer  = null;
+  let sheet      = null;    // constructed copy of MOTION_CSS for shadow roots
+  let release    = null;    // takes it out of shadow roots again
+  let picker     = null;    // { host, box, label, target, trail } while picking
+  let contextTarget = null; // last right-clicked element, for "Hide this element"
+  const queue   = new Map();       // element → { deep, userAsked }
+  const stills  = new Map();       // frozen GIF <img> → its <canvas>
+  const allowed = new WeakSet();   // media the reader started
+
+  // ── Bootstrap ──────────────────────────────────────────────────────────────
+  init();
+
+  async function init() {
+    try {
+      read(await window.StorageHelper.getEffective([
+        KEYS.DISTRACTION_ENABLED, ...Object.values(CATEGORY_KEYS), KEYS.HIDDEN_ELEMENTS,
+      ]));
+    } catch (err) {
+      console.debug('[Project Otter] distraction-blocker storage read failed:', err.message);
+    }
+
+    document.addEventListener('play', onPlay, true);
+    if (IS_TOP) {
+      document.addEventListener('contextmenu', (e) => { contextTarget = e.target; }, true);
+    }
+    registerMessageListener();
+    apply();
+  }
+
+  // Takes whatever keys `state` has; a partial update leaves the rest alone
+  function read(state) {
+    if ('otterPaused' in state) isPaused = state.otterPaused === true;
+    if (KEYS.DISTRACTION_ENABLED in state) isEnabled = state[KEYS.DISTRACTION_ENABLED] === true;
+    for (const [category, key] of Object.entries(CATEGORY_KEYS)) {
+      if (key in state) categories[category] = state[key] === true;
+    }
+    if (IS_TOP && KEYS.HIDDEN_ELEMENTS in state) {
+      picked = state[KEYS.HIDDEN_ELEMENTS]?.[window.StorageHelper.currentOrigin()] || [];
+    }
+  }
+
+  function active(category) {
+    return isEnabled && !isPaused && categories[category];
+  }
+
+  // ── Apply ──────────────────────────────────────────────────────────────────
+  // Marks are cleared and the page judged again from scratch — before the
+  // next paint, so nothing flashes back — and a category switched off (or a
+  // page that changed) leaves nothing behind
+  function apply() {
+    writeStyle();
+    clearMarks();
+
+    if (active('motion')) {
+      if (!sheet) {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(MOTION_CSS);
+        release = window.OtterShadowRoots.share(sheet);
+      }
+    } else {
+      release?.();
+      release = sheet = null;
+      unfreezeAll();
+    }
+
+    if (active('autoplay')) pauseAutoplaying();
+
+    if ((active('sticky') || active('sidebars') || active('motion')) && document.body) {
+      observer ??= new MutationObserver(onMutations);
+      observer.disconnect();
+      observer.observe(document.body, OBSERVE);
+      enqueue(document.body, true);
+      clearTimeout(scanTimer);
+      scan();
+    } else {
+      stopScanning();
+    }
+  }
+
+  function writeStyle() {
+    const rules = [];
+    if (isEnabled && !isPaused) {
+      rules.push(
+        `[${MARK_ATTR}="sticky"], [${MARK_ATTR}="sidebar"], img[${FROZEN_ATTR}] { display: none !important; }`,
+        `[${MARK_ATTR}="unstick"] { position: static !important; }`,
+        `html[${UNLOCK_ATTR}], html[${UNLOCK_ATTR}] > body { overflow: auto !important; }`,
+      );
+      if (active('ads'))    rules.push(`${AD_SELECTOR} { display: none !important; }`);
+      if (active('motion')) rules.push(MOTION_CSS);
+    }
+    // One rule per selector: a selector this browser can't parse only loses its own rule
+    if (!isPaused) {
+      for (const selector of picked) {
+        if (isSelector(selector)) rules.push(`${selector} { display: none !important; }`);
+      }
+    }
+
+    let style = document.getElementById(STYLE_ID);
+    if (!rules.length) {
+      window.OtterPage.remove(style);
+      return;
+    }
+    if (!style) {
+      style = document.createElement('style');
+      style.id = STYLE_ID;
+      (document.head || document.documentElement).appendChild(style);
+      window.OtterPage.keep(style);
+    }
+    style.textContent = rules.join('\n');
+  }
+
+  // Stored selectors are checked by the schema; this also catches ones the
+  // page's browser doesn't support
+  function isSelector(selector) {
+    if (/[{}]/.test(selector)) return false;
+    try {
+      document.querySelector(selector);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function clearMarks() {
+    document.querySelectorAll(`[${MARK_ATTR}]`).forEach(el => el.removeAttribute(MARK_ATTR));
+    document.documentElement.removeAttribute(UNLOCK_ATTR);
+  }
+
+  // ── Scanning (sticky bars, sidebars, GIFs) ─────────────────────────────────
+  function stopScanning() {
+    observer?.disconnect();
+    observer = null;
+    clearTimeout(scanTimer);
+    scanTimer = null;
+    queue.clear();
+  }
+
+  function onMutations(mutations) {
+    const userAsked = !!navigator.userActivation?.isActive;
+    for (const m of mutations) {
+      if (m.type === 'childList') m.addedNodes.forEach(node => enqueue(node, true, userAsked));
+      else                        enqueue(m.target, false, userAsked);
+    }
+  }
+
+  // `deep`: the whole subtree, not just the element
+  function enqueue(node, deep, userAsked = false) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    const queued = queue.get(node);
+    queue.set(node, { deep: deep || !!queued?.deep, userAsked: userAsked || !!queued?.userAsked });
+    if (scanTimer === null) scanTimer = setTimeout(scan, SCAN_DELAY);
+  }
+
+  function scan() {
+    scanTimer = null;
+    if (!document.body) return;
+    const page    = { roots: null, text: 0 };   // filled in on first need
+    const entries = [...queue];
+    queue.clear();
+
+    for (const [node, { deep, userAsked }] of entries) {
+      if (!node.isConnected || isSkipped(node)) continue;
+      if (!deep) { judge(node, page, userAsked); continue; }
+
+      const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT, {
+        acceptNode: (el) => isSkipped(el) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+      });
+      for (let el = walker.currentNode; el; el = walker.nextNode()) {
+        judge(el, page, userAsked);
+      }
+    }
+  }
+
+  // Otter's own nodes, and what is already hidden
+  function isSkipped(el) {
+    if (window.OtterPage.kept.has(el)) return true;
+    const mark = el.getAttribute(MARK_ATTR);
+    return mark === 'sticky' || mark === 'sidebar';
+  }
+
+  function judge(el, page, userAsked) {
+    if (el.tagName === 'IMG') {
+      if (active('motion')) freeze(el);
+      return;
+    }
+    if (el.hasAttribute(MARK_ATTR)) return;
+
+    if (active('sidebars') && el.matches(SIDEBAR_SELECTOR) && !isContent(el, page)) {
+      el.setAttribute(MARK_ATTR, 'sidebar');
+      return;
+    }
+    if (!active('sticky')) return;
+
+    const position = getComputedStyle(el).position;
+    if (position === 'sticky') {
+      el.setAttribute(MARK_ATTR, 'unstick');
+    } else if (position === 'fixed' && !userAsked) {
+      // Empty fixed layers are often where dialogs get rendered later
+      const rect = el.getBoundingClientRect();
+      if (!rect.width || !rect.height || isContent(el, page)) return;
+      if (el.matches(NAV_BAR_SELECTOR) || el.querySelector(NAV_BAR_SELECTOR)) {
+        el.setAttribute(MARK_ATTR, 'unstick');
+        return;
+      }
+      el.setAttribute(MARK_ATTR, 'sticky');
+      if (rect.width * rect.height >= COVER_SHARE * window.innerWidth * window.innerHeight) {
+        document.documentElement.setAttribute(UNLOCK_ATTR, '');
+      }
+    }
+  }
+
+  // Holds the article or most of the page's text: the page, not a distraction
+  function isContent(el, page) {
+    if (!page.roots) {
+      page.roots = window.OtterArticle.findRoots(document.body);
+      page.text  = document.body.innerText.length;
+    }
+    return page.roots.some(root => el.contains(root)) || el.innerText.length > page.text * CONTENT_SHARE;
+  }
+
+  // ── Animated GIFs ──────────────────────────────────────────────────────────
+  function freeze(img) {
+    if (stills.has(img) || !GIF_RE.test(img.currentSrc || img.src)) return;
+    if (!img.complete) {
+      img.addEventListener('load', () => { if (active('motion') && img.isConnected) freeze(img); }, { once: true });
+      return;
+    }
+    const rect = img.getBoundingClientRect();
+    if (!img.naturalWidth || !rect.width) return;
+
+    const still = document.createElement('canvas');
+    still.width     = img.naturalWidth;
+    still.height    = img.naturalHeight;
+    still.className = STILL_CLASS;
+    still.getContext('2d').drawImage(img, 0, 0);
+    still.setAttribute('role', 'img');
+    still.setAttribute('aria-label', img.alt);
+
+    const style = getComputedStyle(img);
+    for (const prop of STILL_PROPS) still.style[prop] = style[prop];
+    if (style.display === 'inline') still.style.display = 'inline-block';
+    still.style.width  = `${rect.width}px`;
+    still.style.height = `${rect.height}px`;
+
+    img.before(still);
+    img.setAttribute(FROZEN_ATTR, '');
+    stills.set(img, still);
+  }
+
+  function unfreezeAll() {
+    for (const [img, still] of stills) {
+      still.remove();
+      img.removeAttribute(FROZEN_ATTR);
+    }
+    stills.clear();
+  }
+
+  // ── Autoplay ───────────────────────────────────────────────────────────────
+  // Playback that starts within a click or key press was asked for; the
+  // element may play freely from then on
+  function onPlay(e) {
+    const media = e.target;
+    if (!(media instanceof HTMLMediaElement)) return;
+    if (navigator.userActivation?.isActive) { allowed.add(media); return; }
+    if (active('autoplay') && !allowed.has(media)) media.pause();
+  }
+
+  function pauseAutoplaying() {
+    for (const media of document.querySelectorAll('video[autoplay], audio[autoplay]')) {
+      if (!media.paused && !allowed.has(media)) media.pause();
+    }
+  }
+
+  // ── Element picker (top frame) ─────────────────────────────────────────────
+  // The outline follows the pointer; ↑/↓ widen or narrow it to the parent or
+  // back, a click or Enter hides the element, Escape cancels.
+  function startPicker(from = null) {
+    if (picker || !document.body) return;
+
+    const host = document.createElement('div');
+    host.id = PICKER_ID;
+    Object.assign(host.style, {
+      all           : 'initial',
+      position      : 'fixed',
+      inset         : '0',
+      zIndex        : '2147483647',
+      pointerEvents : 'none',
+    });
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = getPickerCSS();
+    const box   = document.createElement('div');
+    box.className = 'box';
+    const label = document.createElement('span');
+    label.className = 'label';
+    box.appendChild(label);
+    const hint  = document.createElement('div');
+    hint.className   = 'hint';
+    hint.setAttribute('role', 'status');
+    hint.textContent = 'Click what you want to hide · ↑ ↓ larger or smaller area · Enter hides · Esc cancels';
+    root.append(style, box, hint);
+
+    document.body.appendChild(host);
+    window.OtterPage.keep(host);
+
+    picker = { host, box, label, target: null, trail: [] };
+    window.addEventListener('mousemove', onPickerMove, true);
+    window.addEventListener('scroll', drawPicker, { capture: true, passive: true });
+    window.addEventListener('keydown', onPickerKey, true);
+    for (const type of ['pointerdown', 'mousedown', 'mouseup', 'click']) {
+      window.addEventListener(type, onPickerClick, true);
+    }
+    if (from) setPickerTarget(from);
+  }
+
+  function stopPicker() {
+    if (!picker) return;
+    window.OtterPage.remove(picker.host);
+    picker = null;
+    window.removeEventListener('mousemove', onPickerMove, true);
+    window.removeEventListener('scroll', drawPicker, true);
+    window.removeEventListener('keydown', onPickerKey, true);
+    for (const type of ['pointerdown', 'mousedown', 'mouseup', 'click']) {
+      window.removeEventListener(type, onPickerClick, true);
+    }
+  }
+
+  // Elements inside open shadow roots arrive as their host, which a
+  // document-level selector can reach
+  function setPickerTarget(el, trail = []) {
+    if (!el || el === document.body || el === document.documentElement || el === picker.host) return;
+    picker.target = el;
+    picker.trail  = trail;
+    drawPicker();
+  }
+
+  function drawPicker() {
+    if (!picker?.target) return;
+    const rect = picker.target.getBoundingClientRect();
+    Object.assign(picker.box.style, {
+      display : 'block',
+      left    : `${rect.left}px`,
+      top     : `${rect.top}px`,
+      width   : `${rect.width}px`,
+      height  : `${rect.height}px`,
+    });
+    picker.label.textContent = stepOf(picker.target, false);
+  }
+
+  function onPickerMove(e) {
+    if (e.target !== picker.target) setPickerTarget(e.target);
+  }
+
+  function onPickerClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === 'click' && picker.target) hidePicked(picker.target);
+  }
+
+  function onPickerKey(e) {
+    const { target, trail } = picker;
+    switch (e.key) {
+      case 'Escape':    stopPicker(); break;
+      case 'Enter':     if (target) hidePicked(target); break;
+      case 'ArrowUp':   if (target) setPickerTarget(target.parentElement, [...trail, target]); break;
+      case 'ArrowDown': if (trail.length) setPickerTarget(trail.at(-1), trail.slice(0, -1)); break;
+      default:          return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  async function hidePicked(el) {
+    const selector = selectorOf(el);
+    stopPicker();
+    picked = [...picked.filter(s => s !== selector), selector];
+    writeStyle();
+
+    // file:// and other pages without a site profile only hide it this time
+    const origin = window.StorageHelper.currentOrigin();
+    if (origin) await window.StorageHelper.addHiddenElement(origin, selector);
+  }
+
+  // A selector that finds `el` again on the next visit: from the closest
+  // ancestor with a stable id, or from <body>, stopping as soon as it is unique
+  function selectorOf(el) {
+    const steps = [];
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      if (node.id && !/\d{3}/.test(node.id) && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        steps.unshift(`#${CSS.escape(node.id)}`);
+        return steps.join(' > ');
+      }
+      steps.unshift(stepOf(node, true));
+      if (document.querySelectorAll(steps.join(' > ')).length === 1) return steps.join(' > ');
+    }
+    return ['body', ...steps].join(' > ');
+  }
+
+  // "div.banner.top:nth-of-type(2)". Generated class names (long digit runs)
+  // change between visits and are left out.
+  function stepOf(node, withPosition) {
+    const classes = [...node.classList]
+      .filter(c => /^[a-z_-][\w-]*$/i.test(c) && !/\d{3}/.test(c))
+      .slice(0, 2)
+      .map(c => `.${CSS.escape(c)}`)
+      .join('');
+    let step = `${node.localName}${classes}`;
+    const same = withPosition && node.parentElement
+      ? [...node.parentElement.children].filter(s => s.localName === node.localName)
+      : [];
+    if (same.length > 1) step += `:nth-of-type(${same.indexOf(node) + 1})`;
+    return step;
+  }
+
+  function getPickerCSS() {
+    return /* css */ `
+      .box {
+        display       : none;
+        position      : fixed;
+        box-sizing    : border-box;
+        border        : 2px solid #f5c842;
+        border-radius : 3px;
+        background    : rgba(245, 200, 66, 0.18);
+      }
+      .label {
+        position      : absolute;
+        left          : -2px;
+        bottom        : 100%;
+        max-width     : 320px;
+        padding       : 2px 6px;
+        overflow      : hidden;
+        border-radius : 3px 3px 0 0;
+        background    : #f5c842;
+        color         : #0d0d10;
+        font          : 600 11px/1.4 ui-monospace, Menlo, Consolas, monospace;
+        white-space   : nowrap;
+        text-overflow : ellipsis;
+      }
+      .hint {
+        position      : fixed;
+        top           : 12px;
+        left          : 50%;
+        transform     : translateX(-50%);
+        max-width     : calc(100vw - 24px);
+        padding       : 8px 14px;
+        border        : 1px solid #f5c842;
+        border-radius : 10px;
+        background    : rgba(22, 22, 28, 0.96);
+        box-shadow    : 0 6px 24px rgba(0, 0, 0, 0.35);
+        color         : #eae8e1;
+        font          : 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      }
+    `;
+  }
+
+  // ── Message Listener ───────────────────────────────────────────────────────
+  function registerMessageListener() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      switch (message.type) {
+
+        case 'DISTRACTION_TOGGLE':
+          isEnabled = !!message.enabled;
+          apply();
+          sendResponse({ ok: true, enabled: isEnabled });
+          break;
+
+        // A category switch changed in the popup
+        case 'DISTRACTION_UPDATE':
+          read(message.settings || {});
+          apply();
+          sendResponse({ ok: true });
+          break;
+
+        // Popup (top frame) or context menu; `fromMenu` starts on the element
+        // that was right-clicked
+        case 'PICK_ELEMENT':
+          if (!IS_TOP) break;
+          window.StorageHelper.getEffective([]).then((res) => {
+            if (!res.otterPaused) startPicker(message.fromMenu ? contextTarget : null);
+            sendResponse({ ok: !res.otterPaused });
+          }).catch(err => sendResponse({ ok: false, error: err.message }));
+          return true;
+
+        // The popup forgot this site's hidden elements
+        case 'HIDDEN_ELEMENTS_CHANGED':
+          if (!IS_TOP) break;
+          window.StorageHelper.getEffective([KEYS.HIDDEN_ELEMENTS]).then((res) => {
+            read(res);
+            writeStyle();
+            sendResponse({ ok: true });
+          }).catch(err => sendResponse({ ok: false, error: err.message }));
+          return true;
+
+        // Service worker sends this after navigation to re-apply all features
+        case 'REAPPLY_STATE':
+          reapply(message.state || {});
+          sendResponse({ ok: true });
+          break;
+
+        default:
+          break;
+      }
+      return true;
+    });
+
+    // Client-side navigation or a new <body> (page-watcher.js)
+    window.OtterEvents?.addEventListener('reapply', (e) => reapply(e.detail.state));
+  }
+
+  function reapply(state) {
+    read(state);
+    if (isPaused) stopPicker();
+    apply();
+  }
+
+})();
@@ -3,6 +3,20 @@
  *   - Shadow DOM (mode: 'closed') for full CSS isolation from host page
  *   - Single-element CSS gradient masking (avoids 1px gap at non-integer DPR)
  *   - requestAnimationFrame loop decoupled from mousemove events
+ *   - Follow modes (rulerFollow): the band tracks the mouse, steps line by
+ *     line with ↑/↓ or j/k, follows the text caret / focused element, or
+ *     follows the word being spoken. Every source just writes pendingY.
+ *   - Snap mode (rulerSnap): the rAF loop resolves pendingY to the text line
+ *     box under it and eases the band's position and height onto that line.
+ *   - Shapes (rulerShape): the full-width band is a gradient; the spotlight,
+ *     paragraph and column shapes cut a rectangular window out of a solid
+ *     dim layer with clip-path, bounded by --win-left / --win-right.
+ *   - Looks (rulerStyle …): the mask can dim in any color, blur, or be
+ *     replaced by an underline guide; the window itself can be tinted and
+ *     its edge lines recolored / resized. All of it is CSS variables too.
+ *   - Frames: only the top frame draws the overlay. Subframes resolve the
+ *     window against their own text and post it to their parent, which
+ *     offsets it by the <iframe>'s position (relaying again when nested).
  *   - CSS custom properties as the sole JS→CSS interface (GPU compositing)
  *   - chrome.storage.local for persistent state
  *   - chrome.runtime.onMessage for live popup → content script control
@@ -20,6 +34,16 @@
       RULER_ENABLED : 'focusRulerEnabled',
       RULER_HEIGHT  : 'rulerHeight',
       DIM_OPACITY   : 'dimOpacity',
+      RULER_FOLLOW  : 'rulerFollow',
+      RULER_SNAP    : 'rulerSnap',
+      RULER_SHAPE   : 'rulerShape',
+      RULER_WIDTH   : 'rulerWidth',
+      RULER_STYLE   : 'rulerStyle',
+      RULER_MASK_COLOR   : 'rulerMaskColor',
+      RULER_TINT_ENABLED : 'rulerTintEnabled',
+      RULER_TINT    : 'rulerTint',
+      RULER_LINE_COLOR   : 'rulerLineColor',
+      RULER_LINE_WIDTH   : 'rulerLineWidth',
     };
   
     // ── Constants ──────────────────────────────────────────────────────────────
@@ -28,31 +52,87 @@
     const DEFAULT_HEIGHT  = 40;
     const DEFAULT_OPACITY = 0.75;
     const DEFAULT_Y       = window.innerHeight / 2;
+    const DEFAULT_FOLLOW  = 'mouse';     // 'mouse' | 'keyboard' | 'caret' | 'tts'
+    const DEFAULT_SHAPE   = 'band';      // 'band' | 'spotlight' | 'paragraph' | 'column'
+    const DEFAULT_WIDTH   = 480;         // spotlight width in px
+    const WINDOW_CLASS    = 'ruler-overlay--window';
+    const INLINE_DISPLAY  = /^(inline|contents$)/;
+    const TINT_ALPHA      = 0.3;
+    const DEFAULT_LOOK    = {
+      style       : 'mask',      // 'mask' | 'blur' | 'underline'
+      maskColor   : '#000000',
+      tintEnabled : false,
+      tint        : '#ffff99',
+      lineColor   : '#f5c842',
+      lineWidth   : 1,           // px, 0 hides the edge lines
+    };
+    const EDGE_MARGIN     = 48;          // px from the viewport edge where stepping scrolls the page
+    const SNAP_PADDING    = 4;           // px added above and below a snapped line
+    const SNAP_EASE       = 0.35;        // fraction of the remaining distance covered per frame
+    const SNAP_PROBE      = 160;         // px searched for the next line when stepping
+    const IS_TOP          = window === window.top;
+    const FRAME_MESSAGE   = '__otterRulerTarget__';   // key of the window.postMessage payload
   
     // ── Module state ───────────────────────────────────────────────────────────
     let shadowHost = null;
     let shadowRoot = null;
     let overlay    = null;
+    let look       = { ...DEFAULT_LOOK };
     let isEnabled  = false;
     let rafId      = null;
     let pendingY   = null;
     let currentY   = DEFAULT_Y;
+    let currentHeight = DEFAULT_HEIGHT;
+    let currentLeft = null;
+    let currentRight = null;
+    let rulerHeight = DEFAULT_HEIGHT;
+    let followMode = DEFAULT_FOLLOW;
+    let caretTarget = null;   // Range or Element followed in 'caret' mode
+    let ttsTarget  = null;    // Range of the word being spoken
+    let snapToLines = false;
+    let rulerShape = DEFAULT_SHAPE;
+    let rulerWidth = DEFAULT_WIDTH;
+    let target     = null;    // { y, height, left?, right? } the window is drawn at / easing towards
+    let lastY      = null;    // last requested Y, resolved again when the page scrolls
+    let pointerX   = null;    // X used to find the line under the band
+    let remote     = null;    // { frame, target } when the window was posted by a subframe
+    let contextPoint = null;  // { x, y } of the last right-click ("Turn on focus ruler here")
   
     // ── Bootstrap ──────────────────────────────────────────────────────────────
     init();
   
     async function init() {
       try {
-        const result = await chrome.storage.local.get([
+        const result = await window.StorageHelper.getEffective([
           KEYS.RULER_ENABLED,
           KEYS.RULER_HEIGHT,
           KEYS.DIM_OPACITY,
+          KEYS.RULER_FOLLOW,
+          KEYS.RULER_SNAP,
+          KEYS.RULER_SHAPE,
+          KEYS.RULER_WIDTH,
+          KEYS.RULER_STYLE,
+          KEYS.RULER_MASK_COLOR,
+          KEYS.RULER_TINT_ENABLED,
+          KEYS.RULER_TINT,
+          KEYS.RULER_LINE_COLOR,
+          KEYS.RULER_LINE_WIDTH,
         ]);
   
         if (result[KEYS.RULER_ENABLED] === true) {
           enable({
             height  : result[KEYS.RULER_HEIGHT] ?? DEFAULT_HEIGHT,
             opacity : result[KEYS.DIM_OPACITY]  ?? DEFAULT_OPACITY,
+            follow  : result[KEYS.RULER_FOLLOW] ?? DEFAULT_FOLLOW,
+            snap    : result[KEYS.RULER_SNAP] === true,
+            shape   : result[KEYS.RULER_SHAPE] ?? DEFAULT_SHAPE,
+            width   : result[KEYS.RULER_WIDTH] ?? DEFAULT_WIDTH,
+            style       : result[KEYS.RULER_STYLE],
+            maskColor   : result[KEYS.RULER_MASK_COLOR],
+            tintEnabled : result[KEYS.RULER_TINT_ENABLED],
+            tint        : result[KEYS.RULER_TINT],
+            lineColor   : result[KEYS.RULER_LINE_COLOR],
+            lineWidth   : result[KEYS.RULER_LINE_WIDTH],
           });
         }
       } catch (err) {
@@ -60,15 +140,26 @@
       }
   
       registerMessageListener();
+      document.addEventListener('contextmenu', (e) => {
+        contextPoint = { x: e.clientX, y: e.clientY };
+      }, { capture: true, passive: true });
     }
   
     // ── Enable / Disable ───────────────────────────────────────────────────────
     function enable(settings = {}) {
       if (isEnabled) { applySettings(settings); return; }
       isEnabled = true;
-      createOverlay(settings);
+      if (IS_TOP) createOverlay(settings);
+      applySettings(settings);
       window.addEventListener('mousemove', onMouseMove, { passive: true });
+      window.addEventListener('mousedown', onMouseDown, { passive: true });
       window.addEventListener('resize',   onResize,    { passive: true });
+      window.addEventListener('scroll',   onScroll,    { passive: true, capture: true });
+      window.addEventListener('keydown',  onKeyDown,   true);
+      document.addEventListener('selectionchange', onSelectionChange);
+      document.addEventListener('focusin', onFocusIn);
+      window.OtterEvents?.addEventListener('tts-position', onTtsPosition);
+      window.addEventListener('message', onFrameMessage);
       startRaf();
       console.debug('[AccessiLens] Focus Ruler enabled.');
     }
@@ -78,14 +169,24 @@
       isEnabled = false;
       stopRaf();
       window.removeEventListener('mousemove', onMouseMove);
+      window.removeEventListener('mousedown', onMouseDown);
       window.removeEventListener('resize',   onResize);
+      window.removeEventListener('scroll',   onScroll, { capture: true });
+      window.removeEventListener('keydown',  onKeyDown, true);
+      document.removeEventListener('selectionchange', onSelectionChange);
+      document.removeEventListener('focusin', onFocusIn);
+      window.OtterEvents?.removeEventListener('tts-position', onTtsPosition);
+      window.removeEventListener('message', onFrameMessage);
+      caretTarget = null;
+      target      = null;
+      remote      = null;
       destroyOverlay();
       console.debug('[AccessiLens] Focus Ruler disabled.');
     }
   
     // ── Shadow DOM + Overlay ───────────────────────────────────────────────────
     function createOverlay({ height = DEFAULT_HEIGHT, opacity = DEFAULT_OPACITY } = {}) {
-      document.getElementById(SHADOW_HOST_ID)?.remove();
+      window.OtterPage.remove(document.getElementById(SHADOW_HOST_ID));
   
       shadowHost = document.createElement('div');
       shadowHost.id = SHADOW_HOST_ID;
@@ -109,19 +210,28 @@
   
       overlay = document.createElement('div');
       overlay.className = OVERLAY_CLASS;
+      for (const part of ['ruler-mask', 'ruler-band']) {
+        const el = document.createElement('div');
+        el.className = part;
+        overlay.appendChild(el);
+      }
       shadowRoot.appendChild(overlay);
+      applyLook();
   
       setVar('--ruler-y',      `${currentY}px`);
       setVar('--ruler-height', `${height}px`);
       setVar('--dim-opacity',  `${opacity}`);
+      currentHeight = height;
+      currentLeft   = currentRight = null;
       setVar('--vw',           `${window.innerWidth}px`);
       setVar('--vh',           `${window.innerHeight}px`);
   
       (document.body || document.documentElement).appendChild(shadowHost);
+      window.OtterPage.keep(shadowHost);
     }
   
     function destroyOverlay() {
-      shadowHost?.remove();
+      window.OtterPage.remove(shadowHost);
       shadowHost = null;
       shadowRoot = null;
       overlay    = null;
@@ -132,9 +242,42 @@
       overlay?.style.setProperty(name, value);
     }
   
-    function applySettings({ height, opacity } = {}) {
-      if (height  !== undefined) setVar('--ruler-height', `${height}px`);
+    // The loop owns --ruler-y / --ruler-height / --win-*; settings only
+    // change how the next position is resolved.
+    function applySettings({ height, opacity, follow, snap, shape, width, ...rest } = {}) {
+      if (height  !== undefined) rulerHeight = height;
       if (opacity !== undefined) setVar('--dim-opacity',  `${opacity}`);
+      if (follow  !== undefined) { followMode = follow; caretTarget = null; }
+      if (snap    !== undefined) snapToLines = snap;
+      if (width   !== undefined) rulerWidth  = width;
+      if (shape   !== undefined) { rulerShape = shape; target = null; }
+      for (const key of Object.keys(DEFAULT_LOOK)) {
+        if (rest[key] !== undefined) look[key] = rest[key];
+      }
+      applyLook();
+      // A subframe only posts a window after input of its own, otherwise every
+      // settings change would pull the ruler into the frame
+      if (IS_TOP) pendingY ??= lastY ?? currentY;
+    }
+
+    // Blur needs the clip-path window even for the full-width band, since a
+    // backdrop-filter can't be limited by a gradient
+    function applyLook() {
+      overlay?.classList.toggle(WINDOW_CLASS, rulerShape !== 'band' || look.style === 'blur');
+      overlay?.classList.toggle('ruler-overlay--blur',      look.style === 'blur');
+      overlay?.classList.toggle('ruler-overlay--underline', look.style === 'underline');
+      setVar('--mask-rgb',   rgbTriplet(look.maskColor) ?? '0, 0, 0');
+      setVar('--tint-rgb',   rgbTriplet(look.tint) ?? '0, 0, 0');
+      setVar('--tint-alpha', look.tintEnabled ? `${TINT_ALPHA}` : '0');
+      setVar('--line-rgb',   rgbTriplet(look.lineColor) ?? '245, 200, 66');
+      setVar('--line-width', `${look.lineWidth}px`);
+    }
+
+    function rgbTriplet(hex) {
+      const m = /^#([0-9a-f]{6})$/i.exec(hex || '');
+      if (!m) return null;
+      const n = parseInt(m[1], 16);
+      return `${n >> 16}, ${(n >> 8) & 255}, ${n & 255}`;
     }
   
     // ── rAF Loop ───────────────────────────────────────────────────────────────
@@ -146,10 +289,13 @@
       function loop() {
         if (!isEnabled) return;
         if (pendingY !== null) {
-          currentY = pendingY;
+          lastY    = pendingY;
+          target   = resolveTarget(pendingY);
+          remote   = null;
           pendingY = null;
-          setVar('--ruler-y', `${currentY}px`);
+          if (!IS_TOP) postTarget(target);
         }
+        if (target && IS_TOP) render(target);
         rafId = requestAnimationFrame(loop);
       }
       rafId = requestAnimationFrame(loop);
@@ -160,12 +306,319 @@
     }
   
     // ── Event Handlers ─────────────────────────────────────────────────────────
-    function onMouseMove(e) { pendingY = e.clientY; }
+    // Speech mode falls back to the mouse while nothing is being read
+    function onMouseMove(e) {
+      pointerX = e.clientX;
+      if (followMode === 'mouse' || (followMode === 'tts' && !ttsTarget)) pendingY = e.clientY;
+    }
+
+    // Keyboard mode: a click places the ruler, the keys take it from there
+    function onMouseDown(e) {
+      if (followMode === 'keyboard') pendingY = e.clientY;
+    }
+
     function onResize() {
       setVar('--vw', `${window.innerWidth}px`);
       setVar('--vh', `${window.innerHeight}px`);
     }
+
+    // Followed targets move with the page
+    function onScroll() {
+      if (remote) { target = frameTarget(remote.frame, remote.target) ?? target; return; }
+      if (followMode === 'caret' && caretTarget) followTarget(caretTarget);
+      else if (followMode === 'tts' && ttsTarget) followTarget(ttsTarget);
+      else if ((snapToLines || rulerShape !== 'band') && lastY !== null) pendingY ??= lastY;   // text moved under a still window
+    }
+
+    // ── Keyboard mode ──────────────────────────────────────────────────────────
+    const STEP_KEYS = { ArrowDown: 1, j: 1, ArrowUp: -1, k: -1 };
+
+    function onKeyDown(e) {
+      if (followMode !== 'keyboard' || e.defaultPrevented) return;
+      if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      const direction = STEP_KEYS[e.key];
+      if (!direction || isEditable(e.target)) return;
+
+      e.preventDefault();   // the ruler scrolls the page itself at the edges
+      let fromY = pendingY ?? target?.y ?? currentY;
+      // Paragraph focus steps block to block: search from its first/last line
+      if (rulerShape === 'paragraph' && target && pendingY === null) {
+        fromY = target.y + direction * (target.height / 2 - SNAP_PADDING - 1);
+      }
+      const snapped = snapToLines || rulerShape === 'paragraph';
+      const nextY   = (snapped && nextLineFrom(fromY, direction)) || fromY + direction * lineStepAt(fromY);
+      moveTo(nextY, true);
+    }
+
+    function isEditable(el) {
+      return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+    }
+
+    // One line of whatever text sits under the ruler
+    function lineStepAt(y) {
+      for (const fx of [0.5, 0.33, 0.66]) {
+        const el = document.elementFromPoint(window.innerWidth * fx, y);
+        if (!el || el === document.documentElement || el === document.body) continue;
+        const cs = getComputedStyle(el);
+        const lh = cs.lineHeight === 'normal'
+          ? parseFloat(cs.fontSize) * 1.2
+          : parseFloat(cs.lineHeight);
+        if (lh > 0) return Math.min(96, Math.max(12, lh));
+      }
+      return rulerHeight;
+    }
+
+    // Moves the band to `y`; with autoScroll the page scrolls instead once the
+    // band reaches the edge, so it never leaves the viewport.
+    function moveTo(y, autoScroll) {
+      const margin = Math.max(rulerHeight, EDGE_MARGIN);
+      const bottom = window.innerHeight - margin;
+      if (autoScroll && (y > bottom || y < margin)) {
+        const before = window.scrollY;
+        window.scrollBy({ top: y > bottom ? y - bottom : y - margin, behavior: 'instant' });
+        y -= window.scrollY - before;
+      }
+      pendingY = Math.min(window.innerHeight, Math.max(0, y));
+    }
+
+    // Context menu: the window starts at the right-clicked point and the
+    // follow mode takes over from there
+    function placeAtContextPoint() {
+      if (!contextPoint) return;
+      pointerX    = contextPoint.x;
+      caretTarget = null;
+      moveTo(contextPoint.y, false);
+    }
+
+    // ── Caret / focus mode ─────────────────────────────────────────────────────
+    function onSelectionChange() {
+      if (followMode !== 'caret') return;
+      const sel = document.getSelection();
+      if (!sel?.focusNode) return;
+      const caret = document.createRange();
+      caret.setStart(sel.focusNode, sel.focusOffset);
+      caretTarget = caret;
+      followTarget(caret);
+    }
+
+    function onFocusIn(e) {
+      // A focused <iframe> is followed by the script inside it
+      if (followMode !== 'caret' || e.target === shadowHost || e.target instanceof HTMLIFrameElement) return;
+      caretTarget = e.target;
+      followTarget(e.target);
+    }
+
+    // ── Speech mode ────────────────────────────────────────────────────────────
+    function onTtsPosition(e) {
+      ttsTarget = e.detail?.range || null;
+      if (followMode === 'tts' && ttsTarget) followTarget(ttsTarget);
+    }
+
+    function followTarget(target) {
+      const rect = targetRect(target);
+      if (!rect) return;
+      if (rect.width) pointerX = rect.left + Math.min(rect.width / 2, 8);
+      moveTo(rect.top + rect.height / 2, false);
+    }
+
+    // Collapsed carets in element nodes (and carets inside <input>/<textarea>,
+    // which the document selection can't see) have no box — use the element.
+    // For tall elements only their first line is interesting.
+    function targetRect(target) {
+      if (target instanceof Range) {
+        const rect = target.getClientRects()[0] || target.getBoundingClientRect();
+        if (rect.height) return rect;
+        const node = target.startContainer;
+        target = document.activeElement && isEditable(document.activeElement)
+          ? document.activeElement
+          : (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+        if (!target) return null;
+      }
+      const rect = target.getBoundingClientRect();
+      if (!rect.height) return null;
+      if (rect.height <= rulerHeight * 3) return rect;
+      return { top: rect.top, height: lineStepAt(rect.top + 4) };
+    }
   
+    // ── Shapes ─────────────────────────────────────────────────────────────────
+    // Where the window goes for a requested Y. The band shapes take their
+    // height from snap mode or the slider; spotlight and column only add
+    // horizontal bounds.
+    function resolveTarget(y) {
+      const x = pointerX ?? window.innerWidth / 2;
+
+      if (rulerShape === 'paragraph') {
+        const block = textBlockAt(x, y);
+        if (block) {
+          return {
+            y      : block.top + block.height / 2,
+            height : block.height + SNAP_PADDING * 2,
+            left   : block.left - SNAP_PADDING,
+            right  : block.right + SNAP_PADDING,
+          };
+        }
+        return holdTarget(y) || { y, height: rulerHeight, left: 0, right: window.innerWidth };
+      }
+
+      const band = snapToLines ? snapLineAt(x, y) : { y, height: rulerHeight };
+      if (rulerShape === 'spotlight') {
+        return { ...band, left: x - rulerWidth / 2, right: x + rulerWidth / 2 };
+      }
+      if (rulerShape === 'column') {
+        // In the gutter between columns keep the last column
+        const block = textBlockAt(x, y);
+        const left  = block ? block.left  : (target?.left  ?? 0);
+        const right = block ? block.right : (target?.right ?? window.innerWidth);
+        return { ...band, left: left - SNAP_PADDING, right: right + SNAP_PADDING };
+      }
+      return band;
+    }
+
+    // Between lines or paragraphs: keep the current window until the
+    // requested Y clearly leaves it
+    function holdTarget(y) {
+      return target && Math.abs(y - target.y) <= target.height ? target : null;
+    }
+
+    // The box of the nearest non-inline ancestor of the text at (x, y)
+    function textBlockAt(x, y) {
+      const line = lineBoxAt(x, y);
+      for (let el = line?.node.parentElement; el && el !== document.body; el = el.parentElement) {
+        if (INLINE_DISPLAY.test(getComputedStyle(el).display)) continue;
+        return el.getBoundingClientRect();
+      }
+      return null;
+    }
+
+    // Snapped shapes and the paragraph window glide; the plain band jumps
+    // straight to the pointer as it always has.
+    function render(next) {
+      const glide = snapToLines || rulerShape === 'paragraph';
+      const step  = glide ? approach : (_from, to) => to;
+      if (currentY === next.y && currentHeight === next.height
+          && currentLeft === (next.left ?? null) && currentRight === (next.right ?? null)) return;
+
+      currentY      = step(currentY, next.y);
+      currentHeight = step(currentHeight, next.height);
+      setVar('--ruler-y',      `${currentY}px`);
+      setVar('--ruler-height', `${currentHeight}px`);
+
+      if (next.left === undefined) {
+        // Full width again: fall back to the CSS defaults (0px / 100%)
+        if (currentLeft !== null) {
+          overlay?.style.removeProperty('--win-left');
+          overlay?.style.removeProperty('--win-right');
+        }
+        currentLeft = currentRight = null;
+        return;
+      }
+      currentLeft  = currentLeft  === null ? next.left  : step(currentLeft, next.left);
+      currentRight = currentRight === null ? next.right : step(currentRight, next.right);
+      setVar('--win-left',  `${currentLeft}px`);
+      setVar('--win-right', `${currentRight}px`);
+    }
+
+    function approach(from, to) {
+      const next = from + (to - from) * SNAP_EASE;
+      return Math.abs(to - next) < 0.5 ? to : next;
+    }
+
+    // ── Snap mode ──────────────────────────────────────────────────────────────
+    function snapLineAt(x, y) {
+      const line = lineBoxAt(x, y);
+      if (line) return { y: line.top + line.height / 2, height: line.height + SNAP_PADDING * 2 };
+      return holdTarget(y) || { y, height: rulerHeight };
+    }
+
+    // The line box of the text at (x, y), or null where there is no text.
+    // The caret position gives the glyph under the point; the glyph box is
+    // centered in its line, which is line-height tall.
+    function lineBoxAt(x, y) {
+      const hit  = document.caretRangeFromPoint?.(x, y);
+      const node = hit?.startContainer;
+      if (!node || node.nodeType !== Node.TEXT_NODE || !node.parentElement) return null;
+
+      const style = getComputedStyle(node.parentElement);
+      const glyph = document.createRange();
+      // At a line break the caret offset belongs to both lines — try either side
+      for (const i of [hit.startOffset, hit.startOffset - 1]) {
+        if (i < 0 || i >= node.length) continue;
+        glyph.setStart(node, i);
+        glyph.setEnd(node, i + 1);
+        const rect = [...glyph.getClientRects()].find(rc => rc.height > 0);
+        if (!rect) continue;
+
+        const height = style.lineHeight === 'normal'
+          ? rect.height
+          : Math.max(rect.height, parseFloat(style.lineHeight));
+        const top = rect.top + rect.height / 2 - height / 2;
+        if (y >= top && y <= top + height) return { top, height, node };
+      }
+      return null;
+    }
+
+    // Keyboard stepping: the center of the first line above/below the one at
+    // `y`, skipping paragraph gaps. null when no line is near enough.
+    function nextLineFrom(y, direction) {
+      const x    = pointerX ?? window.innerWidth / 2;
+      const here = lineBoxAt(x, y);
+      let probe  = here ? (direction > 0 ? here.top + here.height + 1 : here.top - 1) : y + direction;
+      for (let moved = 0; moved < SNAP_PROBE; moved += 4, probe += direction * 4) {
+        if (probe < 0 || probe > window.innerHeight) break;
+        const line = lineBoxAt(x, probe);
+        if (line && (!here || Math.abs(line.top - here.top) > 1)) return line.top + line.height / 2;
+      }
+      return null;
+    }
+
+    // ── Frames ─────────────────────────────────────────────────────────────────
+    // Subframes hand their resolved window up the frame tree with
+    // postMessage. Only messages whose source is one of this document's own
+    // frames are accepted, so the page can't steer the ruler from the top
+    // frame — a framed page could, but only to somewhere over its own frame.
+    function postTarget(next) {
+      const { y, height, left, right } = next;
+      window.parent.postMessage({ [FRAME_MESSAGE]: { y, height, left, right } }, '*');
+    }
+
+    function onFrameMessage(e) {
+      const posted = e.data?.[FRAME_MESSAGE];
+      if (!posted || !Number.isFinite(posted.y) || !Number.isFinite(posted.height)) return;
+      const frame = frameOf(e.source);
+      const next  = frame && frameTarget(frame, posted);
+      if (!next) return;
+
+      if (!IS_TOP) { postTarget(next); return; }
+      remote   = { frame, target: posted };
+      target   = next;
+      lastY    = null;
+      pendingY = null;
+    }
+
+    function frameOf(source) {
+      if (!source || source === window) return null;
+      for (const frame of document.querySelectorAll('iframe, frame')) {
+        if (frame.contentWindow === source) return frame;
+      }
+      return null;
+    }
+
+    // A subframe's window in this document's viewport: offset by the frame's
+    // content box, which moves whenever this document scrolls
+    function frameTarget(frame, posted) {
+      if (!frame.isConnected) return null;
+      const box   = frame.getBoundingClientRect();
+      const style = getComputedStyle(frame);
+      const dx    = box.left + frame.clientLeft + parseFloat(style.paddingLeft);
+      const dy    = box.top  + frame.clientTop  + parseFloat(style.paddingTop);
+      const next  = { y: posted.y + dy, height: posted.height };
+      if (Number.isFinite(posted.left) && Number.isFinite(posted.right)) {
+        next.left  = posted.left + dx;
+        next.right = posted.right + dx;
+      }
+      return next;
+    }
+
     // ── Message Listener ───────────────────────────────────────────────────────
     function registerMessageListener() {
       chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -173,7 +626,8 @@
   
           case 'FOCUS_RULER_TOGGLE':
             if (message.enabled) {
-              enable({ height: message.settings?.height, opacity: message.settings?.opacity });
+              enable(message.settings || {});
+              if (message.here) placeAtContextPoint();
             } else {
               disable();
             }
@@ -186,26 +640,35 @@
             break;
   
           case 'FOCUS_RULER_GET_STATE':
+            if (!IS_TOP) break;
             sendResponse({ ok: true, enabled: isEnabled, y: currentY });
             break;
   
           // Service worker sends this after navigation to re-apply all features
-          case 'REAPPLY_STATE': {
-            const s = message.state || {};
-            if (s.focusRulerEnabled) {
-              enable({ height: s.rulerHeight, opacity: s.dimOpacity });
-            } else {
-              disable();
-            }
+          case 'REAPPLY_STATE':
+            reapply(message.state || {});
             sendResponse({ ok: true });
             break;
-          }
   
           default:
             break;
         }
         return true;
       });
+
+      // Client-side navigation (page-watcher.js)
+      window.OtterEvents?.addEventListener('reapply', (e) => reapply(e.detail.state));
+    }
+
+    function reapply(s) {
+      if (s.focusRulerEnabled) {
+        enable({ height: s.rulerHeight, opacity: s.dimOpacity, follow: s.rulerFollow, snap: s.rulerSnap,
+                 shape: s.rulerShape, width: s.rulerWidth, style: s.rulerStyle,
+                 maskColor: s.rulerMaskColor, tintEnabled: s.rulerTintEnabled, tint: s.rulerTint,
+                 lineColor: s.rulerLineColor, lineWidth: s.rulerLineWidth });
+      } else {
+        disable();
+      }
     }
   
     // ── Inlined Shadow DOM CSS ────────────────────────────────────────────────
@@ -228,48 +691,86 @@
           width          : var(--vw, 100vw);
           height         : var(--vh, 100vh);
           pointer-events : none;
+
+          --win-top    : calc(var(--ruler-y, 50vh) - var(--ruler-height, 40px) / 2);
+          --win-bottom : calc(var(--ruler-y, 50vh) + var(--ruler-height, 40px) / 2);
+          --dim        : rgba(var(--mask-rgb, 0, 0, 0), var(--dim-opacity, 0.75));
+          --line       : rgba(var(--line-rgb, 245, 200, 66), 0.5);
+        }
+  
+        /* The dimmed (or blurred) area */
+        .ruler-mask {
+          position       : absolute;
+          inset          : 0;
+          pointer-events : none;
           will-change    : background;
   
           background: linear-gradient(
             to bottom,
-            rgba(0, 0, 0, var(--dim-opacity, 0.75)) 0px,
-            rgba(0, 0, 0, var(--dim-opacity, 0.75))
-              calc(var(--ruler-y, 50vh) - var(--ruler-height, 40px) / 2),
-  
-            transparent
-              calc(var(--ruler-y, 50vh) - var(--ruler-height, 40px) / 2),
-            transparent
-              calc(var(--ruler-y, 50vh) + var(--ruler-height, 40px) / 2),
-  
-            rgba(0, 0, 0, var(--dim-opacity, 0.75))
-              calc(var(--ruler-y, 50vh) + var(--ruler-height, 40px) / 2),
-            rgba(0, 0, 0, var(--dim-opacity, 0.75)) 100%
+            var(--dim) 0px,
+            var(--dim) var(--win-top),
+            transparent var(--win-top),
+            transparent var(--win-bottom),
+            var(--dim) var(--win-bottom),
+            var(--dim) 100%
           );
         }
   
-        .ruler-overlay::before,
-        .ruler-overlay::after {
+        /* The reading window: tint and edge lines */
+        .ruler-band {
+          position       : absolute;
+          top            : var(--win-top);
+          left           : var(--win-left, 0px);
+          width          : calc(var(--win-right, 100%) - var(--win-left, 0px));
+          height         : var(--ruler-height, 40px);
+          pointer-events : none;
+          background     : rgba(var(--tint-rgb, 0, 0, 0), var(--tint-alpha, 0));
+        }
+  
+        .ruler-band::before,
+        .ruler-band::after {
           content        : '';
           position       : absolute;
           left           : 0;
           width          : 100%;
-          height         : 1px;
+          height         : var(--line-width, 1px);
           pointer-events : none;
-          background     : rgba(245, 200, 66, 0.5);
-          box-shadow     : 0 0 6px 1px rgba(245, 200, 66, 0.2);
+          background     : var(--line);
+          box-shadow     : 0 0 calc(var(--line-width, 1px) * 6) var(--line-width, 1px)
+                           rgba(var(--line-rgb, 245, 200, 66), 0.2);
         }
   
-        .ruler-overlay::before {
-          top : calc(var(--ruler-y, 50vh) - var(--ruler-height, 40px) / 2);
+        .ruler-band::before { bottom : 100%; }
+        .ruler-band::after  { top    : 100%; }
+  
+        /* Spotlight / paragraph / column (and blur): a solid layer with a window cut out */
+        .ruler-overlay--window .ruler-mask {
+          will-change  : clip-path;
+          background   : var(--dim);
+          clip-path    : polygon(evenodd,
+            0 0, 100% 0, 100% 100%, 0 100%, 0 0,
+            var(--win-left, 0px) var(--win-top),
+            var(--win-right, 100%) var(--win-top),
+            var(--win-right, 100%) var(--win-bottom),
+            var(--win-left, 0px) var(--win-bottom),
+            var(--win-left, 0px) var(--win-top)
+          );
         }
   
-        .ruler-overlay::after {
-          top : calc(var(--ruler-y, 50vh) + var(--ruler-height, 40px) / 2);
+        /* Blur: Dim Intensity sets the blur radius instead of the darkness */
+        .ruler-overlay--blur .ruler-mask {
+          background      : transparent;
+          backdrop-filter : blur(calc(var(--dim-opacity, 0.75) * 8px));
         }
   
+        /* Underline: no mask, a single guide line under the window */
+        .ruler-overlay--underline .ruler-mask         { display    : none; }
+        .ruler-overlay--underline .ruler-band::before { display    : none; }
+        .ruler-overlay--underline .ruler-band::after  { background : rgba(var(--line-rgb, 245, 200, 66), 0.9); }
+  
         @media (prefers-reduced-motion: reduce) {
-          .ruler-overlay::before,
-          .ruler-overlay::after { box-shadow: none; }
+          .ruler-band::before,
+          .ruler-band::after { box-shadow: none; }
         }
       `;
     }
@@ -0,0 +1,244 @@
+/**
+ * Project Otter — content-scripts/focus-session.js
+ * Focus sessions: the gentle in-page notice for breaks in a work/break timer.
+ *
+ * Architecture:
+ *   - The timer itself runs in the service worker (chrome.alarms); this
+ *     script only follows the session it keeps in storage (FOCUS_SESSION),
+ *     through chrome.storage.onChanged and REAPPLY_STATE. Nothing is sent
+ *     back except "Skip break" (FOCUS_SESSION_SKIP).
+ *   - During a break a small card in the corner counts the break down. When
+ *     the next round starts it says so briefly and goes away by itself.
+ *   - Top frame only, and never on a paused site. The card lives in a closed
+ *     Shadow DOM; ✕ dismisses it for this tab.
+ *   - Relaxing the tools during a break is not done here: the resolved state
+ *     every content script receives already has them off.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  if (window.__otterFocusSessionLoaded) return;
+  window.__otterFocusSessionLoaded = true;
+
+  // One notice per tab, so subframes leave it to the top frame
+  if (window !== window.top) return;
+
+  // ── Local reference to globals from storage-helper.js ──────────────────────
+  const KEYS = window.STORAGE_KEYS || {
+    FOCUS_SESSION : 'focusSession',
+  };
+
+  // ── Constants ──────────────────────────────────────────────────────────────
+  const HOST_ID   = 'otter-focus-session-host';
+  const BACK_MS   = 8000;        // how long "back to focus" stays up
+  const MINUTE    = 60 * 1000;
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  let session   = {};      // the stored session, {} when none is running
+  let paused    = false;   // Otter is paused on this site
+  let notice    = null;    // { host, key, time, timer }
+  let dismissed = null;    // key of the notice closed with ✕
+
+  // ── Bootstrap ──────────────────────────────────────────────────────────────
+  init();
+
+  async function init() {
+    try {
+      const result = await window.StorageHelper.getEffective([KEYS.FOCUS_SESSION]);
+      update(result[KEYS.FOCUS_SESSION], result.otterPaused);
+    } catch (err) {
+      console.debug('[Project Otter] focus-session storage read failed:', err.message);
+    }
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes[KEYS.FOCUS_SESSION]) return;
+      update(changes[KEYS.FOCUS_SESSION].newValue || {}, paused);
+    });
+    registerMessageListener();
+  }
+
+  function update(next, isPaused) {
+    session = next?.phase ? next : {};
+    paused  = !!isPaused;
+    render();
+  }
+
+  // ── Notice ─────────────────────────────────────────────────────────────────
+  // Keyed by phase and end time, so re-renders leave the card alone and a
+  // dismissed notice stays dismissed until the next phase
+  function render() {
+    const key = session.phase ? `${session.phase}:${session.endsAt}` : null;
+    const startedAgo = Date.now() - (session.endsAt - session.workMinutes * MINUTE);
+    const wanted = !paused && key !== dismissed && (
+      session.phase === 'break' ||
+      (session.phase === 'work' && session.round > 1 && startedAgo < BACK_MS)
+    );
+
+    if (!wanted) { hide(); return; }
+    if (notice?.key === key) return;
+    hide();
+
+    if (session.phase === 'break') {
+      show(key, 'Time for a break', `${session.breakMinutes} minutes to stand up, stretch and rest your eyes.`, true);
+      tick();
+      notice.timer = setInterval(tick, 1000);
+    } else {
+      show(key, `Back to focus — round ${session.round}`, `${session.workMinutes} minutes until your next break.`, false);
+      notice.timer = setTimeout(hide, BACK_MS - startedAgo);
+    }
+  }
+
+  function show(key, title, text, canSkip) {
+    const host = document.createElement('div');
+    host.id = HOST_ID;
+    Object.assign(host.style, {
+      all      : 'initial',
+      position : 'fixed',
+      zIndex   : '2147483647',
+      right    : '16px',
+      bottom   : '16px',
+    });
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = getNoticeCSS();
+    root.appendChild(style);
+
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.setAttribute('role', 'status');
+    card.setAttribute('aria-live', 'polite');
+
+    const head = document.createElement('div');
+    head.className = 'head';
+    const heading = document.createElement('span');
+    heading.className   = 'title';
+    heading.textContent = title;
+    head.appendChild(heading);
+    head.appendChild(button('Dismiss', '✕', 'close', () => {
+      dismissed = notice?.key ?? null;
+      hide();
+    }));
+    card.appendChild(head);
+
+    const body = document.createElement('p');
+    body.className   = 'text';
+    body.textContent = text;
+    card.appendChild(body);
+
+    // Ticks every second, so it is left out of the announcement
+    const time = document.createElement('p');
+    time.className = 'text';
+    time.setAttribute('aria-live', 'off');
+    card.appendChild(time);
+
+    if (canSkip) {
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      actions.appendChild(button('Skip break', 'Skip break', 'skip', () => {
+        chrome.runtime.sendMessage({ type: 'FOCUS_SESSION_SKIP' }).catch(() => {});
+      }));
+      card.appendChild(actions);
+    }
+
+    root.appendChild(card);
+    (document.body || document.documentElement).appendChild(host);
+    window.OtterPage.keep(host);
+    notice = { host, key, time, timer: null };
+  }
+
+  function button(label, text, className, onClick) {
+    const btn = document.createElement('button');
+    btn.type        = 'button';
+    btn.className   = className;
+    btn.textContent = text;
+    btn.setAttribute('aria-label', label);
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function tick() {
+    if (!notice) return;
+    const left = Math.max(0, Math.ceil((session.endsAt - Date.now()) / 1000));
+    notice.time.textContent = `Back to work in ${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+  }
+
+  function hide() {
+    if (!notice) return;
+    clearInterval(notice.timer);
+    clearTimeout(notice.timer);
+    window.OtterPage.remove(notice.host);
+    notice = null;
+  }
+
+  function getNoticeCSS() {
+    return /* css */ `
+      .card {
+        box-sizing    : border-box;
+        width         : min(300px, calc(100vw - 32px));
+        padding       : 12px 14px 14px;
+        background    : rgba(22, 22, 28, 0.94);
+        border        : 1px solid #7bc8a4;
+        border-radius : 12px;
+        box-shadow    : 0 6px 24px rgba(0, 0, 0, 0.3);
+        color         : #eae8e1;
+        font          : 14px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        text-align    : left;
+        animation     : otter-fade-in 0.4s ease-out;
+      }
+      @keyframes otter-fade-in { from { opacity: 0; transform: translateY(8px); } }
+      @media (prefers-reduced-motion: reduce) { .card { animation: none; } }
+      .head    { display: flex; align-items: center; gap: 4px; }
+      .title   { flex: 1; font-size: 15px; font-weight: 700; color: #7bc8a4; }
+      .text    { margin: 4px 0 0; color: #c9c6bd; font-variant-numeric: tabular-nums; }
+      .actions { margin-top: 10px; text-align: right; }
+      button {
+        border      : none;
+        background  : transparent;
+        color       : #eae8e1;
+        font        : inherit;
+        line-height : 1;
+        cursor      : pointer;
+      }
+      button:focus-visible { outline: 2px solid #7bc8a4; outline-offset: 1px; }
+      .close {
+        width         : 28px;
+        height        : 28px;
+        border-radius : 50%;
+        font-size     : 13px;
+      }
+      .close:hover { background: rgba(123, 200, 164, 0.15); color: #7bc8a4; }
+      .skip {
+        padding       : 6px 12px;
+        border        : 1px solid rgba(123, 200, 164, 0.5);
+        border-radius : 999px;
+        font-size     : 13px;
+      }
+      .skip:hover { border-color: #7bc8a4; color: #7bc8a4; }
+    `;
+  }
+
+  // ── Message Listener ───────────────────────────────────────────────────────
+  function registerMessageListener() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      switch (message.type) {
+
+        // Service worker sends this after navigation, a pause and every phase
+        case 'REAPPLY_STATE':
+          update(message.state?.[KEYS.FOCUS_SESSION] ?? session, message.state?.otterPaused);
+          sendResponse({ ok: true });
+          break;
+
+        default:
+          break;
+      }
+      return true;
+    });
+
+    // Client-side navigation (page-watcher.js)
+    window.OtterEvents?.addEventListener('reapply', (e) => update(e.detail.state[KEYS.FOCUS_SESSION] ?? session, e.detail.state.otterPaused));
+  }
+
+})();
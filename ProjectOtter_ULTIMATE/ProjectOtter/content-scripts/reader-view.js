@@ -0,0 +1,388 @@
+/**
+ * Project Otter — content-scripts/reader-view.js
+ * Reader view: the page's article on its own — no menus, ads, sidebars or
+ * pop-ups — in a plain, quiet layout.
+ *
+ * Architecture:
+ *   - Opened and closed from the popup, the toggle-reader-view shortcut or the
+ *     context menu (READER_VIEW_TOGGLE). Top frame only: the view replaces
+ *     the whole page.
+ *   - The article is found by OtterArticle (utils/article-extractor.js) and
+ *     copied, not moved. Only its text, headings, paragraphs, lists, tables,
+ *     images and links come across — no scripts, classes, inline styles or
+ *     handlers. Everything else in <body> is hidden until the view closes.
+ *   - The copy lives in the page itself rather than in a shadow root or an
+ *     extension page, so every other feature applies to it unchanged: font,
+ *     spacing and text scale, overlay and dark mode, Bionic Reading,
+ *     syllables, the focus ruler, word lookup and Text to Speech (which reads
+ *     the view while it is open — see OtterArticle.extract).
+ *   - Its own styles carry no !important, so the user's typography settings
+ *     win over them.
+ *   - Closed with its ✕ button, the shortcut, the popup, or a navigation
+ *     inside the app.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  if (window.__otterReaderViewLoaded) return;
+  window.__otterReaderViewLoaded = true;
+
+  // Frames inside the page are hidden along with it
+  if (window !== window.top) return;
+
+  // ── Constants ──────────────────────────────────────────────────────────────
+  const ROOT_ID     = 'otter-reader';
+  const STYLE_ID    = 'otter-reader-style';
+  const OPEN_ATTR   = 'data-otter-reader';          // on <html> while open
+  const HIDDEN_ATTR = 'data-otter-reader-hidden';   // on the page's own <body> children
+
+  // Elements copied as themselves, with these attributes (plus lang and dir).
+  // Other elements are left out but their content is kept: block-level ones
+  // become a plain <div>, inline ones are unwrapped.
+  const KEEP_TAGS = {
+    P: [], H1: [], H2: [], H3: [], H4: [], H5: [], H6: [], BR: [], HR: [],
+    UL: [], OL: ['start', 'reversed', 'type'], LI: ['value'], DL: [], DT: [], DD: [],
+    BLOCKQUOTE: [], PRE: [], CODE: [], FIGURE: [], FIGCAPTION: [],
+    TABLE: [], CAPTION: [], THEAD: [], TBODY: [], TFOOT: [], TR: [],
+    TH: ['colspan', 'rowspan', 'scope'], TD: ['colspan', 'rowspan'],
+    A: ['title'], IMG: [], EM: [], STRONG: [], B: [], I: [], U: [], S: [], DEL: [], INS: [],
+    MARK: [], SMALL: [], SUB: [], SUP: [], Q: [], CITE: [], ABBR: ['title'], DFN: [],
+    TIME: ['datetime'], KBD: [], SAMP: [], VAR: [],
+  };
+  // Left out together with their content (fallback text, controls)
+  const DROP_TAGS = new Set([
+    'VIDEO', 'AUDIO', 'CANVAS', 'OBJECT', 'EMBED', 'SOURCE',
+    'INPUT', 'PROGRESS', 'METER', 'svg', 'math',
+  ]);
+  // Copies that may stay empty
+  const EMPTY_OK = new Set(['BR', 'HR', 'IMG', 'TD', 'TH']);
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  // { root, style, observer, anchors, href, scroll, returnFocus } while open
+  let view = null;
+
+  // ── Bootstrap ──────────────────────────────────────────────────────────────
+  registerMessageListener();
+
+  // ── Open / close ───────────────────────────────────────────────────────────
+  function open() {
+    if (view) return { ok: true, open: true };
+    if (!document.body) return { ok: false, error: 'This page has no content to show.' };
+
+    const article = window.OtterArticle.extract(document);
+    if (article.blocks.length === 0) return { ok: false, error: 'No article found on this page.' };
+
+    const anchors = new Map();   // page id → its copy, for in-article "#…" links
+    const root    = build(article, anchors);
+    if (!root) return { ok: false, error: 'No article found on this page.' };
+
+    const style = document.createElement('style');
+    style.id          = STYLE_ID;
+    style.textContent = getReaderCSS();
+    (document.head || document.documentElement).appendChild(style);
+    window.OtterPage.keep(style);
+
+    view = {
+      root,
+      style,
+      anchors,
+      observer    : new MutationObserver(onBodyChanged),
+      href        : pageOf(location.href),
+      scroll      : { x: window.scrollX, y: window.scrollY },
+      returnFocus : document.activeElement,
+    };
+
+    document.documentElement.setAttribute(OPEN_ATTR, '');
+    document.body.appendChild(root);
+    window.OtterPage.keep(root);
+    hidePage();
+
+    window.scrollTo(0, 0);
+    root.focus({ preventScroll: true });
+    return { ok: true, open: true };
+  }
+
+  function close() {
+    if (!view) return;
+    const { root, style, observer, scroll, returnFocus } = view;
+    view = null;
+
+    observer.disconnect();
+    window.OtterPage.remove(root);
+    window.OtterPage.remove(style);
+    document.documentElement.removeAttribute(OPEN_ATTR);
+    document.querySelectorAll(`[${HIDDEN_ATTR}]`).forEach(el => el.removeAttribute(HIDDEN_ATTR));
+
+    window.scrollTo(scroll.x, scroll.y);
+    if (returnFocus?.isConnected) returnFocus.focus?.({ preventScroll: true });
+  }
+
+  // ── Hiding the page ────────────────────────────────────────────────────────
+  // Everything in <body> but Otter's own nodes (the ruler, the overlay, the
+  // reading controls…), including what the page adds while the view is open
+  function hidePage() {
+    for (const el of document.body.children) hide(el);
+    view.observer.disconnect();
+    view.observer.observe(document.body, { childList: true });
+  }
+
+  function hide(el) {
+    if (el === view.root || window.OtterPage.kept.has(el)) return;
+    el.setAttribute(HIDDEN_ATTR, '');
+  }
+
+  function onBodyChanged(mutations) {
+    if (!view) return;
+    for (const m of mutations) {
+      m.addedNodes.forEach(node => { if (node.nodeType === Node.ELEMENT_NODE) hide(node); });
+    }
+  }
+
+  // The address without its #fragment; jumping within the article isn't
+  // leaving it
+  function pageOf(href) {
+    return href.split('#')[0];
+  }
+
+  // ── Building the view ──────────────────────────────────────────────────────
+  function build({ title, roots, blocks }, anchors) {
+    const article = document.createElement('article');
+    const lang    = languageOf(roots[0]);
+    if (lang) article.lang = lang;
+
+    // Many sites keep the headline outside the article container
+    const headline = blocks.find(b => b.tagName === 'H1');
+    if (!headline || !roots.some(r => r.contains(headline))) {
+      const h1 = document.createElement('h1');
+      h1.textContent = (headline?.textContent || title).trim();
+      if (h1.textContent) article.appendChild(h1);
+    }
+
+    for (const root of roots) copyElement(root, article, anchors);
+    if (!article.textContent.trim()) return null;
+
+    const root = document.createElement('div');
+    root.id       = ROOT_ID;
+    root.tabIndex = -1;
+    root.setAttribute('role', 'region');
+    root.setAttribute('aria-label', 'Reader view');
+    root.append(toolbar(), article);
+    root.addEventListener('click', onLinkClick);
+    return root;
+  }
+
+  function toolbar() {
+    const bar = document.createElement('div');
+    bar.className = 'otter-reader__bar';
+
+    const site = document.createElement('span');
+    site.textContent = location.hostname;
+
+    const btn = document.createElement('button');
+    btn.type        = 'button';
+    btn.textContent = '✕ Close';
+    btn.setAttribute('aria-label', 'Close reader view');
+    btn.addEventListener('click', close);
+
+    bar.append(site, btn);
+    return bar;
+  }
+
+  function copyChildren(from, into, anchors) {
+    for (const node of from.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) into.appendChild(document.createTextNode(node.data));
+      else if (node.nodeType === Node.ELEMENT_NODE) copyElement(node, into, anchors);
+    }
+  }
+
+  function copyElement(el, into, anchors) {
+    if (DROP_TAGS.has(el.tagName) || window.OtterArticle.isSkippedSubtree(el)) return;
+    const display = getComputedStyle(el).display;
+    if (display === 'none') return;
+
+    if (el.tagName === 'IMG') { copyImage(el, into); return; }
+
+    const attrs = KEEP_TAGS[el.tagName];
+    if (!attrs && display.startsWith('inline')) { copyChildren(el, into, anchors); return; }
+
+    const copy = document.createElement(attrs ? el.tagName.toLowerCase() : 'div');
+    for (const name of [...(attrs || []), 'lang', 'dir']) {
+      if (el.hasAttribute(name)) copy.setAttribute(name, el.getAttribute(name));
+    }
+
+    // Links to somewhere the reader can actually go; others become text
+    if (el.tagName === 'A') {
+      if (!/^(https?|mailto):/.test(el.href)) { copyChildren(el, into, anchors); return; }
+      copy.href = el.href;
+    }
+
+    copyChildren(el, copy, anchors);
+    if (!copy.hasChildNodes() && !EMPTY_OK.has(el.tagName)) return;
+    if (el.id && !anchors.has(el.id)) anchors.set(el.id, copy);
+    into.appendChild(copy);
+  }
+
+  // Lazy-loaded images often only have their real address in data-src
+  function copyImage(img, into) {
+    const src = img.currentSrc || img.src || img.dataset.src || '';
+    if (!/^(https?|data|blob):/.test(src)) return;
+    // Spacers and tracking pixels
+    if (img.complete && img.naturalWidth > 0 && img.naturalWidth <= 2) return;
+
+    const copy = document.createElement('img');
+    copy.src = src;
+    copy.alt = img.alt;
+    if (img.title) copy.title = img.title;
+    into.appendChild(copy);
+  }
+
+  // The article's language, so syllables and speech use the right one
+  function languageOf(el) {
+    return el?.closest('[lang]')?.getAttribute('lang') || document.documentElement.lang || '';
+  }
+
+  // Footnotes and tables of contents point at ids on the hidden page; go to
+  // the copy instead
+  function onLinkClick(e) {
+    const link = e.target.closest?.('a[href]');
+    if (!link || !view) return;
+    const url = new URL(link.href);
+    if (!url.hash || pageOf(url.href) !== view.href) return;
+    const target = view.anchors.get(decodeURIComponent(url.hash.slice(1)));
+    if (!target) return;
+    e.preventDefault();
+    target.scrollIntoView({ block: 'start' });
+  }
+
+  // ── Style ──────────────────────────────────────────────────────────────────
+  // `all: revert` drops whatever the page's own rules say about <p>, <a>…
+  function getReaderCSS() {
+    return /* css */ `
+      [${HIDDEN_ATTR}] { display: none !important; }
+      html[${OPEN_ATTR}] {
+        height     : auto !important;
+        overflow-y : auto !important;
+      }
+      html[${OPEN_ATTR}] > body {
+        display    : block !important;
+        position   : static !important;
+        height     : auto !important;
+        margin     : 0 !important;
+        padding    : 0 !important;
+        overflow   : visible !important;
+        transform  : none !important;
+      }
+
+      #${ROOT_ID}, #${ROOT_ID} * { all: revert; }
+      #${ROOT_ID} {
+        display    : block;
+        box-sizing : border-box;
+        min-height : 100vh;
+        padding    : 0 20px 64px;
+        background : #fbf8f1;
+        color      : #1f1d1a;
+        font       : 19px/1.6 Georgia, 'Times New Roman', serif;
+        text-align : start;
+      }
+      #${ROOT_ID}:focus { outline: none; }
+
+      #${ROOT_ID} .otter-reader__bar {
+        display         : flex;
+        align-items     : center;
+        justify-content : space-between;
+        max-width       : 70ch;
+        margin          : 0 auto;
+        padding         : 12px 0;
+        border-bottom   : 1px solid #e4ddcc;
+        color           : #6b665c;
+        font-size       : 14px;
+      }
+      #${ROOT_ID} .otter-reader__bar button {
+        padding       : 4px 10px;
+        border        : 1px solid #d6cfbe;
+        border-radius : 6px;
+        background    : transparent;
+        color         : inherit;
+        font          : inherit;
+        cursor        : pointer;
+      }
+      #${ROOT_ID} .otter-reader__bar button:hover { color: #1f1d1a; border-color: #b8ae97; }
+
+      #${ROOT_ID} article { display: block; max-width: 70ch; margin: 0 auto; padding-top: 24px; }
+      #${ROOT_ID} h1 { font-size: 2em;   line-height: 1.2;  margin: 0.4em 0 0.6em; }
+      #${ROOT_ID} h2 { font-size: 1.5em; line-height: 1.25; margin: 1.4em 0 0.5em; }
+      #${ROOT_ID} h3, #${ROOT_ID} h4, #${ROOT_ID} h5, #${ROOT_ID} h6 {
+        font-size : 1.2em;
+        margin    : 1.2em 0 0.4em;
+      }
+      #${ROOT_ID} p, #${ROOT_ID} ul, #${ROOT_ID} ol, #${ROOT_ID} dl, #${ROOT_ID} blockquote,
+      #${ROOT_ID} pre, #${ROOT_ID} figure, #${ROOT_ID} table {
+        margin : 0 0 1em;
+      }
+      #${ROOT_ID} a          { color: #1a5fb4; text-decoration: underline; }
+      #${ROOT_ID} img        { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+      #${ROOT_ID} figcaption { margin-top: 0.4em; color: #6b665c; font-size: 0.85em; text-align: center; }
+      #${ROOT_ID} blockquote { margin-left: 0; padding-left: 1em; border-left: 3px solid #d6cfbe; }
+      #${ROOT_ID} pre {
+        padding       : 0.75em 1em;
+        border-radius : 6px;
+        background    : #f1ece0;
+        font-size     : 0.85em;
+        white-space   : pre-wrap;
+      }
+      #${ROOT_ID} table  { display: block; overflow-x: auto; border-collapse: collapse; font-size: 0.9em; }
+      #${ROOT_ID} th, #${ROOT_ID} td {
+        padding        : 0.35em 0.6em;
+        border         : 1px solid #d6cfbe;
+        text-align     : start;
+        vertical-align : top;
+      }
+      #${ROOT_ID} th { background: #f1ece0; }
+      #${ROOT_ID} hr { margin: 2em 0; border: none; border-top: 1px solid #e4ddcc; }
+    `;
+  }
+
+  // ── Message Listener ───────────────────────────────────────────────────────
+  function registerMessageListener() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      switch (message.type) {
+
+        case 'READER_VIEW_TOGGLE':
+          if (view) { close(); sendResponse({ ok: true, open: false }); break; }
+          window.StorageHelper.getEffective([]).then((res) => {
+            sendResponse(res.otterPaused ? { ok: false, error: 'Otter is off on this site.' } : open());
+          }).catch(err => sendResponse({ ok: false, error: err.message }));
+          return true;
+
+        case 'READER_VIEW_STATE':
+          sendResponse({ ok: true, open: !!view });
+          break;
+
+        // Service worker sends this after navigation to re-apply all features
+        case 'REAPPLY_STATE':
+          reapply(message.state);
+          sendResponse({ ok: true });
+          break;
+
+        default:
+          break;
+      }
+      return true;
+    });
+
+    // Client-side navigation or a new <body> (page-watcher.js)
+    window.OtterEvents?.addEventListener('reapply', (e) => reapply(e.detail.state));
+  }
+
+  // Pausing Otter on the site or moving to another page closes the view; a
+  // re-rendered <body> gets its new content hidden (the view itself is put
+  // back by OtterPage)
+  function reapply(state) {
+    if (!view) return;
+    if (state?.otterPaused || pageOf(location.href) !== view.href) { close(); return; }
+    if (document.body) hidePage();
+  }
+
+})();
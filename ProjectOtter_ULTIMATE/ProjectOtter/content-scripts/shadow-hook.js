@@ -0,0 +1,41 @@
+/**
+ * Project Otter — content-scripts/shadow-hook.js
+ *
+ * Runs in the page's own JavaScript world at document_start (see
+ * manifest.json): attachShadow() calls made by page scripts are only visible
+ * from there. For every open root attached to a host that is already in the
+ * document, a composed, non-bubbling event is dispatched on the host;
+ * utils/shadow-roots.js catches it in the capture phase. Hosts that are not
+ * connected yet are picked up when they are inserted.
+ *
+ * No extension API is available here and nothing but that event crosses
+ * between the worlds. Closed roots are never reported.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  // Kept on the patched function, non-enumerable, so the page's own globals
+  // stay free of Otter
+  const HOOKED = Symbol.for('__otter-shadow-hook__');
+  if (Element.prototype.attachShadow[HOOKED]) return;
+
+  const SHADOW_EVENT  = '__otter-shadow-attached__';
+  const attachShadow  = Element.prototype.attachShadow;
+
+  // A method, like the native one: no `prototype`, not a constructor
+  const patched = {
+    attachShadow(init) {
+      const root = attachShadow.call(this, init);
+      if (init?.mode === 'open' && this.isConnected) {
+        this.dispatchEvent(new Event(SHADOW_EVENT, { composed: true }));
+      }
+      return root;
+    },
+  }.attachShadow;
+  Object.defineProperty(patched, 'name', { value: attachShadow.name });
+  Object.defineProperty(patched, HOOKED, { value: true });
+
+  Element.prototype.attachShadow = patched;
+})();
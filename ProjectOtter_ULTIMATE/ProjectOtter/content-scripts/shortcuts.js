@@ -0,0 +1,66 @@
+/**
+ * Project Otter — content-scripts/shortcuts.js
+ * In-page keyboard shortcuts, rebindable from the popup.
+ *
+ * Architecture:
+ *   - Bindings ({ action: combo }) are read from storage and kept in sync
+ *     through chrome.storage.onChanged, so a rebind in the popup reaches
+ *     every open tab at once.
+ *   - A matching keydown is swallowed and handed to the service worker as
+ *     SHORTCUT_ACTION, which runs it exactly like the Chrome command of the
+ *     same name — one implementation for both.
+ *   - Runs in every frame: keys only reach the frame that has focus.
+ *   - Nothing is bound while Otter is paused on the site, so the page keeps
+ *     all of its own shortcuts there.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  if (window.__otterShortcutsLoaded) return;
+  window.__otterShortcutsLoaded = true;
+
+  // ── Local reference to globals from storage-helper.js ──────────────────────
+  const KEYS = window.STORAGE_KEYS || {
+    SHORTCUT_BINDINGS : 'shortcutBindings',
+    PAUSED_SITES      : 'pausedSites',
+  };
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  let actionFor = new Map();   // combo → action
+
+  // ── Bootstrap ──────────────────────────────────────────────────────────────
+  load();
+
+  async function load() {
+    try {
+      const state = await window.StorageHelper.getEffective([KEYS.SHORTCUT_BINDINGS]);
+      actionFor = new Map();
+      if (state.otterPaused) return;
+      for (const [action, combo] of Object.entries(state[KEYS.SHORTCUT_BINDINGS])) {
+        if (combo) actionFor.set(combo, action);
+      }
+    } catch (err) {
+      console.debug('[Project Otter] shortcuts storage read failed:', err.message);
+    }
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes[KEYS.SHORTCUT_BINDINGS] || changes[KEYS.PAUSED_SITES])) load();
+  });
+
+  // Capture phase, so page handlers that stop propagation can't hide the key.
+  // Keys typed into a field belong to the field, as with the text-scale keys.
+  window.addEventListener('keydown', (e) => {
+    if (!actionFor.size || e.repeat || e.isComposing) return;
+    if (e.target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    const action = actionFor.get(window.OtterShortcuts.fromEvent(e));
+    if (!action) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    chrome.runtime.sendMessage({ type: 'SHORTCUT_ACTION', action }).catch(() => {});
+  }, true);
+
+})();
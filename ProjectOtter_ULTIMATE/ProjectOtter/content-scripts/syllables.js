@@ -0,0 +1,391 @@
+/**
+ * Project Otter — content-scripts/syllables.js
+ * Syllables: splits long words into syllables, marked with alternating
+ * colors, faint dots or thin gaps, so readers can decode them piece by piece.
+ *
+ * Architecture:
+ *   - Same wrappers as bionic-reading.js (utils/text-wrappers.js): the split
+ *     copy of each eligible text node goes into a <span data-otter-syllables>
+ *     just before it and the node is emptied, never taken out of its parent,
+ *     so disable() can put the text back even on framework-rendered pages.
+ *   - Every marker is CSS (a color, a ::before dot, a margin): the page text
+ *     itself is untouched, so copying, find-in-page and Text to Speech read
+ *     the words as written.
+ *   - Words are split with utils/hyphenation.js in the language of the
+ *     closest [lang] (the page's, or English when none is given). Patterns
+ *     are injected by the service worker the first time a language is seen;
+ *     text in that language waits in `waiting` until they arrive, and text in
+ *     a language without patterns is left alone.
+ *   - Never touches editable content (form fields, contenteditable,
+ *     designMode) or text Bionic Reading already converted.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  if (window.__otterSyllablesLoaded) return;
+  window.__otterSyllablesLoaded = true;
+
+  // ── Local reference to globals from storage-helper.js ──────────────────────
+  const KEYS = window.STORAGE_KEYS || {
+    SYLLABLES_ENABLED   : 'syllablesEnabled',
+    SYLLABLE_STYLE      : 'syllableStyle',
+    SYLLABLE_MIN_LENGTH : 'syllableMinLength',
+  };
+
+  // ── Constants ──────────────────────────────────────────────────────────────
+  const STYLE_ID      = 'otter-syllables-style';
+  const WRAPPER_ATTR  = 'data-otter-syllables';   // value: the language used
+  const BIONIC_ATTR   = 'data-otter-bionic';
+  const WORD_CLASS    = 'otter-syl-word';
+  const PART_CLASS    = 'otter-syl';
+  const DEFAULT_LANG  = 'en';
+  const BATCH_SIZE    = 250;   // text nodes converted per frame
+  const OBSERVE       = { childList: true, subtree: true, characterData: true };
+
+  // Letters (any script) followed by letters, combining marks or apostrophes
+  const WORD_RE = /(\p{L}[\p{L}\p{M}'’]*)/u;
+
+  // Subtrees whose text must never be rewritten
+  const SKIP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'INPUT', 'SELECT',
+    'OPTION', 'CODE', 'PRE', 'KBD', 'SAMP', 'VAR', 'svg', 'math', 'CANVAS',
+    'IFRAME', 'TITLE',
+  ]);
+  const SKIP_IDS = new Set(['__al-ruler-host__', 'accessilens-overlay']);
+
+  // One marker per style; each rule targets every syllable but a word's first
+  const STYLE_RULES = {
+    colors : `span.${PART_CLASS}:nth-child(even) { color: color-mix(in srgb, currentColor 45%, #e8590c) !important; }`,
+    dots   : `span.${PART_CLASS} + span.${PART_CLASS}::before { content: '·'; opacity: 0.4; font-weight: 400; }`,
+    gaps   : `span.${PART_CLASS} + span.${PART_CLASS} { margin-left: 0.18em !important; }`,
+  };
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  let isEnabled = false;
+  let style     = 'colors';
+  let minLength = 7;
+  let observer  = null;      // watches the live page for new content
+  let wrappers  = null;      // split copies of the page's text nodes
+  let rafId     = null;
+  let sheet     = null;      // constructed copy of the style for shadow roots
+  let release   = null;      // takes the style out of shadow roots again
+  let unwatch   = null;      // stops shadow root discovery
+  const roots     = new Set();   // open shadow roots observed alongside document.body
+  const queue     = new Set();   // text nodes waiting to be converted
+  const waiting   = new Map();   // lang → text nodes waiting for its patterns
+  const loading   = new Set();   // langs whose patterns were requested
+
+  // ── Bootstrap ──────────────────────────────────────────────────────────────
+  init();
+
+  async function init() {
+    try {
+      const result = await window.StorageHelper.getEffective([
+        KEYS.SYLLABLES_ENABLED, KEYS.SYLLABLE_STYLE, KEYS.SYLLABLE_MIN_LENGTH,
+      ]);
+      applySettings(result);
+      if (result[KEYS.SYLLABLES_ENABLED] === true) enable();
+    } catch (err) {
+      console.debug('[Project Otter] syllables storage read failed:', err.message);
+    }
+
+    registerMessageListener();
+  }
+
+  // ── Enable / Disable ───────────────────────────────────────────────────────
+  function enable() {
+    if (isEnabled || !document.body) return;
+    isEnabled = true;
+
+    injectStyle();
+    wrappers = window.OtterTextWrappers.create(WRAPPER_ATTR, (wrapper, text) => {
+      render(wrapper, text, wrapper.getAttribute(WRAPPER_ATTR));
+    });
+    observer = new MutationObserver(onPageMutated);
+    observe();
+
+    enqueueSubtree(document.body);
+    unwatch = window.OtterShadowRoots.watch(addRoot);
+    window.OtterShadowRoots.all().forEach(addRoot);
+    document.addEventListener('focusin', onFocusIn, true);
+    console.debug('[Project Otter] Syllables enabled.');
+  }
+
+  function disable() {
+    if (!isEnabled) return;
+    isEnabled = false;
+
+    observer?.disconnect();
+    observer = null;
+    if (rafId !== null) { cancelAnimationFrame(rafId); rafId = null; }
+    document.removeEventListener('focusin', onFocusIn, true);
+    queue.clear();
+    waiting.clear();
+    unwatch?.();
+    release?.();
+    unwatch = release = sheet = null;
+    roots.clear();
+
+    wrappers.restoreAll();
+    wrappers = null;
+
+    window.OtterPage.remove(document.getElementById(STYLE_ID));
+    console.debug('[Project Otter] Syllables disabled.');
+  }
+
+  // Style and minimum length from a settings object; returns true if either changed
+  function applySettings(s) {
+    const nextStyle  = s[KEYS.SYLLABLE_STYLE]      ?? style;
+    const nextLength = s[KEYS.SYLLABLE_MIN_LENGTH] ?? minLength;
+    const changed = nextStyle !== style || nextLength !== minLength;
+    style     = nextStyle;
+    minLength = nextLength;
+    return changed;
+  }
+
+  // New settings while on: swap the style rule, re-split for a new length
+  function update(s) {
+    const lengthChanged = (s[KEYS.SYLLABLE_MIN_LENGTH] ?? minLength) !== minLength;
+    if (!applySettings(s) || !isEnabled) return;
+
+    const css = buildCss();
+    sheet?.replaceSync(css);
+    const el = document.getElementById(STYLE_ID);
+    if (el) el.textContent = css;
+
+    if (lengthChanged) {
+      observer.disconnect();
+      wrappers.rerenderAll();
+      observe();
+    }
+  }
+
+  // ── Text node discovery ────────────────────────────────────────────────────
+  // Inside a shadow root the chain continues at the host
+  function isSkippable(el) {
+    if (document.designMode === 'on') return true;
+    for (let node = el; node && node !== document.body; node = node.parentElement || node.getRootNode().host) {
+      if (SKIP_TAGS.has(node.tagName)) return true;
+      if (SKIP_IDS.has(node.id))       return true;
+      if (node.hasAttribute(WRAPPER_ATTR) || node.hasAttribute(BIONIC_ATTR)) return true;
+      if (node.isContentEditable)      return true;
+    }
+    return false;
+  }
+
+  function isEligible(textNode) {
+    const parent = textNode.parentElement;
+    if (!parent || !textNode.isConnected) return false;
+    if (!WORD_RE.test(textNode.data))     return false;
+    return !isSkippable(parent);
+  }
+
+  // The language of the closest [lang], crossing shadow roots; null when
+  // there are no bundled patterns for it
+  function languageOf(el) {
+    for (let node = el; node; node = node.parentElement || node.getRootNode().host) {
+      if (node.hasAttribute('lang')) return window.OtterHyphenation.languageOf(node.getAttribute('lang'));
+    }
+    return DEFAULT_LANG;
+  }
+
+  function enqueueSubtree(root) {
+    if (root.nodeType === Node.TEXT_NODE) {
+      queue.add(root);
+    } else if (root.nodeType === Node.ELEMENT_NODE) {
+      if (isSkippable(root)) return;
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) queue.add(walker.currentNode);
+    } else {
+      return;
+    }
+    scheduleFlush();
+  }
+
+  function addRoot(root) {
+    roots.add(root);
+    observer.observe(root, OBSERVE);
+    root.childNodes.forEach(enqueueSubtree);
+  }
+
+  function observe() {
+    observer.observe(document.body, OBSERVE);
+    for (const root of roots) {
+      if (root.host.isConnected) observer.observe(root, OBSERVE);
+      else roots.delete(root);
+    }
+  }
+
+  function scheduleFlush() {
+    if (rafId === null) rafId = requestAnimationFrame(flush);
+  }
+
+  function flush() {
+    rafId = null;
+    if (!isEnabled) return;
+
+    // Our own DOM writes must not feed back into the observer
+    observer.disconnect();
+    let done = 0;
+    for (const node of queue) {
+      queue.delete(node);
+      if (!isEligible(node)) continue;
+      const lang = languageOf(node.parentElement);
+      if (!lang) continue;
+      if (window.OtterHyphenation.has(lang)) wrappers.wrap(node, lang);
+      else                                   wait(node, lang);
+      if (++done >= BATCH_SIZE) break;
+    }
+    observe();
+
+    if (queue.size > 0) scheduleFlush();
+  }
+
+  // ── Patterns ───────────────────────────────────────────────────────────────
+  // Parks `node` until its language's patterns are in. The service worker
+  // injects them into this frame and answers once the file has run.
+  function wait(node, lang) {
+    if (!waiting.has(lang)) waiting.set(lang, new Set());
+    waiting.get(lang).add(node);
+    if (loading.has(lang)) return;
+
+    loading.add(lang);
+    chrome.runtime.sendMessage({ type: 'LOAD_HYPHENATION', lang })
+      .then((res) => {
+        if (!res?.ok) throw new Error(res?.error || 'no response');
+        const nodes = waiting.get(lang) || [];
+        waiting.delete(lang);
+        nodes.forEach(n => queue.add(n));
+        if (isEnabled) scheduleFlush();
+      })
+      .catch((err) => {
+        // Retried the next time text in this language turns up
+        loading.delete(lang);
+        waiting.delete(lang);
+        console.debug(`[Project Otter] ${lang} hyphenation patterns failed to load:`, err.message);
+      });
+  }
+
+  // ── Conversion ─────────────────────────────────────────────────────────────
+  function render(wrapper, text, lang) {
+    wrapper.textContent = '';
+    for (const part of text.split(WORD_RE)) {
+      if (!part) continue;
+      const syllables = WORD_RE.test(part) && part.length >= minLength
+        ? window.OtterHyphenation.syllables(part, lang)
+        : [part];
+      if (syllables.length < 2) {
+        wrapper.appendChild(document.createTextNode(part));
+        continue;
+      }
+      const word = document.createElement('span');
+      word.className = WORD_CLASS;
+      for (const syllable of syllables) {
+        const span = document.createElement('span');
+        span.className   = PART_CLASS;
+        span.textContent = syllable;
+        word.appendChild(span);
+      }
+      wrapper.appendChild(word);
+    }
+  }
+
+  // ── Observers ──────────────────────────────────────────────────────────────
+  // Text the page changed in a node already split is rendered into its
+  // wrapper; everything else new is queued
+  function onPageMutated(mutations) {
+    observer.disconnect();
+    wrappers.sync(mutations);
+    observe();
+
+    for (const m of mutations) {
+      if (m.type === 'characterData') {
+        if (!wrappers.has(m.target)) enqueueSubtree(m.target);
+        continue;
+      }
+      m.addedNodes.forEach(enqueueSubtree);
+    }
+  }
+
+  // Text that became editable after it was split (an app's "edit" button)
+  // gets its original text back before the user can type into our spans
+  function onFocusIn(e) {
+    const host = e.composedPath()[0];
+    if (!(host instanceof Element) || !host.isContentEditable) return;
+    observer.disconnect();
+    host.querySelectorAll(`[${WRAPPER_ATTR}]`).forEach(wrappers.restore);
+    observe();
+  }
+
+  // ── Style ──────────────────────────────────────────────────────────────────
+  function buildCss() {
+    return `
+      span[${WRAPPER_ATTR}], span.${WORD_CLASS}, span.${PART_CLASS} { font: inherit; }
+      span.${WORD_CLASS} { white-space: nowrap; }
+      ${STYLE_RULES[style] || STYLE_RULES.colors}
+    `;
+  }
+
+  function injectStyle() {
+    const css = buildCss();
+    sheet = new CSSStyleSheet();
+    sheet.replaceSync(css);
+    release = window.OtterShadowRoots.share(sheet);
+
+    if (document.getElementById(STYLE_ID)) return;
+    const el = document.createElement('style');
+    el.id = STYLE_ID;
+    el.textContent = css;
+    (document.head || document.documentElement).appendChild(el);
+    window.OtterPage.keep(el);
+  }
+
+  // ── Message Listener ───────────────────────────────────────────────────────
+  function registerMessageListener() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      switch (message.type) {
+
+        case 'SYLLABLES_TOGGLE':
+          if (message.enabled) enable();
+          else                 disable();
+          sendResponse({ ok: true, enabled: isEnabled });
+          break;
+
+        // Style or minimum word length changed in the popup
+        case 'SYLLABLES_UPDATE':
+          update(message.settings || {});
+          sendResponse({ ok: true });
+          break;
+
+        // Service worker sends this after navigation to re-apply all features
+        case 'REAPPLY_STATE':
+          reapply(message.state || {});
+          sendResponse({ ok: true });
+          break;
+
+        default:
+          break;
+      }
+      return true;
+    });
+
+    // Client-side navigation (page-watcher.js)
+    window.OtterEvents?.addEventListener('reapply', (e) => reapply(e.detail.state));
+  }
+
+  // Already on: a navigation may have replaced <body>, which leaves the
+  // observer on the old one and the new text unconverted
+  function reapply(s) {
+    update(s);
+    if (!s.syllablesEnabled) disable();
+    else if (!isEnabled)     enable();
+    else if (document.body) {
+      observer.disconnect();
+      observe();
+      enqueueSubtree(document.body);
+    }
+  }
+
+})();
@@ -1,28 +1,649 @@
-// Text-to-Voice Implementation
-
-
-(() => {
-    'use strict';
-  
-    if (window.__alTTSLoaded) return;
-    window.__alTTSLoaded = true;
-  
-    document.addEventListener('mouseup', () => {
-      chrome.storage.local.get(['ttsEnabled'], (res) => {
-        if (!res.ttsEnabled) return;
-  
-        const selection = window.getSelection().toString().trim();
-        if (selection.length > 0) {
-          chrome.runtime.sendMessage({
-            type: 'SPEAK_TEXT',
-            text: selection
-          });
-        }
-      });
-    });
-  
-    // Stop speaking if the user clicks a blank area to deselect
-    document.addEventListener('mousedown', () => {
-      chrome.runtime.sendMessage({ type: 'STOP_SPEAKING' });
-    });
-  })();
\ No newline at end of file
+/**
+ * Project Otter — content-scripts/tts-engine.js
+ * Text-to-Speech for selected text or the whole article, with read-along
+ * highlighting.
+ *
+ * Architecture:
+ *   - On mouseup (or READ_SELECTION from a shortcut or the context menu)
+ *     the selection is captured as a list of text-node segments,
+ *     each knowing where it starts in the spoken string. chrome.tts charIndex
+ *     values therefore map straight back onto the page text.
+ *   - The service worker speaks and relays boundary events (TTS_EVENT) to the
+ *     frame that asked, tagged with our utterance id so stale events from an
+ *     interrupted utterance are ignored.
+ *   - Highlights use the CSS Custom Highlight API: no wrapper elements, so the
+ *     page DOM is never touched and nothing needs undoing.
+ *   - A small playback bar (previous / pause / next / stop) lives in a closed
+ *     Shadow DOM while speech is active. Clicking the page no longer stops
+ *     reading — only the bar, Escape, or a new selection does.
+ *   - "Read this page" (READ_PAGE from the popup) takes the article blocks from
+ *     OtterArticle, splits them into sentence chunks and hands the service
+ *     worker a queue. Events come back tagged with the chunk index; clicking a
+ *     paragraph seeks to it. The worker saves the chunk per URL so reading can
+ *     resume later — matched by text, since pages change between visits.
+ *   - "Read aloud from here" (READ_FROM_HERE, context menu) starts that
+ *     reader at the right-clicked sentence, or reads a field from its caret.
+ */
+
+;(() => {
+  'use strict';
+
+  if (window.__alTTSLoaded) return;
+  window.__alTTSLoaded = true;
+
+  // ── Local reference to globals from storage-helper.js ──────────────────────
+  const KEYS = window.STORAGE_KEYS || {
+    TTS_ENABLED    : 'ttsEnabled',
+    TTS_READ_ALONG : 'ttsReadAlong',
+  };
+
+  // ── Constants ──────────────────────────────────────────────────────────────
+  const STYLE_ID        = 'otter-tts-style';
+  const CONTROLS_HOST_ID = '__otter-tts-controls__';
+  const HL_WORD         = 'otter-tts-word';
+  const HL_SENTENCE     = 'otter-tts-sentence';
+  const SCROLL_MARGIN   = 80;     // px kept between the spoken word and the viewport edge
+  const USER_SCROLL_MS  = 4000;   // auto-scroll backs off this long after the user scrolls
+  const BLOCK_TAGS      = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|BR|DD|DIV|DL|DT|FIGCAPTION|FIGURE|FOOTER|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|TABLE|TD|TH|TR|UL)$/;
+
+  const supportsHighlights = typeof Highlight === 'function' && !!CSS.highlights;
+  const wordSegmenter      = new Intl.Segmenter(undefined, { granularity: 'word' });
+  const sentenceSegmenter  = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  let utterance    = null;   // { id, text, segments, sentences, base, page? }
+  let lastUserScroll = 0;
+  let controls     = null;   // { host, root, playBtn }
+  let isPaused     = false;
+
+  // ── Selection → speech ─────────────────────────────────────────────────────
+  document.addEventListener('mouseup', (e) => {
+    if (controls && e.composedPath().includes(controls.host)) return;
+    window.StorageHelper.getEffective([KEYS.TTS_ENABLED, KEYS.TTS_READ_ALONG]).then((res) => {
+      if (res[KEYS.TTS_ENABLED]) speakSelection(res[KEYS.TTS_READ_ALONG] !== false);
+    }).catch(() => {});   // the extension was reloaded under this page
+  });
+
+  // Returns false when there is nothing to read. Text selected inside an
+  // <input> or <textarea> isn't part of the document selection.
+  function speakSelection(wantReadAlong) {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.toString().trim()) return false;
+
+    const spoken = speakRange(selection.getRangeAt(0), wantReadAlong);
+    // The native selection paints over custom highlights — drop it so the
+    // read-along marks are visible.
+    if (spoken && utterance.readAlong) selection.removeAllRanges();
+    return spoken;
+  }
+
+  function speakRange(range, wantReadAlong) {
+    const captured = captureRange(range);
+    if (!captured.text.trim()) return false;
+
+    const readAlong = wantReadAlong && supportsHighlights;
+    speakText(captured.text, captured.segments, readAlong);
+    return true;
+  }
+
+  // `segments` maps the text back onto the page; without them there is
+  // nothing to highlight
+  function speakText(text, segments, readAlong) {
+    clearHighlights();
+    utterance = {
+      id        : newUtteranceId(),
+      base      : 0,
+      text,
+      segments,
+      sentences : readAlong ? splitSentences(text) : [],
+      readAlong,
+    };
+
+    chrome.runtime.sendMessage({
+      type        : 'SPEAK_TEXT',
+      text        : utterance.text,
+      utteranceId : utterance.id,
+    });
+  }
+
+  // ── Context menu: "Read aloud from here" ───────────────────────────────────
+  // The menu click only reaches the service worker, which has no idea where
+  // on the page it was — the right-click itself is remembered here.
+  let contextPoint = null;   // { target, x, y }
+  document.addEventListener('contextmenu', (e) => {
+    contextPoint = { target: e.composedPath()[0], x: e.clientX, y: e.clientY };
+  }, true);
+
+  // Fields read from the caret to their end; anywhere else the article is
+  // read from the sentence that was clicked
+  async function readFromHere() {
+    if (!contextPoint) return { ok: false, error: 'Nothing to read here.' };
+    const res = await window.StorageHelper.getEffective([KEYS.TTS_READ_ALONG]);
+    const wantReadAlong = res[KEYS.TTS_READ_ALONG] !== false;
+    const { target, x, y } = contextPoint;
+
+    // <input>/<textarea> text has no nodes to highlight
+    if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement) {
+      const text = target.value.slice(target.selectionStart ?? 0);
+      if (!text.trim()) return { ok: false, error: 'Nothing to read here.' };
+      speakText(text, [], false);
+      return { ok: true };
+    }
+
+    const caret = caretAt(x, y);
+    if (!caret) return { ok: false, error: 'Nothing to read here.' };
+
+    const host = editingHost(target);
+    if (host) {
+      const range = document.createRange();
+      range.setStart(caret.node, caret.offset);
+      range.setEnd(host, host.childNodes.length);
+      return speakRange(range, wantReadAlong) ? { ok: true } : { ok: false, error: 'Nothing to read here.' };
+    }
+    return readPage(false, caret);
+  }
+
+  function caretAt(x, y) {
+    if (document.caretPositionFromPoint) {
+      const pos = document.caretPositionFromPoint(x, y);
+      return pos && { node: pos.offsetNode, offset: pos.offset };
+    }
+    const range = document.caretRangeFromPoint?.(x, y);
+    return range && { node: range.startContainer, offset: range.startOffset };
+  }
+
+  function editingHost(el) {
+    if (!el?.isContentEditable) return null;
+    while (el.parentElement?.isContentEditable) el = el.parentElement;
+    return el;
+  }
+
+  // Escape stops reading (clicks on the page deliberately don't)
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && utterance) chrome.runtime.sendMessage({ type: 'STOP_SPEAKING' });
+  });
+
+  function newUtteranceId() {
+    return `otter-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  // ── Read this page ─────────────────────────────────────────────────────────
+  // Starts at the saved position, at the beginning (`fromStart`) or at a
+  // caret position (`from`, "Read aloud from here"). The popup's button
+  // follows the TTS switch; the context menu entry was asked for explicitly.
+  async function readPage(fromStart, from = null) {
+    const res = await window.StorageHelper.getEffective([KEYS.TTS_ENABLED, KEYS.TTS_READ_ALONG]);
+    if (!from && !res[KEYS.TTS_ENABLED]) return { ok: false, error: 'Text to Speech is off for this page.' };
+
+    const page = buildPage(window.OtterArticle.extract(document).blocks);
+    if (page.chunks.length === 0) return { ok: false, error: 'No readable text found on this page.' };
+
+    page.key = window.StorageHelper.pageKeyOf(location.href);
+    const saved      = fromStart || from ? null : await window.StorageHelper.getReadingPosition(page.key);
+    const startIndex = from ? chunkAt(page, from) : saved ? resumeIndex(page.chunks, saved) : 0;
+    if (startIndex === -1) return { ok: false, error: 'No readable text after this point.' };
+
+    clearHighlights();
+    utterance = {
+      id        : newUtteranceId(),
+      base      : 0,
+      text      : '',
+      segments  : [],
+      sentences : [],
+      readAlong : res[KEYS.TTS_READ_ALONG] !== false && supportsHighlights,
+      chunk     : -1,
+      page,
+    };
+    window.getSelection()?.removeAllRanges();
+
+    chrome.runtime.sendMessage({
+      type        : 'SPEAK_QUEUE',
+      chunks      : page.chunks.map(c => c.text),
+      startIndex,
+      utteranceId : utterance.id,
+      pageKey     : page.key,
+    });
+    return { ok: true, startIndex, total: page.chunks.length };
+  }
+
+  // Every block becomes { el, text, segments, sentences }; every non-blank
+  // sentence becomes a chunk { block, start, text } where `start` indexes the
+  // block's text.
+  function buildPage(elements) {
+    const blocks = [];
+    const chunks = [];
+    for (const el of elements) {
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      const { text, segments } = captureRange(range);
+      if (!text.trim()) continue;
+
+      const block = { el, text, segments, sentences: splitSentences(text) };
+      const index = blocks.push(block) - 1;
+      for (const s of block.sentences) {
+        const lead = text.slice(s.start, s.end).search(/\S/);
+        if (lead === -1) continue;
+        chunks.push({ block: index, start: s.start + lead, text: text.slice(s.start + lead, s.end) });
+      }
+    }
+    return { blocks, chunks };
+  }
+
+  // The sentence holding a caret position when it falls inside an article
+  // block, otherwise the first block after it; -1 past the last block
+  function chunkAt(page, { node, offset }) {
+    const b = page.blocks.findIndex(block => block.el.contains(node));
+    if (b === -1) {
+      const after = page.blocks.findIndex(block => node.compareDocumentPosition(block.el) & Node.DOCUMENT_POSITION_FOLLOWING);
+      return after === -1 ? -1 : page.chunks.findIndex(c => c.block === after);
+    }
+
+    const seg = page.blocks[b].segments.find(s => s.node === node);
+    const at  = seg ? seg.offset + Math.max(0, offset - seg.start) : 0;
+    let found = -1;
+    page.chunks.forEach((c, i) => {
+      if (c.block === b && (found === -1 || c.start <= at)) found = i;
+    });
+    return found;
+  }
+
+  // Trust the saved index only if its text still matches, then look for the
+  // snippet elsewhere, then fall back to the same relative position.
+  function resumeIndex(chunks, saved) {
+    if (chunks[saved.index]?.text.startsWith(saved.snippet)) return saved.index;
+    const found = chunks.findIndex(c => c.text.startsWith(saved.snippet));
+    if (found !== -1) return found;
+    return Math.min(chunks.length - 1, Math.floor((saved.index / saved.total) * chunks.length)) || 0;
+  }
+
+  // Points the highlight machinery at the block that holds chunk `index`
+  function enterChunk(index) {
+    const chunk = utterance.page.chunks[index];
+    if (!chunk || utterance.chunk === index) return;
+    const block = utterance.page.blocks[chunk.block];
+    Object.assign(utterance, {
+      chunk     : index,
+      base      : chunk.start,
+      text      : block.text,
+      segments  : block.segments,
+      sentences : block.sentences,
+    });
+    updateProgress();
+
+    const range = rangeFor(chunk.start, chunk.start + chunk.text.length);
+    if (!range) return;
+    if (utterance.readAlong) {
+      injectStyle();
+      CSS.highlights.delete(HL_WORD);
+      CSS.highlights.set(HL_SENTENCE, new Highlight(range));
+    }
+    keepInView(range);
+  }
+
+  // Clicking a paragraph while the page is being read jumps there
+  document.addEventListener('click', (e) => {
+    if (!utterance?.page || e.button !== 0 || e.defaultPrevented) return;
+    if (controls && e.composedPath().includes(controls.host)) return;
+    if (e.target.closest?.('a, button, input, select, textarea, label, summary, [contenteditable]')) return;
+    if (!window.getSelection()?.isCollapsed) return;
+
+    const block = utterance.page.blocks.findIndex(b => b.el.contains(e.target));
+    if (block === -1) return;
+    const index = utterance.page.chunks.findIndex(c => c.block === block);
+    if (index !== -1) chrome.runtime.sendMessage({ type: 'TTS_SEEK', index });
+  });
+
+  // ── Range capture ──────────────────────────────────────────────────────────
+  // Walks the text nodes inside `range` and concatenates their selected parts.
+  // Each segment records { node, start, offset, length }: `start` is the index
+  // inside node.data, `offset` the index inside the spoken text. A newline is
+  // inserted between block-level elements so headings don't run into
+  // paragraphs when spoken.
+  function captureRange(range) {
+    const root = range.commonAncestorContainer.nodeType === Node.TEXT_NODE
+      ? range.commonAncestorContainer.parentNode
+      : range.commonAncestorContainer;
+
+    const segments = [];
+    let text       = '';
+    let lastBlock  = null;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => range.intersectsNode(node)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT,
+    });
+
+    while (walker.nextNode()) {
+      const node  = walker.currentNode;
+      const tag   = node.parentElement?.tagName;
+      if (tag === 'SCRIPT' || tag === 'STYLE' || tag === 'NOSCRIPT') continue;
+
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end   = node === range.endContainer   ? range.endOffset   : node.data.length;
+      if (end <= start) continue;
+
+      const block = closestBlock(node);
+      if (lastBlock && block !== lastBlock && !/\s$/.test(text)) text += '\n';
+      lastBlock = block;
+
+      segments.push({ node, start, offset: text.length, length: end - start });
+      text += node.data.slice(start, end);
+    }
+    return { text, segments };
+  }
+
+  function closestBlock(node) {
+    for (let el = node.parentElement; el; el = el.parentElement) {
+      if (BLOCK_TAGS.test(el.tagName)) return el;
+    }
+    return document.body;
+  }
+
+  function splitSentences(text) {
+    return Array.from(sentenceSegmenter.segment(text), s => ({
+      start : s.index,
+      end   : s.index + s.segment.trimEnd().length,
+    }));
+  }
+
+  // Builds a DOM Range over [from, to) of the spoken text, which may span
+  // several text-node segments.
+  function rangeFor(from, to) {
+    const { segments } = utterance;
+    let startSeg = null, endSeg = null;
+    for (const seg of segments) {
+      const segEnd = seg.offset + seg.length;
+      if (!startSeg && from < segEnd) startSeg = seg;
+      if (startSeg && to <= segEnd) { endSeg = seg; break; }
+    }
+    if (!startSeg) return null;
+    endSeg = endSeg || segments[segments.length - 1];
+    if (!startSeg.node.isConnected || !endSeg.node.isConnected) return null;
+
+    const clamp = (v, max) => Math.min(max, Math.max(0, v));
+    const range = document.createRange();
+    range.setStart(startSeg.node, startSeg.start + clamp(from - startSeg.offset, startSeg.length));
+    range.setEnd(endSeg.node, endSeg.start + clamp(to - endSeg.offset, endSeg.length));
+    return range;
+  }
+
+  // chrome.tts only reports `length` on some voices — fall back to the
+  // word segment that starts at charIndex.
+  function wordLengthAt(charIndex) {
+    for (const seg of wordSegmenter.segment(utterance.text.slice(charIndex, charIndex + 64))) {
+      return seg.segment.length;
+    }
+    return 1;
+  }
+
+  // ── Highlighting ───────────────────────────────────────────────────────────
+  function injectStyle() {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = `
+      ::highlight(${HL_SENTENCE}) {
+        background-color : rgba(245, 200, 66, 0.22);
+      }
+      ::highlight(${HL_WORD}) {
+        background-color : rgba(245, 200, 66, 0.85);
+        color            : #0d0d10;
+      }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  function highlightWord(charIndex, length) {
+    if (!utterance?.readAlong || charIndex === undefined) return;
+    injectStyle();
+
+    const word = rangeFor(charIndex, charIndex + (length || wordLengthAt(charIndex)));
+    if (!word) return;
+    CSS.highlights.set(HL_WORD, new Highlight(word));
+
+    const sentence = utterance.sentences.find(s => charIndex >= s.start && charIndex < s.end);
+    const sRange   = sentence && rangeFor(sentence.start, sentence.end);
+    if (sRange) CSS.highlights.set(HL_SENTENCE, new Highlight(sRange));
+
+    keepInView(word);
+  }
+
+  // Lets other features (the Focus Ruler) follow the spoken word
+  function reportPosition(charIndex, length) {
+    const range = charIndex === undefined
+      ? null
+      : rangeFor(charIndex, charIndex + (length || wordLengthAt(charIndex)));
+    window.OtterEvents?.dispatchEvent(new CustomEvent('tts-position', { detail: { range } }));
+  }
+
+  function highlightSentence(charIndex, length) {
+    if (!utterance?.readAlong || charIndex === undefined || !length) return;
+    const sRange = rangeFor(charIndex, charIndex + length);
+    if (sRange) CSS.highlights.set(HL_SENTENCE, new Highlight(sRange));
+  }
+
+  function clearHighlights() {
+    if (!supportsHighlights) return;
+    CSS.highlights.delete(HL_WORD);
+    CSS.highlights.delete(HL_SENTENCE);
+  }
+
+  // ── Playback controls ──────────────────────────────────────────────────────
+  function showControls() {
+    if (!controls) createControls();
+    setPaused(false);
+    updateProgress();
+  }
+
+  function hideControls() {
+    window.OtterPage.remove(controls?.host);
+    controls = null;
+  }
+
+  function setPaused(paused) {
+    isPaused = paused;
+    if (!controls) return;
+    controls.playBtn.textContent = paused ? '▶' : '❚❚';
+    controls.playBtn.setAttribute('aria-label', paused ? 'Resume reading' : 'Pause reading');
+  }
+
+  function updateProgress() {
+    if (!controls?.progress || !utterance?.page) return;
+    const pct = Math.round((Math.max(0, utterance.chunk) / utterance.page.chunks.length) * 100);
+    controls.progress.textContent = `${pct}%`;
+    controls.progress.style.setProperty('--progress', `${pct}%`);
+    controls.progress.setAttribute('aria-valuenow', String(pct));
+  }
+
+  function createControls() {
+    window.OtterPage.remove(document.getElementById(CONTROLS_HOST_ID));
+
+    const host = document.createElement('div');
+    host.id = CONTROLS_HOST_ID;
+    Object.assign(host.style, {
+      all      : 'initial',
+      position : 'fixed',
+      zIndex   : '2147483647',
+      left     : '50%',
+      bottom   : '20px',
+      transform: 'translateX(-50%)',
+    });
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = getControlsCSS();
+    root.appendChild(style);
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', 'Project Otter reading controls');
+
+    const button = (label, text, onClick) => {
+      const btn = document.createElement('button');
+      btn.type        = 'button';
+      btn.textContent = text;
+      btn.title       = label;
+      btn.setAttribute('aria-label', label);
+      btn.addEventListener('click', onClick);
+      bar.appendChild(btn);
+      return btn;
+    };
+
+    button('Previous sentence', '⏮', () => chrome.runtime.sendMessage({ type: 'TTS_SKIP', direction: -1 }));
+    const playBtn = button('Pause reading', '❚❚', () => {
+      chrome.runtime.sendMessage({ type: isPaused ? 'TTS_RESUME' : 'TTS_PAUSE' });
+    });
+    button('Next sentence', '⏭', () => chrome.runtime.sendMessage({ type: 'TTS_SKIP', direction: 1 }));
+    button('Stop reading', '■', () => chrome.runtime.sendMessage({ type: 'STOP_SPEAKING' }));
+
+    let progress = null;
+    if (utterance?.page) {
+      progress = document.createElement('span');
+      progress.className = 'progress';
+      progress.title     = 'Click any paragraph to jump there';
+      progress.setAttribute('role', 'progressbar');
+      progress.setAttribute('aria-label', 'Reading progress');
+      progress.setAttribute('aria-valuemin', '0');
+      progress.setAttribute('aria-valuemax', '100');
+      bar.appendChild(progress);
+    }
+
+    root.appendChild(bar);
+    (document.body || document.documentElement).appendChild(host);
+    window.OtterPage.keep(host);
+    controls = { host, root, playBtn, progress };
+  }
+
+  function getControlsCSS() {
+    return /* css */ `
+      .bar {
+        display       : flex;
+        gap           : 4px;
+        padding       : 6px;
+        background    : rgba(22, 22, 28, 0.94);
+        border        : 1px solid #f5c842;
+        border-radius : 999px;
+        box-shadow    : 0 6px 24px rgba(0, 0, 0, 0.35);
+        font-family   : -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      }
+      button {
+        width         : 36px;
+        height        : 36px;
+        border        : none;
+        border-radius : 50%;
+        background    : transparent;
+        color         : #eae8e1;
+        font-size     : 14px;
+        line-height   : 1;
+        cursor        : pointer;
+      }
+      button:hover         { background: rgba(245, 200, 66, 0.15); color: #f5c842; }
+      button:focus-visible { outline: 2px solid #f5c842; outline-offset: 1px; }
+      .progress {
+        --progress       : 0%;
+        align-self       : center;
+        min-width        : 44px;
+        margin           : 0 6px 0 2px;
+        padding          : 4px 8px;
+        border-radius    : 999px;
+        background-image : linear-gradient(to right, rgba(245, 200, 66, 0.3) var(--progress), rgba(255, 255, 255, 0.06) var(--progress));
+        color            : #eae8e1;
+        font-size        : 12px;
+        text-align       : center;
+        font-variant-numeric : tabular-nums;
+      }
+    `;
+  }
+
+  // ── Auto-scroll ────────────────────────────────────────────────────────────
+  function keepInView(range) {
+    if (Date.now() - lastUserScroll < USER_SCROLL_MS) return;
+    const rect = range.getBoundingClientRect();
+    if (!rect.height) return;
+    if (rect.top >= SCROLL_MARGIN && rect.bottom <= window.innerHeight - SCROLL_MARGIN) return;
+
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    window.scrollBy({
+      top      : rect.top - window.innerHeight / 3,
+      behavior : reduceMotion ? 'auto' : 'smooth',
+    });
+  }
+
+  // Manual scrolling wins over auto-scroll for a few seconds
+  const noteUserScroll = () => { lastUserScroll = Date.now(); };
+  window.addEventListener('wheel',     noteUserScroll, { passive: true });
+  window.addEventListener('touchmove', noteUserScroll, { passive: true });
+  window.addEventListener('keydown', (e) => {
+    if (['PageUp', 'PageDown', 'ArrowUp', 'ArrowDown', 'Home', 'End', ' '].includes(e.key)) noteUserScroll();
+  }, { passive: true });
+
+  // ── Message Listener ───────────────────────────────────────────────────────
+  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (message.type === 'READ_PAGE') {
+      readPage(message.fromStart === true)
+        .then(sendResponse)
+        .catch(err => sendResponse({ ok: false, error: err.message }));
+      return true;
+    }
+
+    // "Read selection" shortcut: every frame gets it, the focused one reads.
+    // Unlike mouseup it doesn't need the TTS toggle — it was asked for.
+    // The context menu sends it to the frame that was clicked (`here`).
+    if (message.type === 'READ_SELECTION') {
+      if (!message.here && (!document.hasFocus() || document.activeElement instanceof HTMLIFrameElement)) return;
+      window.StorageHelper.getEffective([KEYS.TTS_READ_ALONG]).then((res) => {
+        sendResponse({ ok: !res.otterPaused && speakSelection(res[KEYS.TTS_READ_ALONG] !== false) });
+      }).catch(err => sendResponse({ ok: false, error: err.message }));
+      return true;
+    }
+
+    if (message.type === 'READ_FROM_HERE') {
+      readFromHere()
+        .then(sendResponse)
+        .catch(err => sendResponse({ ok: false, error: err.message }));
+      return true;
+    }
+
+    if (message.type !== 'TTS_EVENT') return;
+    if (!utterance || message.utteranceId !== utterance.id) return;
+
+    if (utterance.page && message.chunk !== undefined) enterChunk(message.chunk);
+
+    const { type, length } = message.event || {};
+    const charIndex = message.event?.charIndex === undefined
+      ? undefined
+      : message.event.charIndex + utterance.base;
+    switch (type) {
+      case 'start':
+        showControls();
+        break;
+      case 'pause':
+        setPaused(true);
+        break;
+      case 'resume':
+        setPaused(false);
+        break;
+      case 'word':
+        reportPosition(charIndex, length);
+        highlightWord(charIndex, length);
+        break;
+      case 'sentence':
+        highlightSentence(charIndex, length);
+        break;
+      case 'end':
+      case 'interrupted':
+      case 'cancelled':
+      case 'error':
+        clearHighlights();
+        hideControls();
+        utterance = null;
+        reportPosition(undefined);
+        break;
+      default:
+        break;
+    }
+    sendResponse({ ok: true });
+  });
+})();
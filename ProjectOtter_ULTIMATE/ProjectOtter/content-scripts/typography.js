@@ -1,6 +1,6 @@
 /**
  * Project Otter — content-scripts/typography.js
- * Implementation of Font Overrides and Text Scaling.
+ * Implementation of Font Overrides, Text Spacing and Text Scaling.
  */
 
 ;(() => {
@@ -15,8 +15,8 @@
    */
   function applyTypography(dyslexiaState, textScale) {
     // 1. Handle Font Injection
-    const existingFontStyle = document.getElementById('otter-font-override');
-    if (existingFontStyle) existingFontStyle.remove();
+    window.OtterPage.remove(document.getElementById('otter-font-override'));
+    shareWithShadowRoots('otter-font-override', null);
 
     if (dyslexiaState && dyslexiaState.enabled && dyslexiaState.font !== 'default') {
       const style = document.createElement('style');
@@ -35,49 +35,400 @@
         `;
       }
 
-      style.textContent = `
-        ${fontFaceCSS}
+      // Spacing is its own feature now (applySpacing), so swapping the font
+      // leaves the page's line height and letter spacing alone
+      const fontRule = `
         * {
           font-family: '${dyslexiaState.font}', sans-serif !important;
-          line-height: 1.6 !important;
-          letter-spacing: 0.03em !important;
-          line-heigh: 1.6 !important;
         }
       `;
+      style.textContent = `${fontFaceCSS}${fontRule}`;
+      // @font-face only works at document level; shadow roots can use it from there
+      shareWithShadowRoots('otter-font-override', fontRule);
 
       if (document.head || document.documentElement) {
         (document.head || document.documentElement).appendChild(style);
+        window.OtterPage.keep(style);
       }
     }
 
     // 2. Handle Text Scaling
-    const existingScaleStyle = document.getElementById('otter-scale-override');
-    if (existingScaleStyle) existingScaleStyle.remove();
-
-    if (textScale && textScale !== 100) {
-      const scaleStyle = document.createElement('style');
-      scaleStyle.id = 'otter-scale-override';
-      // We apply scaling to the HTML element to preserve layout ratios
-      scaleStyle.textContent = `
-        html {
-          font-size: ${textScale}% !important;
+    applyScale(textScale);
+  }
+
+  // ── Shadow roots ──────────────────────────────────────────────────────────
+  // The <style> overrides only reach the document. Open shadow roots get the
+  // same rules through one constructed sheet per override, kept in sync here.
+  const shadowSheets = new Map();   // style id → { sheet, release }
+
+  function shareWithShadowRoots(id, css) {
+    let shared = shadowSheets.get(id);
+    if (!css) {
+      shared?.release();
+      shadowSheets.delete(id);
+      return;
+    }
+    if (!shared) {
+      const sheet = new CSSStyleSheet();
+      shared = { sheet, release: window.OtterShadowRoots.share(sheet) };
+      shadowSheets.set(id, shared);
+    }
+    shared.sheet.replaceSync(css);
+  }
+
+  // ── Text scaling engine ───────────────────────────────────────────────────
+  // Scaling html { font-size } only reaches rem-based text. Instead, every
+  // element with its own text is tagged data-otter-scale="<n>" after reading
+  // its computed font-size / line-height; rule n in one generated stylesheet
+  // sets calc(<original px> * var(--otter-text-scale)). Elements with the same
+  // sizes share a rule, and changing the scale only rewrites the variable.
+  // Open shadow roots are scanned and observed too; their copy of the rules
+  // is a constructed sheet that gets every insertRule() the <style> gets.
+
+  const SCALE_ATTR       = 'data-otter-scale';
+  const SCALE_STYLE_ID   = 'otter-scale-override';
+  const SCALE_BATCH_SIZE = 300;
+  const SCALE_STEP       = 10;      // percent per keyboard step
+  const SCALE_MIN        = 50;
+  const SCALE_MAX        = 200;
+  // Above 100%, overflow-wrap lets larger text re-flow inside its column
+  // instead of pushing the page into horizontal scrolling (scaleSetFactor).
+  // break-word, unlike anywhere, leaves min-content sizes alone, so table
+  // cells and flex items don't collapse to single letters.
+  const SCALE_BASE_CSS   = `
+    :root { --otter-text-scale: 1; }
+    [${SCALE_ATTR}] { }
+  `;
+  const SCALE_OBSERVE    = {
+    childList       : true,
+    subtree         : true,
+    attributes      : true,
+    attributeFilter : ['class', 'style'],
+  };
+
+  const SCALE_SKIP_TAGS  = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'svg', 'math', 'IFRAME', 'CANVAS', 'VIDEO', 'AUDIO', 'SELECT']);
+  // Layout chrome keeps its size: it is usually laid out around fixed text
+  const SCALE_CHROME_TAGS  = new Set(['NAV']);
+  const SCALE_CHROME_ROLES = new Set(['navigation', 'toolbar', 'menubar', 'tablist', 'banner']);
+  const ICON_FONT   = /icon|awesome|glyph|symbols|fontello|ionicons|dashicons|octicons/i;
+  const ICON_TEXT   = /^[\uE000-\uF8FF\s]+$/;   // private-use code points: icon font glyphs
+
+  let scale = null;   // engine state while a scale other than 100% is active
+  let otterPaused = false;   // Otter is paused on this site; the scale keys stay the page's
+
+  function applyScale(textScale) {
+    const factor = (Number(textScale) || 100) / 100;
+    if (factor === 1) { scaleDisable(); return; }
+    if (!scale) scaleEnable();
+    scale.factor = factor;
+    scaleSetFactor();
+  }
+
+  // Writes scale.factor into the sheets
+  function scaleSetFactor() {
+    scale.rootRule.style.setProperty('--otter-text-scale', String(scale.factor));
+    for (const rule of [scale.styleEl.sheet.cssRules[1], scale.shadowSheet.cssRules[0]]) {
+      if (scale.factor > 1) rule.style.setProperty('overflow-wrap', 'break-word', 'important');
+      else                  rule.style.removeProperty('overflow-wrap');
+    }
+  }
+
+  function scaleEnable() {
+    const styleEl = document.createElement('style');
+    styleEl.id = SCALE_STYLE_ID;
+    styleEl.textContent = SCALE_BASE_CSS;
+    (document.head || document.documentElement).appendChild(styleEl);
+    window.OtterPage.keep(styleEl, scaleRestoreSheet);
+
+    const shadowSheet = new CSSStyleSheet();
+    shadowSheet.replaceSync(`[${SCALE_ATTR}] { }`);
+
+    scale = {
+      styleEl,
+      shadowSheet,
+      rootRule : styleEl.sheet.cssRules[0],
+      factor   : 1,
+      rules    : new Map(),       // "<font px>|<line-height>" → rule number
+      queue    : new Set(),
+      rafId    : null,
+      chrome   : new WeakMap(),   // element → inside layout chrome?
+      observer : new MutationObserver(scaleOnMutations),
+      release  : window.OtterShadowRoots.share(shadowSheet),
+      unwatch  : window.OtterShadowRoots.watch(scaleAddRoot),
+    };
+
+    scaleEnqueue(document.body || document.documentElement, true);
+    scale.observer.observe(document.documentElement, SCALE_OBSERVE);
+    window.OtterShadowRoots.all().forEach(scaleAddRoot);
+  }
+
+  function scaleAddRoot(root) {
+    scale.observer.observe(root, SCALE_OBSERVE);
+    for (const el of root.children) scaleEnqueue(el, true);
+  }
+
+  function scaleDisable() {
+    if (!scale) return;
+    scale.observer.disconnect();
+    scale.unwatch();
+    scale.release();
+    if (scale.rafId !== null) cancelAnimationFrame(scale.rafId);
+    window.OtterPage.remove(scale.styleEl);
+    for (const root of [document, ...window.OtterShadowRoots.all()]) {
+      root.querySelectorAll(`[${SCALE_ATTR}]`).forEach(el => el.removeAttribute(SCALE_ATTR));
+    }
+    scale = null;
+  }
+
+  function scaleEnqueue(root, withSubtree) {
+    if (root.nodeType !== Node.ELEMENT_NODE || SCALE_SKIP_TAGS.has(root.tagName)) return;
+    if (hasOwnText(root)) scale.queue.add(root);
+    if (withSubtree) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+        acceptNode: (el) => {
+          if (SCALE_SKIP_TAGS.has(el.tagName)) return NodeFilter.FILTER_REJECT;
+          return hasOwnText(el) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        },
+      });
+      while (walker.nextNode()) scale.queue.add(walker.currentNode);
+    }
+    if (scale.queue.size && scale.rafId === null) scale.rafId = requestAnimationFrame(scaleFlush);
+  }
+
+  function hasOwnText(el) {
+    for (const node of el.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE && node.data.trim()) return true;
+    }
+    return false;
+  }
+
+  function scaleOnMutations(mutations) {
+    for (const m of mutations) {
+      if (m.type === 'childList') {
+        m.addedNodes.forEach(node => scaleEnqueue(node, true));
+        // New text in an element that had none
+        if (m.target.nodeType === Node.ELEMENT_NODE && !m.target.hasAttribute(SCALE_ATTR)) scaleEnqueue(m.target, false);
+      } else {
+        scaleEnqueue(m.target, m.attributeName === 'class');
+      }
+    }
+  }
+
+  // Reads first, writes second. The sizes are read with the stylesheet off,
+  // so text that inherits from an already scaled parent isn't scaled twice,
+  // and with text spacing off, so the page's own line height is recorded.
+  function scaleFlush() {
+    if (!scale) return;
+    scale.rafId = null;
+
+    const batch = [];
+    for (const el of scale.queue) {
+      scale.queue.delete(el);
+      if (el.isConnected) batch.push(el);
+      if (batch.length >= SCALE_BATCH_SIZE) break;
+    }
+
+    const spacingSheet = document.getElementById('otter-spacing-override')?.sheet;
+    if (spacingSheet) spacingSheet.disabled = true;
+    scale.styleEl.sheet.disabled = scale.shadowSheet.disabled = true;
+    const keys = batch.map(scaleReadSize);
+    scale.styleEl.sheet.disabled = scale.shadowSheet.disabled = false;
+    if (spacingSheet) spacingSheet.disabled = false;
+
+    batch.forEach((el, i) => {
+      if (keys[i]) el.setAttribute(SCALE_ATTR, String(scaleRuleFor(keys[i])));
+      else el.removeAttribute(SCALE_ATTR);
+    });
+
+    if (scale.queue.size > 0) scale.rafId = requestAnimationFrame(scaleFlush);
+  }
+
+  // "<font px>|<line-height px or normal>", or null for text that keeps its size
+  function scaleReadSize(el) {
+    if (scaleIsChrome(el)) return null;
+    const cs = getComputedStyle(el);
+    if (ICON_FONT.test(cs.fontFamily) || ICON_TEXT.test(el.textContent)) return null;
+    const fontSize = parseFloat(cs.fontSize);
+    if (!(fontSize > 0)) return null;
+    const lineHeight = cs.lineHeight === 'normal' ? 'normal' : parseFloat(cs.lineHeight);
+    return `${fontSize}|${lineHeight}`;
+  }
+
+  function scaleRuleFor(key) {
+    if (scale.rules.has(key)) return scale.rules.get(key);
+    const n    = scale.rules.size;
+    for (const rule of scaleRuleText(key, n)) {
+      for (const sheet of [scale.styleEl.sheet, scale.shadowSheet]) sheet.insertRule(rule, sheet.cssRules.length);
+    }
+    scale.rules.set(key, n);
+    return n;
+  }
+
+  // The line height gets a rule of its own with no specificity (:where), so
+  // the text spacing rule's line height wins over it whenever spacing is on
+  function scaleRuleText(key, n) {
+    const [fontSize, lineHeight] = key.split('|');
+    const rules = [`[${SCALE_ATTR}="${n}"] { font-size: calc(${fontSize}px * var(--otter-text-scale)) !important; }`];
+    if (lineHeight !== 'normal') {
+      rules.push(`:where([${SCALE_ATTR}="${n}"]) { line-height: calc(${lineHeight}px * var(--otter-text-scale)) !important; }`);
+    }
+    return rules;
+  }
+
+  // The page threw our <style> away and page-watcher.js put it back: it was
+  // parsed from its text again, without the rules added with insertRule()
+  function scaleRestoreSheet() {
+    if (!scale) return;
+    const rules = [...scale.rules].flatMap(([key, n]) => scaleRuleText(key, n));
+    scale.styleEl.textContent = `${SCALE_BASE_CSS}\n${rules.join('\n')}`;
+    scale.rootRule = scale.styleEl.sheet.cssRules[0];
+    scaleSetFactor();
+  }
+
+  // Fixed/sticky bars and navigation are layout chrome; memoized per element.
+  // Inside a shadow root the chain continues at the host.
+  function scaleIsChrome(el) {
+    if (!el || el === document.body || el === document.documentElement) return false;
+    if (scale.chrome.has(el)) return scale.chrome.get(el);
+    const position = getComputedStyle(el).position;
+    const chrome = SCALE_CHROME_TAGS.has(el.tagName)
+      || SCALE_CHROME_ROLES.has(el.getAttribute('role'))
+      || position === 'fixed' || position === 'sticky'
+      || scaleIsChrome(el.parentElement || el.getRootNode().host);
+    scale.chrome.set(el, chrome);
+    return chrome;
+  }
+
+  // Ctrl+Alt+= / Ctrl+Alt+- / Ctrl+Alt+0 — like browser zoom, but text only.
+  // AltGr reports Ctrl+Alt on Windows, so typed characters are left alone.
+  const SCALE_KEYS = { Equal: SCALE_STEP, NumpadAdd: SCALE_STEP, Minus: -SCALE_STEP, NumpadSubtract: -SCALE_STEP, Digit0: 0, Numpad0: 0 };
+
+  window.addEventListener('keydown', async (e) => {
+    if (!e.ctrlKey || !e.altKey || e.shiftKey || e.metaKey) return;
+    if (e.getModifierState('AltGraph') || e.target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    const step = SCALE_KEYS[e.code];
+    // Decided before the storage read: preventDefault() only works while
+    // the event is still being dispatched
+    if (step === undefined || otterPaused) return;
+    e.preventDefault();
+
+    let data;
+    try {
+      data = await window.StorageHelper.getEffective(['textScale']);
+    } catch (err) {
+      console.debug('[Project Otter] text scale storage read failed:', err.message);
+      return;
+    }
+    if (data.otterPaused) return;
+    const current = data.textScale || 100;
+    const next    = step === 0 ? 100 : Math.min(SCALE_MAX, Math.max(SCALE_MIN, current + step));
+    if (next === current) return;
+
+    applyScale(next);
+    window.StorageHelper.setEffective({ textScale: next });
+  }, true);
+
+  // The shortcut only reaches the frame that has focus; the other frames of
+  // the tab pick the new scale up from storage. Site profiles and pauses of
+  // other origins are none of this frame's business.
+  const SCALE_ORIGIN = window.StorageHelper.currentOrigin();
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    const { textScale, siteOverrides, pausedSites } = changes;
+    const siteScaleChanged = !!SCALE_ORIGIN && !!siteOverrides
+      && siteOverrides.oldValue?.[SCALE_ORIGIN]?.textScale !== siteOverrides.newValue?.[SCALE_ORIGIN]?.textScale;
+    const pauseChanged = !!SCALE_ORIGIN && !!pausedSites
+      && !!pausedSites.oldValue?.includes(SCALE_ORIGIN) !== !!pausedSites.newValue?.includes(SCALE_ORIGIN);
+    if (!textScale && !siteScaleChanged && !pauseChanged) return;
+
+    window.StorageHelper.getEffective(['textScale']).then((data) => {
+      otterPaused = data.otterPaused;
+      applyScale(data.textScale || 100);
+    }).catch((err) => {
+      console.debug('[Project Otter] text scale storage read failed:', err.message);
+    });
+  });
+
+  // WCAG 1.4.12 minimums (utils/settings-schema.js) — used when a value
+  // passed in is missing or invalid
+  const SPACING_DEFAULTS = window.OtterSchema.defaults([
+    'lineHeight', 'letterSpacing', 'wordSpacing', 'paragraphSpacing', 'maxLineLength',
+  ]);
+
+  /**
+   * Applies or removes the text spacing overrides. Independent of the font
+   * swap, so either can be used alone.
+   */
+  function applySpacing(spacing) {
+    window.OtterPage.remove(document.getElementById('otter-spacing-override'));
+    if (!spacing || !spacing.enabled) {
+      shareWithShadowRoots('otter-spacing-override', null);
+      return;
+    }
+
+    // Values end up inside CSS — only what the schema accepts gets through
+    const value = (key) => {
+      const result = window.OtterSchema.validate(key, spacing[key]);
+      return result.error ? SPACING_DEFAULTS[key] : result.value;
+    };
+
+    const style = document.createElement('style');
+    style.id = 'otter-spacing-override';
+    // SVG text is positioned absolutely; spacing it out breaks icons and charts
+    style.textContent = `
+      *:not(svg, svg *) {
+        line-height: ${value('lineHeight')} !important;
+        letter-spacing: ${value('letterSpacing')}em !important;
+        word-spacing: ${value('wordSpacing')}em !important;
+      }
+      p {
+        margin-bottom: ${value('paragraphSpacing')}em !important;
+      }
+    `;
+
+    const maxLineLength = value('maxLineLength');
+    if (maxLineLength > 0) {
+      style.textContent += `
+        p, li, dd, blockquote, figcaption {
+          max-width: ${maxLineLength}ch !important;
         }
       `;
-      if (document.head || document.documentElement) {
-        (document.head || document.documentElement).appendChild(style)
-      }
     }
+
+    (document.head || document.documentElement).appendChild(style);
+    window.OtterPage.keep(style);
+    shareWithShadowRoots('otter-spacing-override', style.textContent);
+  }
+
+  function spacingFromState(s) {
+    return {
+      enabled          : s.textSpacingEnabled || false,
+      lineHeight       : s.lineHeight,
+      letterSpacing    : s.letterSpacing,
+      wordSpacing      : s.wordSpacing,
+      paragraphSpacing : s.paragraphSpacing,
+      maxLineLength    : s.maxLineLength,
+    };
   }
 
   /**
    * Initialize on page load: Fetch current settings from storage
    */
   function init() {
-    chrome.storage.local.get([
+    window.StorageHelper.getEffective([
       'dyslexiaFontEnabled', 
       'dyslexiaFontFamily', 
-      'textScale'
-    ], (data) => {
+      'textScale',
+      'textSpacingEnabled',
+      'lineHeight',
+      'letterSpacing',
+      'wordSpacing',
+      'paragraphSpacing',
+      'maxLineLength'
+    ]).then((data) => {
+      otterPaused = data.otterPaused;
+      applySpacing(spacingFromState(data));
       applyTypography(
         { 
           enabled: data.dyslexiaFontEnabled || false, 
@@ -85,6 +436,8 @@
         },
         data.textScale || 100
       );
+    }).catch((err) => {
+      console.debug('[Project Otter] typography storage read failed:', err.message);
     });
   }
 
@@ -95,25 +448,43 @@
     // Handling the "Megaphone" broadcast from your popup.js
     if (message.type === 'SET_STATE' && message.state && message.state.dyslexia) {
       // Re-fetch scale to ensure we don't overwrite scale with 100% when changing font
-      chrome.storage.local.get(['textScale'], (data) => {
+      window.StorageHelper.getEffective(['textScale']).then((data) => {
         applyTypography(message.state.dyslexia, data.textScale || 100);
+      }).catch((err) => {
+        console.debug('[Project Otter] typography storage read failed:', err.message);
       });
     }
 
+    // Popup sends the complete spacing settings on every change
+    if (message.type === 'TEXT_SPACING_UPDATE' && message.settings) {
+      applySpacing(message.settings);
+    }
+
     if (message.type === 'TEXT_SCALE_UPDATE' && message.settings) {
-      // Re-fetch font state to ensure we don't remove fonts when scaling
-      chrome.storage.local.get(['dyslexiaFontEnabled', 'dyslexiaFontFamily'], (data) => {
-        applyTypography(
-          { enabled: data.dyslexiaFontEnabled, font: data.dyslexiaFontFamily },
-          message.settings.scale
-        );
-      });
+      applyScale(message.settings.scale);
+    }
+
+    // Service worker / popup send this with the resolved state for this origin
+    if (message.type === 'REAPPLY_STATE' && message.state) {
+      reapply(message.state);
     }
     
     // Always return true for async response if needed
     return true;
   });
 
+  // Client-side navigation (page-watcher.js)
+  window.OtterEvents?.addEventListener('reapply', (e) => reapply(e.detail.state));
+
+  function reapply(s) {
+    otterPaused = !!s.otterPaused;
+    applyTypography(
+      { enabled: s.dyslexiaFontEnabled || false, font: s.dyslexiaFontFamily || 'default' },
+      s.textScale || 100
+    );
+    applySpacing(spacingFromState(s));
+  }
+
   // Run on load
   init();
   console.debug('[Project Otter] Typography engine initialized.');
@@ -2,8 +2,16 @@
  * Visual filter engine. Injected into every webpage via manifest.json.
  * Handles three features:
  *   1. Color Overlay  — fixed semi-transparent tint div (reduces visual stress)
- *   2. Dark Mode      — CSS class + style injection on <html>
- *   3. CVD Filter     — SVG feColorMatrix filter for colorblindness simulation
+ *   2. Dark Mode      — recolors computed colors (lightness inverted, hue kept)
+ *                       through generated per-color-combination CSS rules
+ *   3. CVD Filter     — SVG feColorMatrix filter that either simulates a type
+ *                       of colorblindness (for testing designs) or corrects
+ *                       for it (daltonization, for colorblind readers)
+ *
+ * Runs in every frame. Dark mode recolors each document on its own; the
+ * overlay and the CVD filter live in the top frame only, since a fixed
+ * overlay and a filter on the root element already cover the frames inside
+ * it — applying them again there would tint or filter framed content twice.
  */
 
 ;(() => {
@@ -19,8 +27,13 @@
       OVERLAY_COLOR     : 'overlayColor',
       OVERLAY_OPACITY   : 'overlayOpacity',
       DARK_MODE_ENABLED : 'darkModeEnabled',
+      DARK_DIM_IMAGES   : 'darkDimImages',
+      DARK_BRIGHTNESS   : 'darkBrightness',
+      DARK_CONTRAST     : 'darkContrast',
       CVD_ENABLED       : 'cvdEnabled',
       CVD_MODE          : 'cvdMode',
+      CVD_METHOD        : 'cvdMethod',
+      CVD_SEVERITY      : 'cvdSeverity',
     };
   
     // ── Element IDs (namespaced to avoid colliding with host page) ─────────────
@@ -35,76 +48,89 @@
     const DEFAULT_COLOR   = '#ffff99';
     const DEFAULT_OPACITY = 0.15;
     const DEFAULT_MODE    = 'none';
-  
-    // ── SVG Color Matrix Filters ────────────────────────────────────────────────
+    const DEFAULT_METHOD  = 'simulate';
+    const DEFAULT_SEVERITY = 0.6;
+    const CVD_FILTER_ID   = 'al-cvd';
+    const IS_TOP          = window === window.top;
+  
+    // ── CVD Color Matrices ──────────────────────────────────────────────────────
+    // 3×3 RGB matrices for complete loss of one cone type (dichromacy) or of
+    // color vision altogether. Anomalous trichromacy ("-omaly") is modelled as
+    // a blend between the identity matrix and the full-loss matrix, weighted by
+    // severity.
     const CVD_MATRICES = {
-      protanopia: `
-        <filter id="al-protanopia">
-          <feColorMatrix type="matrix" values="
-            0.567, 0.433, 0,     0, 0
-            0.558, 0.442, 0,     0, 0
-            0,     0.242, 0.758, 0, 0
-            0,     0,     0,     1, 0"/>
-        </filter>`,
-      deuteranopia: `
-        <filter id="al-deuteranopia">
-          <feColorMatrix type="matrix" values="
-            0.625, 0.375, 0,   0, 0
-            0.7,   0.3,   0,   0, 0
-            0,     0.3,   0.7, 0, 0
-            0,     0,     0,   1, 0"/>
-        </filter>`,
-      tritanopia: `
-        <filter id="al-tritanopia">
-          <feColorMatrix type="matrix" values="
-            0.95, 0.05,  0,     0, 0
-            0,    0.433, 0.567, 0, 0
-            0,    0.475, 0.525, 0, 0
-            0,    0,     0,     1, 0"/>
-        </filter>`,
+      protan : [
+        0.567, 0.433, 0,
+        0.558, 0.442, 0,
+        0,     0.242, 0.758,
+      ],
+      deutan : [
+        0.625, 0.375, 0,
+        0.7,   0.3,   0,
+        0,     0.3,   0.7,
+      ],
+      tritan : [
+        0.95, 0.05,  0,
+        0,    0.433, 0.567,
+        0,    0.475, 0.525,
+      ],
+      achroma : [
+        0.299, 0.587, 0.114,
+        0.299, 0.587, 0.114,
+        0.299, 0.587, 0.114,
+      ],
+    };
+
+    // Daltonization: the color information a viewer loses (original − simulated)
+    // is pushed into channels they can still see. Red-green losses move into
+    // green and blue; blue-yellow losses move into red and green.
+    const CVD_ERROR_SHIFT = {
+      protan : [0, 0, 0,   0.7, 1, 0,   0.7, 0, 1],
+      deutan : [0, 0, 0,   0.7, 1, 0,   0.7, 0, 1],
+      tritan : [1, 0, 0.7, 0, 1, 0.7,   0, 0, 0],
+    };
+
+    // mode → { type, partial }; partial modes honour the severity setting.
+    // Achromatopsia has no hue left to shift, so it is simulation-only.
+    const CVD_MODES = {
+      protanopia    : { type: 'protan',  partial: false },
+      deuteranopia  : { type: 'deutan',  partial: false },
+      tritanopia    : { type: 'tritan',  partial: false },
+      protanomaly   : { type: 'protan',  partial: true  },
+      deuteranomaly : { type: 'deutan',  partial: true  },
+      tritanomaly   : { type: 'tritan',  partial: true  },
+      achromatopsia : { type: 'achroma', partial: false },
+      achromatomaly : { type: 'achroma', partial: true  },
     };
   
-    // ── Dark Mode CSS ────────────────────────────────────────────────────────────
-    const DARK_MODE_CSS = `
-      html.accessilens-dark,
-      html.accessilens-dark body {
-        background-color : #121212 !important;
-        color            : #e8e8e8 !important;
-      }
-      html.accessilens-dark * {
-        background-color : inherit;
-        border-color     : #333 !important;
-      }
-      html.accessilens-dark a {
-        color : #7ab8f5 !important;
-      }
-      html.accessilens-dark img,
-      html.accessilens-dark video {
-        filter : brightness(0.85) !important;
-      }
-      html.accessilens-dark input,
-      html.accessilens-dark textarea,
-      html.accessilens-dark select {
-        background-color : #1e1e1e !important;
-        color            : #e8e8e8 !important;
-        border           : 1px solid #444 !important;
-      }
-      html.accessilens-dark button {
-        background-color : #2a2a2a !important;
-        color            : #e8e8e8 !important;
-        border           : 1px solid #555 !important;
-      }
-      html.accessilens-dark h1, html.accessilens-dark h2,
-      html.accessilens-dark h3, html.accessilens-dark h4,
-      html.accessilens-dark h5, html.accessilens-dark h6 {
-        color : #f0f0f0 !important;
-      }
-      html.accessilens-dark p,  html.accessilens-dark span,
-      html.accessilens-dark li, html.accessilens-dark td,
-      html.accessilens-dark th, html.accessilens-dark label {
-        color : #d8d8d8 !important;
-      }
-    `;
+    // ── Smart Dark Mode ──────────────────────────────────────────────────────────
+    // Target lightness (HSL, 0–1) for the color roles the engine rewrites.
+    // Light backgrounds become dark, dark text becomes light; colors already
+    // on the right side are kept close to what they were. Hue and saturation
+    // are never changed, so links stay blue and warnings stay red.
+    const DARK_TONES = {
+      BG_WHITE  : 0.10,   // a white background
+      BG_MID    : 0.24,   // a mid-grey background (the lightest a background gets)
+      FG_BLACK  : 0.90,   // black text
+      FG_MIN    : 0.62,   // the darkest any text ends up
+      BORDER    : 0.12,   // borders sit this much lighter than a background would
+    };
+    const DARK_ATTR        = 'data-otter-dark';         // → index of the rule that recolors the element
+    const DARK_CANVAS_ATTR = 'data-otter-dark-canvas';  // bright canvas, inverted with a filter
+    const DARK_DIM_ATTR    = 'data-otter-dark-dim';     // on <html> while "dim images" is on
+    const DARK_BATCH_SIZE  = 300;                       // elements recolored per frame
+    const DARK_OBSERVE     = {
+      childList       : true,
+      subtree         : true,
+      attributes      : true,
+      attributeFilter : ['class', 'style'],
+    };
+    const DARK_SKIP_TAGS   = new Set([
+      'SCRIPT', 'STYLE', 'LINK', 'META', 'HEAD', 'TITLE', 'NOSCRIPT', 'TEMPLATE',
+      'IMG', 'PICTURE', 'VIDEO', 'IFRAME', 'OBJECT', 'EMBED', 'BR', 'WBR',
+    ]);
+    const DARK_SKIP_IDS    = new Set(['__al-ruler-host__', '__otter-tts-controls__', 'accessilens-overlay']);
+    const DEFAULT_DARK     = { dimImages: false, brightness: 100, contrast: 100 };  // brightness/contrast in %
   
     // ── Utility ──────────────────────────────────────────────────────────────────
     function hexToRgba(hex, opacity) {
@@ -119,6 +145,7 @@
     // ────────────────────────────────────────────────────────────────────────────
   
     function overlayEnable({ color = DEFAULT_COLOR, opacity = DEFAULT_OPACITY } = {}) {
+      if (!IS_TOP) return;
       let el = document.getElementById(IDS.OVERLAY);
   
       if (!el) {
@@ -136,6 +163,7 @@
           transition     : 'background-color 0.3s ease',
         });
         document.body.appendChild(el);
+        window.OtterPage.keep(el);
       }
   
       el.style.backgroundColor = hexToRgba(color, opacity);
@@ -143,7 +171,7 @@
     }
   
     function overlayDisable() {
-      document.getElementById(IDS.OVERLAY)?.remove();
+      window.OtterPage.remove(document.getElementById(IDS.OVERLAY));
       console.debug('[AccessiLens] Color Overlay disabled.');
     }
   
@@ -174,68 +202,487 @@
     // FEATURE 2: DARK MODE
     // ────────────────────────────────────────────────────────────────────────────
   
-    function darkModeEnable() {
-      // Inject <style> if not already present
-      if (!document.getElementById(IDS.DARK_STYLE)) {
-        const styleEl = document.createElement('style');
-        styleEl.id          = IDS.DARK_STYLE;
-        styleEl.textContent = DARK_MODE_CSS;
-        document.head.appendChild(styleEl);
+    // The engine reads each element's computed colors once, maps them to a
+    // dark equivalent and tags the element with DARK_ATTR="<n>", where rule n
+    // in our stylesheet sets the new colors with !important (which also beats
+    // the page's own inline styles). Elements with identical colors share a
+    // rule, so the sheet stays small. Original colors are kept with each
+    // rule, so brightness/contrast changes only rebuild the stylesheet.
+    //
+    // `color` is inherited: an element whose text color matches its parent's
+    // is left untagged and simply inherits the parent's new color.
+    //
+    // Open shadow roots are scanned and observed like the document; their
+    // copy of the rules is a constructed sheet adopted by every root.
+    let dark = null;   // { settings, styleEl, shadowSheet, rules, ruleIds, queue, rafId, observer, canvasTimers, … }
+
+    function darkModeEnable(settings = {}) {
+      if (dark) {
+        darkModeUpdate(settings);
+        return;
       }
+      window.OtterPage.remove(document.getElementById(IDS.DARK_STYLE));
+
+      dark = {
+        settings     : { ...DEFAULT_DARK, ...definedOnly(settings) },
+        styleEl      : document.createElement('style'),
+        shadowSheet  : new CSSStyleSheet(),
+        rules        : [],          // [{ selector spec }] — index is the attribute value
+        ruleIds      : new Map(),   // spec key → index
+        queue        : new Set(),
+        rafId        : null,
+        observer     : null,
+        canvasTimers : new Set(),
+        release      : null,        // takes shadowSheet out of the shadow roots
+        unwatch      : null,
+      };
+      dark.styleEl.id = IDS.DARK_STYLE;
+      (document.head || document.documentElement).appendChild(dark.styleEl);
+      darkRebuildSheet();
+      // Rules added with insertRule() don't survive re-insertion
+      window.OtterPage.keep(dark.styleEl, darkRebuildSheet);
+
       document.documentElement.classList.add(IDS.HTML_DARK);
+      document.documentElement.toggleAttribute(DARK_DIM_ATTR, !!dark.settings.dimImages);
+
+      dark.observer = new MutationObserver(darkOnMutations);
+      dark.observer.observe(document.documentElement, DARK_OBSERVE);
+      darkEnqueue(document.documentElement, true);
+
+      dark.release = window.OtterShadowRoots.share(dark.shadowSheet);
+      dark.unwatch = window.OtterShadowRoots.watch(darkAddRoot);
+      window.OtterShadowRoots.all().forEach(darkAddRoot);
       console.debug('[AccessiLens] Dark Mode enabled.');
     }
-  
+
     function darkModeDisable() {
-      document.getElementById(IDS.DARK_STYLE)?.remove();
+      if (dark) {
+        dark.observer.disconnect();
+        if (dark.rafId !== null) cancelAnimationFrame(dark.rafId);
+        dark.canvasTimers.forEach(clearTimeout);
+        window.OtterPage.remove(dark.styleEl);
+        dark.unwatch();
+        dark.release();
+        dark = null;
+      }
+      window.OtterPage.remove(document.getElementById(IDS.DARK_STYLE));
+      for (const root of [document, ...window.OtterShadowRoots.all()]) {
+        root.querySelectorAll(`[${DARK_ATTR}], [${DARK_CANVAS_ATTR}]`).forEach(el => {
+          el.removeAttribute(DARK_ATTR);
+          el.removeAttribute(DARK_CANVAS_ATTR);
+        });
+      }
+      document.documentElement.removeAttribute(DARK_DIM_ATTR);
       document.documentElement.classList.remove(IDS.HTML_DARK);
       console.debug('[AccessiLens] Dark Mode disabled.');
     }
+
+    function darkModeUpdate(settings = {}) {
+      if (!dark) return; // Not enabled — ignore update
+      dark.settings = { ...dark.settings, ...definedOnly(settings) };
+      // Some frameworks reset <html> attributes. add() rewrites the class
+      // attribute even when the class is there, which the observer would
+      // take for a page change and rescan everything.
+      if (!document.documentElement.classList.contains(IDS.HTML_DARK)) {
+        document.documentElement.classList.add(IDS.HTML_DARK);
+      }
+      document.documentElement.toggleAttribute(DARK_DIM_ATTR, !!dark.settings.dimImages);
+      darkRebuildSheet();
+    }
+
+    function definedOnly(obj) {
+      return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+    }
+
+    // ── Scanning ──────────────────────────────────────────────────────────────
+    function darkEnqueue(root, withSubtree) {
+      if (root.nodeType !== Node.ELEMENT_NODE || darkIsSkipped(root)) return;
+      dark.queue.add(root);
+      if (withSubtree) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+          acceptNode: (el) => darkIsSkipped(el) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+        });
+        while (walker.nextNode()) dark.queue.add(walker.currentNode);
+      }
+      if (dark.rafId === null) dark.rafId = requestAnimationFrame(darkFlush);
+    }
+
+    function darkAddRoot(root) {
+      dark.observer.observe(root, DARK_OBSERVE);
+      for (const el of root.children) darkEnqueue(el, true);
+    }
+
+    function darkIsSkipped(el) {
+      return DARK_SKIP_TAGS.has(el.tagName) || DARK_SKIP_IDS.has(el.id) || el === dark.styleEl;
+    }
+
+    function darkOnMutations(mutations) {
+      for (const m of mutations) {
+        if (m.type === 'childList') {
+          m.addedNodes.forEach(node => darkEnqueue(node, true));
+        } else {
+          // A class change can restyle descendants; an inline style change
+          // only the element itself (children inherit from it anyway).
+          darkEnqueue(m.target, m.attributeName === 'class');
+        }
+      }
+    }
+
+    // Reads first, writes second, so a batch costs a single style recalc
+    function darkFlush() {
+      if (!dark) return;
+      dark.rafId = null;
+
+      const batch = [];
+      for (const el of dark.queue) {
+        dark.queue.delete(el);
+        if (el.isConnected) batch.push(el);
+        if (batch.length >= DARK_BATCH_SIZE) break;
+      }
+
+      // Re-scanned elements must be read with their original colors
+      for (const el of batch) el.removeAttribute(DARK_ATTR);
+      const specs = batch.map(darkReadColors);
+      batch.forEach((el, i) => {
+        if (specs[i]) el.setAttribute(DARK_ATTR, String(darkRuleFor(specs[i])));
+        if (el.tagName === 'CANVAS') darkCheckCanvas(el);
+      });
+
+      if (dark.queue.size > 0) dark.rafId = requestAnimationFrame(darkFlush);
+    }
+
+    // Original colors of `el` and its ::before/::after, or null if nothing to recolor
+    function darkReadColors(el) {
+      const cs       = getComputedStyle(el);
+      const parentCs = el.parentElement ? getComputedStyle(el.parentElement) : null;
+      const spec     = darkReadBox(cs, parentCs?.color ?? null);
+
+      // fill/stroke inherit too, but only from SVG parents
+      if (el instanceof SVGElement) {
+        const inherits = el.parentElement instanceof SVGElement;
+        if (cs.fill.startsWith('rgb')   && !(inherits && cs.fill   === parentCs.fill))   spec.fill   = cs.fill;
+        if (cs.stroke.startsWith('rgb') && !(inherits && cs.stroke === parentCs.stroke)) spec.stroke = cs.stroke;
+      }
+
+      for (const pseudo of ['before', 'after']) {
+        const pcs = getComputedStyle(el, `::${pseudo}`);
+        if (pcs.content === 'none' || pcs.content === 'normal') continue;
+        const box = darkReadBox(pcs, cs.color);
+        if (Object.keys(box).length) spec[pseudo] = box;
+      }
+      return Object.keys(spec).length ? spec : null;
+    }
+
+    function darkReadBox(cs, inheritedColor) {
+      const box = {};
+      if (!isTransparent(cs.backgroundColor))        box.bg      = cs.backgroundColor;
+      if (cs.backgroundImage.includes('gradient('))  box.bgImage = cs.backgroundImage;
+      if (cs.color !== inheritedColor)               box.color   = cs.color;
+
+      const sides = ['Top', 'Right', 'Bottom', 'Left']
+        .map(side => parseFloat(cs[`border${side}Width`]) > 0 ? cs[`border${side}Color`] : null);
+      if (sides.some(Boolean)) box.border = sides;
+      return box;
+    }
+
+    // Canvases can't be recolored, but a mostly-white one (charts, diagrams)
+    // can be flipped with a filter. Drawing is often async, so look twice.
+    function darkCheckCanvas(canvas, retry = true) {
+      if (canvas.width * canvas.height < 2500) return;   // icons, sparklines
+      try {
+        const probe = document.createElement('canvas');
+        probe.width = probe.height = 8;
+        const ctx = probe.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(canvas, 0, 0, 8, 8);
+        const px = ctx.getImageData(0, 0, 8, 8).data;
+
+        let sum = 0, count = 0;
+        for (let i = 0; i < px.length; i += 4) {
+          if (px[i + 3] < 128) continue;
+          sum += (0.2126 * px[i] + 0.7152 * px[i + 1] + 0.0722 * px[i + 2]) / 255;
+          count++;
+        }
+        if (count > 0) {
+          canvas.toggleAttribute(DARK_CANVAS_ATTR, sum / count > 0.6);
+          return;
+        }
+      } catch (_) {
+        return; // Cross-origin (tainted) canvas — leave it alone
+      }
+      if (retry && dark) {
+        const timer = setTimeout(() => {
+          dark?.canvasTimers.delete(timer);
+          if (dark && canvas.isConnected) darkCheckCanvas(canvas, false);
+        }, 1500);
+        dark.canvasTimers.add(timer);
+      }
+    }
+
+    // ── Stylesheet ────────────────────────────────────────────────────────────
+    function darkRuleFor(spec) {
+      const key = JSON.stringify(spec);
+      let id = dark.ruleIds.get(key);
+      if (id !== undefined) return id;
+
+      id = dark.rules.length;
+      dark.rules.push(spec);
+      dark.ruleIds.set(key, id);
+      for (const css of darkCssFor(id, spec)) {
+        for (const sheet of [dark.styleEl.sheet, dark.shadowSheet]) {
+          try {
+            sheet.insertRule(css, sheet.cssRules.length);
+          } catch (_) { /* color syntax the engine didn't understand */ }
+        }
+      }
+      return id;
+    }
+
+    function darkRebuildSheet() {
+      const pageBg  = darkColor('rgb(255, 255, 255)', 'bg');
+      const pageFg  = darkColor('rgb(0, 0, 0)', 'fg');
+      const base = `
+        html.${IDS.HTML_DARK} {
+          background-color : ${pageBg} !important;
+          color-scheme     : dark !important;
+        }
+        html.${IDS.HTML_DARK} ::placeholder { color: ${pageFg} !important; opacity: 0.6; }
+        html[${DARK_DIM_ATTR}] img,
+        html[${DARK_DIM_ATTR}] picture,
+        html[${DARK_DIM_ATTR}] video {
+          filter : brightness(0.75) !important;
+        }
+        :host-context(html[${DARK_DIM_ATTR}]) img,
+        :host-context(html[${DARK_DIM_ATTR}]) picture,
+        :host-context(html[${DARK_DIM_ATTR}]) video {
+          filter : brightness(0.75) !important;
+        }
+        [${DARK_CANVAS_ATTR}] {
+          filter : invert(0.9) hue-rotate(180deg) !important;
+        }
+      `;
+      const rules = dark.rules.flatMap((spec, id) => darkCssFor(id, spec));
+      dark.styleEl.textContent = `${base}\n${rules.join('\n')}`;
+      dark.shadowSheet.replaceSync(dark.styleEl.textContent);
+    }
+
+    function darkCssFor(id, spec) {
+      const sel = `[${DARK_ATTR}="${id}"]`;
+      const out = [];
+      const own = darkDeclarations(spec);
+      if (spec.fill)   own.push(`fill: ${darkColor(spec.fill, 'fg')} !important`);
+      if (spec.stroke) own.push(`stroke: ${darkColor(spec.stroke, 'fg')} !important`);
+      if (own.length) out.push(`${sel} { ${own.join('; ')} }`);
+
+      for (const pseudo of ['before', 'after']) {
+        if (spec[pseudo]) out.push(`${sel}::${pseudo} { ${darkDeclarations(spec[pseudo]).join('; ')} }`);
+      }
+      return out;
+    }
+
+    function darkDeclarations(box) {
+      const decl = [];
+      if (box.bg)      decl.push(`background-color: ${darkColor(box.bg, 'bg')} !important`);
+      if (box.bgImage) decl.push(`background-image: ${box.bgImage.replace(/rgba?\([^)]*\)/g, c => darkColor(c, 'bg'))} !important`);
+      if (box.color)   decl.push(`color: ${darkColor(box.color, 'fg')} !important`);
+      if (box.border) {
+        ['top', 'right', 'bottom', 'left'].forEach((side, i) => {
+          if (box.border[i]) decl.push(`border-${side}-color: ${darkColor(box.border[i], 'border')} !important`);
+        });
+      }
+      return decl;
+    }
+
+    // ── Color maths ──────────────────────────────────────────────────────────
+    // role: 'bg' | 'fg' | 'border'. Keeps hue, saturation and alpha; only
+    // lightness moves, then the brightness/contrast sliders apply on top.
+    function darkColor(css, role) {
+      const rgba = parseColor(css);
+      if (!rgba) return css;
+      const [h, s, l] = rgbToHsl(rgba[0], rgba[1], rgba[2]);
+      const T = DARK_TONES;
+
+      let target;
+      if (role === 'fg') {
+        target = l < 0.5 ? lerp(T.FG_BLACK, T.FG_MIN, l / 0.5) : Math.max(l, T.FG_MIN);
+      } else {
+        target = l >= 0.5 ? lerp(T.BG_MID, T.BG_WHITE, (l - 0.5) / 0.5) : lerp(0, T.BG_MID, l / 0.5);
+        if (role === 'border') target += T.BORDER;
+      }
+
+      const { brightness, contrast } = dark?.settings || DEFAULT_DARK;
+      target = ((target - 0.5) * (contrast / 100) + 0.5) * (brightness / 100);
+
+      const [r, g, b] = hslToRgb(h, s, Math.min(1, Math.max(0, target)));
+      return `rgba(${r}, ${g}, ${b}, ${rgba[3]})`;
+    }
+
+    function isTransparent(css) {
+      const rgba = parseColor(css);
+      return !rgba || rgba[3] === 0;
+    }
+
+    // Computed colors are usually rgb()/rgba(); anything else (oklch(),
+    // color(), lab()…) is resolved by painting it into a 1×1 canvas.
+    const colorCache = new Map();
+    let colorProbe   = null;
+    function parseColor(css) {
+      if (!css || css === 'transparent' || css === 'none') return null;
+      const m = css.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+      if (m) {
+        const a = m[4] === undefined ? 1 : (m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]));
+        return [+m[1], +m[2], +m[3], a];
+      }
+      if (colorCache.has(css)) return colorCache.get(css);
+
+      let result = null;
+      try {
+        colorProbe = colorProbe || document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+        colorProbe.clearRect(0, 0, 1, 1);
+        colorProbe.fillStyle = css;
+        colorProbe.fillRect(0, 0, 1, 1);
+        const [r, g, b, a] = colorProbe.getImageData(0, 0, 1, 1).data;
+        result = [r, g, b, +(a / 255).toFixed(3)];
+      } catch (_) { /* unparseable */ }
+      colorCache.set(css, result);
+      return result;
+    }
+
+    function lerp(a, b, t) {
+      return a + (b - a) * t;
+    }
+
+    function rgbToHsl(r, g, b) {
+      r /= 255; g /= 255; b /= 255;
+      const max = Math.max(r, g, b), min = Math.min(r, g, b);
+      const l = (max + min) / 2;
+      if (max === min) return [0, 0, l];
+      const d = max - min;
+      const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+      let h;
+      if (max === r)      h = (g - b) / d + (g < b ? 6 : 0);
+      else if (max === g) h = (b - r) / d + 2;
+      else                h = (r - g) / d + 4;
+      return [h / 6, s, l];
+    }
+
+    function hslToRgb(h, s, l) {
+      if (s === 0) {
+        const v = Math.round(l * 255);
+        return [v, v, v];
+      }
+      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+      const p = 2 * l - q;
+      const channel = (t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+      };
+      return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)].map(v => Math.round(v * 255));
+    }
   
     // ────────────────────────────────────────────────────────────────────────────
     // FEATURE 3: CVD FILTER (Colorblindness)
     // ────────────────────────────────────────────────────────────────────────────
   
-    function cvdEnable({ mode = DEFAULT_MODE } = {}) {
-      if (mode === 'none') {
+    // Last applied settings, so partial CVD_FILTER_UPDATE messages (just the
+    // mode, or just the severity) keep the other values.
+    let cvdState = { mode: DEFAULT_MODE, method: DEFAULT_METHOD, severity: DEFAULT_SEVERITY };
+
+    function cvdEnable({ mode = DEFAULT_MODE, method = DEFAULT_METHOD, severity = DEFAULT_SEVERITY } = {}) {
+      cvdState = { mode, method, severity };
+      if (!IS_TOP) return;
+      const matrix = cvdMatrix(cvdState);
+      if (!matrix) {
         cvdDisable();
         return;
       }
   
       ensureSvgFilters();
+      document.getElementById(CVD_FILTER_ID)
+        ?.querySelector('feColorMatrix')
+        .setAttribute('values', toFeValues(matrix));
   
       // Apply CSS filter to root element — affects ENTIRE page including images
       document.documentElement.style.setProperty(
         'filter',
-        `url(#al-${mode})`,
+        `url(#${CVD_FILTER_ID})`,
         'important'
       );
-      console.debug(`[AccessiLens] CVD Filter enabled: ${mode}`);
+      console.debug(`[AccessiLens] CVD Filter enabled: ${method} ${mode}`);
     }
   
     function cvdDisable() {
+      if (!IS_TOP) return;
       document.documentElement.style.removeProperty('filter');
-      document.getElementById(IDS.SVG_FILTER)?.remove();
+      window.OtterPage.remove(document.getElementById(IDS.SVG_FILTER));
       console.debug('[AccessiLens] CVD Filter disabled.');
     }
   
-    function cvdUpdate({ mode } = {}) {
-      if (!mode || mode === 'none') {
+    function cvdUpdate(settings = {}) {
+      const next = { ...cvdState };
+      for (const key of ['mode', 'method', 'severity']) {
+        if (settings[key] !== undefined) next[key] = settings[key];
+      }
+      if (!next.mode || next.mode === 'none') {
+        cvdState = next;
         cvdDisable();
         return;
       }
-      // SVG already has all three filters defined — just swap the CSS reference
-      ensureSvgFilters();
-      document.documentElement.style.setProperty(
-        'filter',
-        `url(#al-${mode})`,
-        'important'
-      );
+      cvdEnable(next);
+    }
+
+    // 3×3 matrix for the given settings, or null when nothing should be applied
+    function cvdMatrix({ mode, method, severity }) {
+      const spec = CVD_MODES[mode];
+      if (!spec) return null;
+
+      const amount = spec.partial
+        ? Math.min(1, Math.max(0.1, Number(severity) || DEFAULT_SEVERITY))
+        : 1;
+      const simulated = mix(IDENTITY_3, CVD_MATRICES[spec.type], amount);
+      if (method !== 'correct') return simulated;
+
+      const shift = CVD_ERROR_SHIFT[spec.type];
+      if (!shift) return null;
+
+      // corrected = I + shift × (I − simulated)
+      const lost    = IDENTITY_3.map((v, i) => v - simulated[i]);
+      const shifted = multiply3(shift, lost);
+      return IDENTITY_3.map((v, i) => v + shifted[i]);
+    }
+
+    const IDENTITY_3 = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+    function mix(a, b, t) {
+      return a.map((v, i) => v * (1 - t) + b[i] * t);
+    }
+
+    function multiply3(a, b) {
+      const out = [];
+      for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+          out.push(a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]);
+        }
+      }
+      return out;
+    }
+
+    // 3×3 RGB → the 4×5 matrix feColorMatrix expects (alpha untouched)
+    function toFeValues(m) {
+      const f = (v) => v.toFixed(4);
+      return [
+        `${f(m[0])} ${f(m[1])} ${f(m[2])} 0 0`,
+        `${f(m[3])} ${f(m[4])} ${f(m[5])} 0 0`,
+        `${f(m[6])} ${f(m[7])} ${f(m[8])} 0 0`,
+        '0 0 0 1 0',
+      ].join(' ');
     }
   
-    // Injects the SVG element containing ALL filter definitions into the page.
-    // All three matrices are included in one SVG so switching modes only requires
-    // changing the CSS filter value — no DOM re-injection needed.
+    // Injects the SVG element holding the single CVD filter. Switching mode,
+    // method or severity only rewrites its matrix values — no DOM re-injection.
     function ensureSvgFilters() {
       if (document.getElementById(IDS.SVG_FILTER)) return; // Already present
   
@@ -245,12 +692,13 @@
       svg.setAttribute('xmlns', svgNS);
       svg.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden;pointer-events:none;';
       svg.innerHTML = `<defs>
-        ${CVD_MATRICES.protanopia}
-        ${CVD_MATRICES.deuteranopia}
-        ${CVD_MATRICES.tritanopia}
+        <filter id="${CVD_FILTER_ID}">
+          <feColorMatrix type="matrix" values="${toFeValues(IDENTITY_3)}"/>
+        </filter>
       </defs>`;
   
       document.body.insertBefore(svg, document.body.firstChild);
+      window.OtterPage.keep(svg);
     }
   
     // ────────────────────────────────────────────────────────────────────────────
@@ -259,13 +707,18 @@
   
     async function init() {
       try {
-        const stored = await chrome.storage.local.get([
+        const stored = await window.StorageHelper.getEffective([
           KEYS.OVERLAY_ENABLED,
           KEYS.OVERLAY_COLOR,
           KEYS.OVERLAY_OPACITY,
           KEYS.DARK_MODE_ENABLED,
+          KEYS.DARK_DIM_IMAGES,
+          KEYS.DARK_BRIGHTNESS,
+          KEYS.DARK_CONTRAST,
           KEYS.CVD_ENABLED,
           KEYS.CVD_MODE,
+          KEYS.CVD_METHOD,
+          KEYS.CVD_SEVERITY,
         ]);
   
         if (stored[KEYS.OVERLAY_ENABLED]) {
@@ -276,12 +729,18 @@
         }
   
         if (stored[KEYS.DARK_MODE_ENABLED]) {
-          darkModeEnable();
+          darkModeEnable({
+            dimImages  : stored[KEYS.DARK_DIM_IMAGES],
+            brightness : stored[KEYS.DARK_BRIGHTNESS],
+            contrast   : stored[KEYS.DARK_CONTRAST],
+          });
         }
   
         if (stored[KEYS.CVD_ENABLED]) {
           cvdEnable({
-            mode : stored[KEYS.CVD_MODE] ?? DEFAULT_MODE,
+            mode     : stored[KEYS.CVD_MODE]     ?? DEFAULT_MODE,
+            method   : stored[KEYS.CVD_METHOD]   ?? DEFAULT_METHOD,
+            severity : stored[KEYS.CVD_SEVERITY] ?? DEFAULT_SEVERITY,
           });
         }
   
@@ -318,12 +777,17 @@
           // ── Dark Mode ──────────────────────────────────────────────────────
           case 'DARK_MODE_TOGGLE':
             if (message.enabled) {
-              darkModeEnable();
+              darkModeEnable(message.settings || {});
             } else {
               darkModeDisable();
             }
             sendResponse({ ok: true });
             break;
+
+          case 'DARK_MODE_UPDATE':
+            darkModeUpdate(message.settings || {});
+            sendResponse({ ok: true });
+            break;
   
           // ── CVD Filter ─────────────────────────────────────────────────────
           case 'CVD_FILTER_TOGGLE':
@@ -341,17 +805,10 @@
             break;
   
           // ── Navigation re-apply (sent by service worker on tabs.onUpdated) ─
-          case 'REAPPLY_STATE': {
-            const s = message.state || {};
-            if (s.overlayEnabled)   overlayEnable({ color: s.overlayColor, opacity: s.overlayOpacity });
-            else                    overlayDisable();
-            if (s.darkModeEnabled)  darkModeEnable();
-            else                    darkModeDisable();
-            if (s.cvdEnabled)       cvdEnable({ mode: s.cvdMode });
-            else                    cvdDisable();
+          case 'REAPPLY_STATE':
+            reapply(message.state || {});
             sendResponse({ ok: true });
             break;
-          }
   
           default:
             // Ignore messages for other features (focus-ruler, typography, etc.)
@@ -360,6 +817,18 @@
   
         return true; // Keep channel open for async sendResponse
       });
+
+      // Client-side navigation (page-watcher.js)
+      window.OtterEvents?.addEventListener('reapply', (e) => reapply(e.detail.state));
+    }
+
+    function reapply(s) {
+      if (s.overlayEnabled)   overlayEnable({ color: s.overlayColor, opacity: s.overlayOpacity });
+      else                    overlayDisable();
+      if (s.darkModeEnabled)  darkModeEnable({ dimImages: s.darkDimImages, brightness: s.darkBrightness, contrast: s.darkContrast });
+      else                    darkModeDisable();
+      if (s.cvdEnabled)       cvdEnable({ mode: s.cvdMode, method: s.cvdMethod, severity: s.cvdSeverity });
+      else                    cvdDisable();
     }
   
     init();
@@ -0,0 +1,328 @@
+/**
+ * Project Otter — content-scripts/word-lookup.js
+ * Word lookup: a small popover with a word's meanings, part of speech and
+ * syllables, so readers don't have to leave the page to look a word up.
+ *
+ * Architecture:
+ *   - Opened by double-clicking a word (when the feature is on), by the
+ *     lookup-word shortcut (LOOKUP_SELECTION, handled by the focused frame)
+ *     or from the context menu, on whatever word is selected.
+ *   - Definitions come from the dictionary bundled with the extension; the
+ *     service worker loads it and answers LOOKUP_WORD. Syllables come from
+ *     the English hyphenation patterns (utils/hyphenation.js). Nothing is
+ *     looked up online.
+ *   - "Speak this word" sends SPEAK_TEXT, the same path as reading a
+ *     selection aloud, so it uses the chosen voice, speed and pitch.
+ *   - The popover lives in a closed Shadow DOM and closes on Escape, a click
+ *     elsewhere or a scroll.
+ */
+
+;(() => {
+  'use strict';
+
+  // ── Guard: prevent double-injection ────────────────────────────────────────
+  if (window.__otterWordLookupLoaded) return;
+  window.__otterWordLookupLoaded = true;
+
+  // ── Local reference to globals from storage-helper.js ──────────────────────
+  const KEYS = window.STORAGE_KEYS || {
+    WORD_LOOKUP_ENABLED : 'wordLookupEnabled',
+  };
+
+  // ── Constants ──────────────────────────────────────────────────────────────
+  const HOST_ID      = 'otter-word-lookup-host';
+  const MAX_WORD_LEN = 40;
+  const GAP          = 8;    // px between the word and the popover
+  const LANG         = 'en'; // the bundled dictionary's language
+
+  // A single word, possibly hyphenated or with an apostrophe
+  const WORD_RE = /^\p{L}[\p{L}\p{M}'’-]*$/u;
+
+  // ── Module state ───────────────────────────────────────────────────────────
+  let isEnabled = false;   // double-click opens the popover
+  let popover   = null;    // { host, card, returnFocus }
+  let requestId = 0;       // drops answers for a word that is no longer wanted
+
+  // ── Bootstrap ──────────────────────────────────────────────────────────────
+  init();
+
+  async function init() {
+    try {
+      const result = await window.StorageHelper.getEffective([KEYS.WORD_LOOKUP_ENABLED]);
+      isEnabled = result[KEYS.WORD_LOOKUP_ENABLED] === true;
+    } catch (err) {
+      console.debug('[Project Otter] word-lookup storage read failed:', err.message);
+    }
+
+    document.addEventListener('dblclick', onDoubleClick);
+    registerMessageListener();
+  }
+
+  function setEnabled(enabled) {
+    isEnabled = enabled;
+    if (!enabled) close();
+  }
+
+  // ── Triggers ───────────────────────────────────────────────────────────────
+  // The browser has already selected the word under the pointer
+  function onDoubleClick(e) {
+    if (!isEnabled || e.composedPath().some(el => el.id === HOST_ID)) return;
+    const picked = selectedWord();
+    if (picked) open(picked.word, picked.rect, false);
+  }
+
+  // The selected word and where it is on screen, or null. Text fields keep
+  // their selection to themselves, so it is read from the field.
+  function selectedWord() {
+    let text, rect;
+    const field = document.activeElement;
+    if (field instanceof HTMLTextAreaElement || (field instanceof HTMLInputElement && field.type === 'text')) {
+      text = field.value.slice(field.selectionStart ?? 0, field.selectionEnd ?? 0);
+      rect = field.getBoundingClientRect();
+    } else {
+      const sel = window.getSelection();
+      if (!sel || sel.isCollapsed || !sel.rangeCount) return null;
+      text = sel.toString();
+      rect = sel.getRangeAt(0).getBoundingClientRect();
+    }
+
+    // Trim the punctuation a double-click picks up: "(word)," → "word"
+    const word = text.trim().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+    if (!word || word.length > MAX_WORD_LEN || !WORD_RE.test(word)) return null;
+    return { word, rect };
+  }
+
+  // ── Lookup ─────────────────────────────────────────────────────────────────
+  async function open(word, rect, takeFocus) {
+    const id = ++requestId;
+    const [lookup, syllables] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'LOOKUP_WORD', word }).catch(err => ({ ok: false, error: err.message })),
+      syllablesOf(word),
+    ]);
+    if (id !== requestId) return;
+
+    if (!lookup?.ok) console.debug('[Project Otter] word lookup failed:', lookup?.error);
+    const entry = lookup?.ok ? lookup.entry : null;
+    // The dictionary form splits more reliably than an inflection of it
+    const parts = entry && entry.word !== word.toLowerCase() ? await syllablesOf(entry.word) : syllables;
+    if (id !== requestId) return;
+
+    show(word, entry, parts, rect, takeFocus);
+  }
+
+  // English patterns are injected by the service worker on first use
+  async function syllablesOf(word) {
+    const hyphenation = window.OtterHyphenation;
+    if (!hyphenation) return [word];
+    if (!hyphenation.has(LANG)) {
+      const res = await chrome.runtime.sendMessage({ type: 'LOAD_HYPHENATION', lang: LANG }).catch(() => null);
+      if (!res?.ok) return [word];
+    }
+    return hyphenation.syllables(word, LANG);
+  }
+
+  // ── Popover ────────────────────────────────────────────────────────────────
+  function show(word, entry, syllables, rect, takeFocus) {
+    const returnFocus = popover ? popover.returnFocus : document.activeElement;
+    close();
+
+    const host = document.createElement('div');
+    host.id = HOST_ID;
+    Object.assign(host.style, {
+      all      : 'initial',
+      position : 'fixed',
+      zIndex   : '2147483647',
+      left     : '0',
+      top      : '0',
+    });
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = getPopoverCSS();
+    root.appendChild(style);
+
+    const title = entry ? entry.word : word;
+    const card  = document.createElement('div');
+    card.className = 'card';
+    card.tabIndex  = -1;
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-label', `Definition of ${title}`);
+
+    const head = document.createElement('div');
+    head.className = 'head';
+    const heading = document.createElement('span');
+    heading.className   = 'word';
+    heading.textContent = syllables.join('·');
+    heading.setAttribute('aria-label', title);
+    head.appendChild(heading);
+    head.appendChild(button('Speak this word', '🔊', () => {
+      chrome.runtime.sendMessage({ type: 'SPEAK_TEXT', text: title }).catch(() => {});
+    }));
+    head.appendChild(button('Close', '✕', () => close(true)));
+    card.appendChild(head);
+
+    const count = document.createElement('p');
+    count.className   = 'syllables';
+    count.textContent = `${syllables.length} syllable${syllables.length === 1 ? '' : 's'}`;
+    card.appendChild(count);
+
+    if (entry) {
+      const list = document.createElement('ol');
+      for (const sense of entry.senses) {
+        const item = document.createElement('li');
+        const pos  = document.createElement('span');
+        pos.className   = 'pos';
+        pos.textContent = sense.pos;
+        item.append(pos, ' ', sense.text);
+        list.appendChild(item);
+      }
+      card.appendChild(list);
+    } else {
+      const missing = document.createElement('p');
+      missing.className   = 'missing';
+      missing.textContent = `“${word}” isn't in the offline dictionary.`;
+      card.appendChild(missing);
+    }
+
+    root.appendChild(card);
+    (document.body || document.documentElement).appendChild(host);
+    window.OtterPage.keep(host);
+    place(host, card, rect);
+
+    popover = { host, card, returnFocus };
+    window.addEventListener('keydown', onKeyDown, true);
+    window.addEventListener('pointerdown', onPointerDown, true);
+    window.addEventListener('scroll', onScroll, { capture: true, passive: true });
+    if (takeFocus) card.focus();
+  }
+
+  function button(label, text, onClick) {
+    const btn = document.createElement('button');
+    btn.type        = 'button';
+    btn.textContent = text;
+    btn.title       = label;
+    btn.setAttribute('aria-label', label);
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // Below the word, or above it when there isn't room; always on screen
+  function place(host, card, rect) {
+    const { width, height } = card.getBoundingClientRect();
+    const maxLeft = window.innerWidth - width - GAP;
+    let top = rect.bottom + GAP;
+    if (top + height > window.innerHeight - GAP && rect.top - GAP - height >= GAP) {
+      top = rect.top - GAP - height;
+    }
+    host.style.left = `${Math.max(GAP, Math.min(rect.left, maxLeft))}px`;
+    host.style.top  = `${Math.max(GAP, top)}px`;
+  }
+
+  // `restoreFocus`: closed from inside the popover, so focus goes back to
+  // where it was; a click elsewhere has already moved it
+  function close(restoreFocus = false) {
+    if (!popover) return;
+    const { host, returnFocus } = popover;
+    popover = null;
+    window.removeEventListener('keydown', onKeyDown, true);
+    window.removeEventListener('pointerdown', onPointerDown, true);
+    window.removeEventListener('scroll', onScroll, true);
+    window.OtterPage.remove(host);
+    if (restoreFocus && returnFocus?.isConnected) returnFocus.focus?.();
+  }
+
+  function onKeyDown(e) {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    close(true);
+  }
+
+  function onPointerDown(e) {
+    if (!e.composedPath().includes(popover?.host)) close();
+  }
+
+  function onScroll() {
+    close();
+  }
+
+  function getPopoverCSS() {
+    return /* css */ `
+      .card {
+        box-sizing    : border-box;
+        width         : max-content;
+        max-width     : min(340px, calc(100vw - 16px));
+        max-height    : min(320px, calc(100vh - 16px));
+        overflow-y    : auto;
+        padding       : 10px 12px 12px;
+        background    : rgba(22, 22, 28, 0.96);
+        border        : 1px solid #f5c842;
+        border-radius : 12px;
+        box-shadow    : 0 6px 24px rgba(0, 0, 0, 0.35);
+        color         : #eae8e1;
+        font          : 14px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        text-align    : left;
+      }
+      .card:focus { outline: none; }
+      .head    { display: flex; align-items: center; gap: 4px; }
+      .word    { flex: 1; font-size: 18px; font-weight: 700; color: #f5c842; letter-spacing: 0.02em; }
+      button {
+        width         : 30px;
+        height        : 30px;
+        border        : none;
+        border-radius : 50%;
+        background    : transparent;
+        color         : #eae8e1;
+        font-size     : 14px;
+        line-height   : 1;
+        cursor        : pointer;
+      }
+      button:hover         { background: rgba(245, 200, 66, 0.15); color: #f5c842; }
+      button:focus-visible { outline: 2px solid #f5c842; outline-offset: 1px; }
+      .syllables { margin: 0 0 6px; font-size: 12px; color: #a8a59c; }
+      ol         { margin: 0; padding-left: 20px; }
+      li         { margin: 4px 0; }
+      .pos       { font-style: italic; color: #a8a59c; }
+      .missing   { margin: 4px 0 0; color: #a8a59c; }
+    `;
+  }
+
+  // ── Message Listener ───────────────────────────────────────────────────────
+  function registerMessageListener() {
+    chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+      switch (message.type) {
+
+        case 'WORD_LOOKUP_TOGGLE':
+          setEnabled(!!message.enabled);
+          sendResponse({ ok: true, enabled: isEnabled });
+          break;
+
+        // Shortcut (focused frame only) or context menu (the clicked frame);
+        // works whether or not double-click lookup is on
+        case 'LOOKUP_SELECTION': {
+          if (!message.here && (!document.hasFocus() || document.activeElement instanceof HTMLIFrameElement)) break;
+          const picked = selectedWord();
+          if (!picked) { sendResponse({ ok: false }); break; }
+          window.StorageHelper.getEffective([]).then((res) => {
+            if (!res.otterPaused) open(picked.word, picked.rect, !message.here);
+            sendResponse({ ok: !res.otterPaused });
+          }).catch(err => sendResponse({ ok: false, error: err.message }));
+          return true;
+        }
+
+        // Service worker sends this after navigation to re-apply all features
+        case 'REAPPLY_STATE':
+          setEnabled(message.state?.[KEYS.WORD_LOOKUP_ENABLED] === true);
+          sendResponse({ ok: true });
+          break;
+
+        default:
+          break;
+      }
+      return true;
+    });
+
+    // Client-side navigation (page-watcher.js)
+    window.OtterEvents?.addEventListener('reapply', (e) => setEnabled(e.detail.state[KEYS.WORD_LOOKUP_ENABLED] === true));
+  }
+
+})();
@@ -1,47 +1,9 @@
 'use strict';
 
-// ─── Storage key strings ──────────────────────────────────────────────────────
-const KEYS = {
-  // Focus Ruler
-  RULER_ENABLED   : 'focusRulerEnabled',
-  RULER_HEIGHT    : 'rulerHeight',
-  DIM_OPACITY     : 'dimOpacity',
-  // Color Overlay
-  OVERLAY_ENABLED : 'overlayEnabled',
-  OVERLAY_COLOR   : 'overlayColor',
-  OVERLAY_OPACITY : 'overlayOpacity',
-  // Dark Mode
-  DARK_MODE       : 'darkModeEnabled',
-  // CVD Filter
-  CVD_ENABLED     : 'cvdEnabled',
-  CVD_MODE        : 'cvdMode',
-  // Dyslexia 
-  DYSLEXIA_FONT   : 'dyslexiaFontEnabled',
-  FONT_FAMILY     : 'dyslexiaFontFamily',
-  TEXT_SCALE      : 'textScale',
-  BIONIC          : 'bionicReadingEnabled',
-  // Text to Speech
-  TTS_ENABLED     : 'ttsEnabled',
-  TTS_SPEED       : 'ttsSpeed',
-};
-
-const DEFAULTS = {
-  [KEYS.RULER_ENABLED]   : false,
-  [KEYS.RULER_HEIGHT]    : 40,
-  [KEYS.DIM_OPACITY]     : 0.75,
-  [KEYS.OVERLAY_ENABLED] : false,
-  [KEYS.OVERLAY_COLOR]   : '#ffff99',
-  [KEYS.OVERLAY_OPACITY] : 0.15,
-  [KEYS.DARK_MODE]       : false,
-  [KEYS.CVD_ENABLED]     : false,
-  [KEYS.CVD_MODE]        : 'none',
-  [KEYS.DYSLEXIA_FONT]   : false,
-  [KEYS.FONT_FAMILY]     : 'default',
-  [KEYS.TEXT_SCALE]      : 100,
-  [KEYS.BIONIC]          : false,
-  [KEYS.TTS_ENABLED]     : false,
-  [KEYS.TTS_SPEED]       : 1.0,
-};
+// ─── Defaults ─────────────────────────────────────────────────────────────────
+// Every setting the popup shows, from the shared schema
+// (utils/settings-schema.js); key names are STORAGE_KEYS (utils/storage-helper.js)
+const DEFAULTS = OtterSchema.defaults(OtterSchema.settingKeys());
 
 // ─── DOM refs ─────────────────────────────────────────────────────────────────
 
@@ -53,6 +15,25 @@ const heightRange   = document.getElementById('heightRange');
 const heightOutput  = document.getElementById('heightOutput');
 const opacityRange  = document.getElementById('opacityRange');
 const opacityOutput = document.getElementById('opacityOutput');
+const followChips   = document.querySelectorAll('.chip[data-follow]');
+const snapToggle    = document.getElementById('rulerSnapToggle');
+const shapeChips    = document.querySelectorAll('.chip[data-shape]');
+const rulerWidthRow    = document.getElementById('rulerWidthRow');
+const rulerWidthRange  = document.getElementById('rulerWidthRange');
+const rulerWidthOutput = document.getElementById('rulerWidthOutput');
+const rulerStyleChips  = document.querySelectorAll('.chip[data-ruler-style]');
+const rulerOpacityRow  = document.getElementById('rulerOpacityRow');
+const rulerMaskRow     = document.getElementById('rulerMaskRow');
+const rulerMaskSwatch  = document.getElementById('rulerMaskSwatch');
+const rulerMaskColor   = document.getElementById('rulerMaskColor');
+const rulerTintToggle  = document.getElementById('rulerTintToggle');
+const rulerTintRow     = document.getElementById('rulerTintRow');
+const rulerTintSwatches = document.querySelectorAll('#rulerTintGrid .swatch:not(.swatch--custom)');
+const rulerTintCustom  = document.getElementById('rulerTintCustom');
+const rulerLineSwatch  = document.getElementById('rulerLineSwatch');
+const rulerLineColor   = document.getElementById('rulerLineColor');
+const rulerLineWidthRange  = document.getElementById('rulerLineWidthRange');
+const rulerLineWidthOutput = document.getElementById('rulerLineWidthOutput');
 const bodyRuler     = document.getElementById('body-ruler');
 const cardRuler     = document.getElementById('card-ruler');
 
@@ -69,28 +50,110 @@ const cardOverlay        = document.getElementById('card-overlay');
 const darkToggle  = document.getElementById('darkToggle');
 const bodyDark    = document.getElementById('body-dark');
 const cardDark    = document.getElementById('card-dark');
+const darkBrightnessRange  = document.getElementById('darkBrightnessRange');
+const darkBrightnessOutput = document.getElementById('darkBrightnessOutput');
+const darkContrastRange    = document.getElementById('darkContrastRange');
+const darkContrastOutput   = document.getElementById('darkContrastOutput');
+const darkDimImagesToggle  = document.getElementById('darkDimImagesToggle');
 
 // CVD Filter
 const cvdToggle   = document.getElementById('cvdToggle');
 const chips       = document.querySelectorAll('.chip[data-mode]');
+const methodChips = document.querySelectorAll('.chip[data-method]');
+const cvdSeverityRow    = document.getElementById('cvdSeverityRow');
+const cvdSeverityRange  = document.getElementById('cvdSeverityRange');
+const cvdSeverityOutput = document.getElementById('cvdSeverityOutput');
+const cvdMethodNote     = document.getElementById('cvdMethodNote');
 const bodyCvd     = document.getElementById('body-cvd');
 const cardCvd     = document.getElementById('card-cvd');
 
 // Dyslexia 
 const dyslexiaFontToggle = document.getElementById('dyslexiaFontToggle');
 const fontSelect         = document.getElementById('fontSelect');
-//const textScaleRange     = document.getElementById('textScaleRange');
-//const textScaleOutput    = document.getElementById('textScaleOutput');
+const textScaleRange     = document.getElementById('textScaleRange');
+const textScaleOutput    = document.getElementById('textScaleOutput');
 const bodyDyslexia       = document.getElementById('body-dyslexia');
 const cardDyslexiaFont   = document.getElementById('card-dyslexia-font');
 
+// Text Spacing
+const spacingToggle = document.getElementById('spacingToggle');
+const bodySpacing   = document.getElementById('body-spacing');
+const cardSpacing   = document.getElementById('card-spacing');
+const lineLengthChips = document.querySelectorAll('.chip[data-line-length]');
+const spacingWcagBtn  = document.getElementById('spacingWcagBtn');
+// key → slider, its readout and how the value is shown
+const spacingSliders = [
+  { key: STORAGE_KEYS.LINE_HEIGHT,       range: 'lineHeightRange',       output: 'lineHeightOutput',       format: v => `${v}×` },
+  { key: STORAGE_KEYS.LETTER_SPACING,    range: 'letterSpacingRange',    output: 'letterSpacingOutput',    format: v => `${v}em` },
+  { key: STORAGE_KEYS.WORD_SPACING,      range: 'wordSpacingRange',      output: 'wordSpacingOutput',      format: v => `${v}em` },
+  { key: STORAGE_KEYS.PARAGRAPH_SPACING, range: 'paragraphSpacingRange', output: 'paragraphSpacingOutput', format: v => `${v}em` },
+].map(s => ({ ...s, range: document.getElementById(s.range), output: document.getElementById(s.output) }));
+
+// Bionic Reading
+const bionicToggle = document.getElementById('bionicToggle');
+const cardBionic   = document.getElementById('card-bionic');
+
+// Syllables
+const syllablesToggle   = document.getElementById('syllablesToggle');
+const syllableChips     = document.querySelectorAll('.chip[data-syllable-style]');
+const syllableMinRange  = document.getElementById('syllableMinRange');
+const syllableMinOutput = document.getElementById('syllableMinOutput');
+const bodySyllables     = document.getElementById('body-syllables');
+const cardSyllables     = document.getElementById('card-syllables');
+
+// Word lookup
+const wordLookupToggle = document.getElementById('wordLookupToggle');
+const cardWordLookup   = document.getElementById('card-word-lookup');
+
 // Text to Speech
 const ttsToggle      = document.getElementById('ttsToggle');
 const ttsSpeedRange  = document.getElementById('ttsSpeedRange');
 const ttsSpeedOutput = document.getElementById('ttsSpeedOutput');
+const ttsReadAlong   = document.getElementById('ttsReadAlongToggle');
+const ttsVoiceSelect = document.getElementById('ttsVoiceSelect');
+const ttsPitchRange  = document.getElementById('ttsPitchRange');
+const ttsPitchOutput = document.getElementById('ttsPitchOutput');
+const ttsVolumeRange = document.getElementById('ttsVolumeRange');
+const ttsVolumeOutput= document.getElementById('ttsVolumeOutput');
+const readPageBtn        = document.getElementById('readPageBtn');
+const readPageRestartBtn = document.getElementById('readPageRestartBtn');
+const readPageStatus     = document.getElementById('readPageStatus');
 const bodyTts        = document.getElementById('body-tts');
 const cardTts        = document.getElementById('card-tts');
 
+// Reader View
+const readerViewBtn    = document.getElementById('readerViewBtn');
+const readerViewStatus = document.getElementById('readerViewStatus');
+const cardReaderView   = document.getElementById('card-reader-view');
+
+// Distraction blocker
+const distractionToggle = document.getElementById('distractionToggle');
+const hideElementBtn    = document.getElementById('hideElementBtn');
+const showHiddenBtn     = document.getElementById('showHiddenBtn');
+const bodyDistraction   = document.getElementById('body-distraction');
+const cardDistraction   = document.getElementById('card-distraction');
+// Category switch → the storage key it controls
+const distractionCategories = [
+  [document.getElementById('distractionAdsToggle'),      STORAGE_KEYS.DISTRACTION_ADS],
+  [document.getElementById('distractionStickyToggle'),   STORAGE_KEYS.DISTRACTION_STICKY],
+  [document.getElementById('distractionSidebarsToggle'), STORAGE_KEYS.DISTRACTION_SIDEBARS],
+  [document.getElementById('distractionAutoplayToggle'), STORAGE_KEYS.DISTRACTION_AUTOPLAY],
+  [document.getElementById('distractionMotionToggle'),   STORAGE_KEYS.DISTRACTION_MOTION],
+];
+
+// Focus sessions
+const focusSessionBtn   = document.getElementById('focusSessionBtn');
+const focusSessionState = document.getElementById('focusSessionState');
+const focusSkipRow      = document.getElementById('focusSkipRow');
+const focusSkipBtn      = document.getElementById('focusSkipBtn');
+const focusWorkRange    = document.getElementById('focusWorkRange');
+const focusWorkOutput   = document.getElementById('focusWorkOutput');
+const focusBreakRange   = document.getElementById('focusBreakRange');
+const focusBreakOutput  = document.getElementById('focusBreakOutput');
+const focusPresetSelect = document.getElementById('focusPresetSelect');
+const focusHistory      = document.getElementById('focusHistory');
+const cardFocusSession  = document.getElementById('card-focus-session');
+
 // Footer
 const statusDot  = document.getElementById('statusDot');
 const statusText = document.getElementById('statusText');
@@ -99,6 +162,36 @@ const previewBar = document.getElementById('previewBar');
 const activeBadge= document.getElementById('activeBadge');
 const resetBtn   = document.getElementById('resetBtn');
 
+// Presets
+const presetList       = document.getElementById('presetList');
+const presetName       = document.getElementById('presetName');
+const presetSaveBtn    = document.getElementById('presetSaveBtn');
+const presetExportBtn  = document.getElementById('presetExportBtn');
+const presetImportBtn  = document.getElementById('presetImportBtn');
+const presetImportFile = document.getElementById('presetImportFile');
+const presetStatus     = document.getElementById('presetStatus');
+
+// Keyboard shortcuts
+const shortcutList      = document.getElementById('shortcutList');
+const shortcutChromeBtn = document.getElementById('shortcutChromeBtn');
+const shortcutResetBtn  = document.getElementById('shortcutResetBtn');
+
+// Scope (everywhere vs. this site)
+const scopeBtns   = document.querySelectorAll('.scope-switch__btn');
+const scopeNote   = document.getElementById('scopeNote');
+const pauseToggle = document.getElementById('pauseToggle');
+const pauseLabel  = document.querySelector('.scope-pause');
+const accordion   = document.querySelector('.accordion');
+
+// ─── Scope state ──────────────────────────────────────────────────────────────
+// 'global' writes the flat keys; 'site' writes siteOverrides[siteOrigin].
+let scope      = 'global';
+let siteOrigin = null;
+let sitePaused = false;
+let saveChain  = Promise.resolve();
+let activeTabId = null;
+let pageKey     = null;
+
 // ─── Accordion click handlers ─────────────────────────────────────────────────
 accordionItems.forEach(item => {
   const header = item.querySelector('.accordion-header');
@@ -118,86 +211,290 @@ accordionItems.forEach(item => {
 
 // ─── Popup initialisation ─────────────────────────────────────────────────────
 (async () => {
-  try {
-    const stored = await chrome.storage.local.get(Object.values(KEYS));
-    const s = { ...DEFAULTS, ...stored };
-
-    // Focus Ruler
-    if (rulerToggle) rulerToggle.checked = s[KEYS.RULER_ENABLED];
-    if (heightRange) heightRange.value = s[KEYS.RULER_HEIGHT];
-    if (opacityRange) opacityRange.value = Math.round(s[KEYS.DIM_OPACITY] * 100);
-    if (heightOutput) heightOutput.textContent = `${s[KEYS.RULER_HEIGHT]} px`;
-    if (opacityOutput) opacityOutput.textContent = `${Math.round(s[KEYS.DIM_OPACITY] * 100)}%`;
-    expandBody(bodyRuler, s[KEYS.RULER_ENABLED]);
-    cardRuler?.classList.toggle('active', s[KEYS.RULER_ENABLED]);
-
-    // Color Overlay
-    if (overlayToggle) overlayToggle.checked = s[KEYS.OVERLAY_ENABLED];
-    if (overlayOpRange) overlayOpRange.value = Math.round(s[KEYS.OVERLAY_OPACITY] * 100);
-    if (overlayOpOutput) overlayOpOutput.textContent = `${Math.round(s[KEYS.OVERLAY_OPACITY] * 100)}%`;
-    if (customColor) customColor.value = s[KEYS.OVERLAY_COLOR];
-    setActiveSwatch(s[KEYS.OVERLAY_COLOR]);
-    expandBody(bodyOverlay, s[KEYS.OVERLAY_ENABLED]);
-    cardOverlay?.classList.toggle('active', s[KEYS.OVERLAY_ENABLED]);
-
-    // Dark Mode
-    if (darkToggle) darkToggle.checked = s[KEYS.DARK_MODE];
-    expandBody(bodyDark, s[KEYS.DARK_MODE]);
-    cardDark?.classList.toggle('active', s[KEYS.DARK_MODE]);
-
-    // CVD Filter
-    if (cvdToggle) cvdToggle.checked = s[KEYS.CVD_ENABLED];
-    setActiveChip(s[KEYS.CVD_MODE]);
-    expandBody(bodyCvd, s[KEYS.CVD_ENABLED]);
-    cardCvd?.classList.toggle('active', s[KEYS.CVD_ENABLED]);
-
-    // Dyslexia 
-    if (dyslexiaFontToggle) dyslexiaFontToggle.checked = s[KEYS.DYSLEXIA_FONT];
-    if (fontSelect) fontSelect.value = s[KEYS.FONT_FAMILY];
-   // if (textScaleRange) textScaleRange.value = s[KEYS.TEXT_SCALE];
-    //if (textScaleOutput) textScaleOutput.textContent = `${s[KEYS.TEXT_SCALE]}%`;
-    expandBody(bodyDyslexia, s[KEYS.DYSLEXIA_FONT]);
-    cardDyslexiaFont?.classList.toggle('active', s[KEYS.DYSLEXIA_FONT]);
-
-    // Text to Speech
-    if (ttsToggle) ttsToggle.checked = s[KEYS.TTS_ENABLED];
-    if (ttsSpeedRange) ttsSpeedRange.value = s[KEYS.TTS_SPEED] || 1.0;
-    if (ttsSpeedOutput) ttsSpeedOutput.textContent = `${ttsSpeedRange.value}x`;
-    expandBody(bodyTts, s[KEYS.TTS_ENABLED]);
-    cardTts?.classList.toggle('active', s[KEYS.TTS_ENABLED]);
-
-    updateFooter(s);
-    autoOpenActiveSection(s);
-
-  } catch (err) {
-    console.warn('[ProjectOtter Popup] Storage read failed:', err);
-  }
-
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab?.url) {
       const url = new URL(tab.url);
       footerPage.textContent = url.hostname;
       footerPage.title = url.href;
+      siteOrigin = StorageHelper.originOf(tab.url);
+      pageKey    = StorageHelper.pageKeyOf(tab.url);
     }
+    activeTabId = tab?.id ?? null;
+  } catch (_) {}
+
+  try {
+    await loadVoices();
   } catch (_) {}
+
+  try {
+    if (siteOrigin) {
+      sitePaused = await StorageHelper.isPaused(siteOrigin);
+      const overrides = await StorageHelper.getSiteOverrides(siteOrigin);
+      if (Object.keys(overrides).length > 0) scope = 'site';
+    }
+    await setScope(scope);
+    autoOpenActiveSection(await readSettings());
+    await renderPresets();
+    await renderShortcuts();
+    await renderReadPage();
+    await renderReaderView();
+    await renderHiddenElements();
+    await renderFocusSession();
+  } catch (err) {
+    console.warn('[ProjectOtter Popup] Storage read failed:', err);
+  }
 })();
 
+// ─── Render ───────────────────────────────────────────────────────────────────
+// Pushes a full settings object into every control. Used on open, on scope
+// switch and after reset.
+function renderState(s) {
+  // Focus Ruler
+  if (rulerToggle) rulerToggle.checked = s[STORAGE_KEYS.RULER_ENABLED];
+  if (heightRange) heightRange.value = s[STORAGE_KEYS.RULER_HEIGHT];
+  if (opacityRange) opacityRange.value = Math.round(s[STORAGE_KEYS.DIM_OPACITY] * 100);
+  if (heightOutput) heightOutput.textContent = `${s[STORAGE_KEYS.RULER_HEIGHT]} px`;
+  if (opacityOutput) opacityOutput.textContent = `${Math.round(s[STORAGE_KEYS.DIM_OPACITY] * 100)}%`;
+  setActiveFollow(s[STORAGE_KEYS.RULER_FOLLOW]);
+  if (snapToggle) snapToggle.checked = s[STORAGE_KEYS.RULER_SNAP];
+  setActiveShape(s[STORAGE_KEYS.RULER_SHAPE]);
+  if (rulerWidthRange) rulerWidthRange.value = s[STORAGE_KEYS.RULER_WIDTH];
+  if (rulerWidthOutput) rulerWidthOutput.textContent = `${s[STORAGE_KEYS.RULER_WIDTH]} px`;
+  setActiveRulerStyle(s[STORAGE_KEYS.RULER_STYLE]);
+  if (rulerMaskColor) rulerMaskColor.value = s[STORAGE_KEYS.RULER_MASK_COLOR];
+  if (rulerMaskSwatch) rulerMaskSwatch.style.background = s[STORAGE_KEYS.RULER_MASK_COLOR];
+  if (rulerTintToggle) rulerTintToggle.checked = s[STORAGE_KEYS.RULER_TINT_ENABLED];
+  expandBody(rulerTintRow, s[STORAGE_KEYS.RULER_TINT_ENABLED]);
+  if (rulerTintCustom) rulerTintCustom.value = s[STORAGE_KEYS.RULER_TINT];
+  setActiveSwatch(s[STORAGE_KEYS.RULER_TINT], rulerTintSwatches);
+  if (rulerLineColor) rulerLineColor.value = s[STORAGE_KEYS.RULER_LINE_COLOR];
+  if (rulerLineSwatch) rulerLineSwatch.style.background = s[STORAGE_KEYS.RULER_LINE_COLOR];
+  if (rulerLineWidthRange) rulerLineWidthRange.value = s[STORAGE_KEYS.RULER_LINE_WIDTH];
+  if (rulerLineWidthOutput) rulerLineWidthOutput.textContent = `${s[STORAGE_KEYS.RULER_LINE_WIDTH]} px`;
+  expandBody(bodyRuler, s[STORAGE_KEYS.RULER_ENABLED]);
+  cardRuler?.classList.toggle('active', s[STORAGE_KEYS.RULER_ENABLED]);
+
+  // Color Overlay
+  if (overlayToggle) overlayToggle.checked = s[STORAGE_KEYS.OVERLAY_ENABLED];
+  if (overlayOpRange) overlayOpRange.value = Math.round(s[STORAGE_KEYS.OVERLAY_OPACITY] * 100);
+  if (overlayOpOutput) overlayOpOutput.textContent = `${Math.round(s[STORAGE_KEYS.OVERLAY_OPACITY] * 100)}%`;
+  if (customColor) customColor.value = s[STORAGE_KEYS.OVERLAY_COLOR];
+  setActiveSwatch(s[STORAGE_KEYS.OVERLAY_COLOR]);
+  expandBody(bodyOverlay, s[STORAGE_KEYS.OVERLAY_ENABLED]);
+  cardOverlay?.classList.toggle('active', s[STORAGE_KEYS.OVERLAY_ENABLED]);
+
+  // Dark Mode
+  if (darkToggle) darkToggle.checked = s[STORAGE_KEYS.DARK_MODE_ENABLED];
+  if (darkBrightnessRange) darkBrightnessRange.value = s[STORAGE_KEYS.DARK_BRIGHTNESS] ?? 100;
+  if (darkBrightnessOutput) darkBrightnessOutput.textContent = `${darkBrightnessRange.value}%`;
+  if (darkContrastRange) darkContrastRange.value = s[STORAGE_KEYS.DARK_CONTRAST] ?? 100;
+  if (darkContrastOutput) darkContrastOutput.textContent = `${darkContrastRange.value}%`;
+  if (darkDimImagesToggle) darkDimImagesToggle.checked = s[STORAGE_KEYS.DARK_DIM_IMAGES];
+  expandBody(bodyDark, s[STORAGE_KEYS.DARK_MODE_ENABLED]);
+  cardDark?.classList.toggle('active', s[STORAGE_KEYS.DARK_MODE_ENABLED]);
+
+  // CVD Filter
+  if (cvdToggle) cvdToggle.checked = s[STORAGE_KEYS.CVD_ENABLED];
+  setActiveChip(s[STORAGE_KEYS.CVD_MODE]);
+  setActiveMethod(s[STORAGE_KEYS.CVD_METHOD]);
+  if (cvdSeverityRange) cvdSeverityRange.value = Math.round((s[STORAGE_KEYS.CVD_SEVERITY] ?? 0.6) * 100);
+  if (cvdSeverityOutput) cvdSeverityOutput.textContent = `${cvdSeverityRange.value}%`;
+  expandBody(bodyCvd, s[STORAGE_KEYS.CVD_ENABLED]);
+  cardCvd?.classList.toggle('active', s[STORAGE_KEYS.CVD_ENABLED]);
+
+  // Dyslexia 
+  if (dyslexiaFontToggle) dyslexiaFontToggle.checked = s[STORAGE_KEYS.DYSLEXIA_FONT];
+  if (fontSelect) fontSelect.value = s[STORAGE_KEYS.FONT_FAMILY];
+  if (textScaleRange) textScaleRange.value = s[STORAGE_KEYS.TEXT_SCALE];
+  if (textScaleOutput) textScaleOutput.textContent = `${s[STORAGE_KEYS.TEXT_SCALE]}%`;
+  expandBody(bodyDyslexia, s[STORAGE_KEYS.DYSLEXIA_FONT]);
+  cardDyslexiaFont?.classList.toggle('active', s[STORAGE_KEYS.DYSLEXIA_FONT]);
+
+  // Text Spacing
+  if (spacingToggle) spacingToggle.checked = s[STORAGE_KEYS.TEXT_SPACING];
+  renderSpacing(s);
+  expandBody(bodySpacing, s[STORAGE_KEYS.TEXT_SPACING]);
+  cardSpacing?.classList.toggle('active', s[STORAGE_KEYS.TEXT_SPACING]);
+
+  // Bionic Reading
+  if (bionicToggle) bionicToggle.checked = s[STORAGE_KEYS.BIONIC_ENABLED];
+  cardBionic?.classList.toggle('active', s[STORAGE_KEYS.BIONIC_ENABLED]);
+
+  // Syllables
+  if (syllablesToggle) syllablesToggle.checked = s[STORAGE_KEYS.SYLLABLES_ENABLED];
+  setActiveSyllableStyle(s[STORAGE_KEYS.SYLLABLE_STYLE]);
+  if (syllableMinRange) syllableMinRange.value = s[STORAGE_KEYS.SYLLABLE_MIN_LENGTH];
+  if (syllableMinOutput) syllableMinOutput.textContent = `${s[STORAGE_KEYS.SYLLABLE_MIN_LENGTH]} letters`;
+  expandBody(bodySyllables, s[STORAGE_KEYS.SYLLABLES_ENABLED]);
+  cardSyllables?.classList.toggle('active', s[STORAGE_KEYS.SYLLABLES_ENABLED]);
+
+  // Word lookup
+  if (wordLookupToggle) wordLookupToggle.checked = s[STORAGE_KEYS.WORD_LOOKUP_ENABLED];
+  cardWordLookup?.classList.toggle('active', s[STORAGE_KEYS.WORD_LOOKUP_ENABLED]);
+
+  // Distraction blocker
+  if (distractionToggle) distractionToggle.checked = s[STORAGE_KEYS.DISTRACTION_ENABLED];
+  for (const [toggle, key] of distractionCategories) {
+    if (toggle) toggle.checked = s[key];
+  }
+  expandBody(bodyDistraction, s[STORAGE_KEYS.DISTRACTION_ENABLED]);
+  cardDistraction?.classList.toggle('active', s[STORAGE_KEYS.DISTRACTION_ENABLED]);
+
+  // Focus sessions
+  if (focusWorkRange) focusWorkRange.value = s[STORAGE_KEYS.FOCUS_WORK_MINUTES];
+  if (focusWorkOutput) focusWorkOutput.textContent = `${s[STORAGE_KEYS.FOCUS_WORK_MINUTES]} min`;
+  if (focusBreakRange) focusBreakRange.value = s[STORAGE_KEYS.FOCUS_BREAK_MINUTES];
+  if (focusBreakOutput) focusBreakOutput.textContent = `${s[STORAGE_KEYS.FOCUS_BREAK_MINUTES]} min`;
+  selectFocusPreset(s[STORAGE_KEYS.FOCUS_PRESET]);
+
+  // Text to Speech
+  if (ttsToggle) ttsToggle.checked = s[STORAGE_KEYS.TTS_ENABLED];
+  if (ttsSpeedRange) ttsSpeedRange.value = s[STORAGE_KEYS.TTS_SPEED] || 1.0;
+  if (ttsSpeedOutput) ttsSpeedOutput.textContent = `${parseFloat(ttsSpeedRange.value).toFixed(1)}x`;
+  if (ttsReadAlong) ttsReadAlong.checked = s[STORAGE_KEYS.TTS_READ_ALONG];
+  if (ttsVoiceSelect) selectVoice(s[STORAGE_KEYS.TTS_VOICE]);
+  if (ttsPitchRange) ttsPitchRange.value = s[STORAGE_KEYS.TTS_PITCH] ?? 1.0;
+  if (ttsPitchOutput) ttsPitchOutput.textContent = parseFloat(ttsPitchRange.value).toFixed(1);
+  if (ttsVolumeRange) ttsVolumeRange.value = Math.round((s[STORAGE_KEYS.TTS_VOLUME] ?? 1.0) * 100);
+  if (ttsVolumeOutput) ttsVolumeOutput.textContent = `${ttsVolumeRange.value}%`;
+  expandBody(bodyTts, s[STORAGE_KEYS.TTS_ENABLED]);
+  cardTts?.classList.toggle('active', s[STORAGE_KEYS.TTS_ENABLED]);
+
+  updateFooter(s);
+}
+
+// ─── Scope controls ───────────────────────────────────────────────────────────
+async function setScope(next) {
+  scope = (next === 'site' && siteOrigin) ? 'site' : 'global';
+
+  scopeBtns.forEach(btn => {
+    const match = btn.dataset.scope === scope;
+    btn.classList.toggle('selected', match);
+    btn.setAttribute('aria-checked', String(match));
+    if (btn.dataset.scope === 'site') btn.disabled = !siteOrigin;
+  });
+
+  pauseLabel?.classList.toggle('hidden', !siteOrigin);
+  if (pauseToggle) pauseToggle.checked = sitePaused;
+  accordion?.classList.toggle('paused', sitePaused);
+
+  if (scopeNote) {
+    const host = siteOrigin ? new URL(siteOrigin).hostname : '';
+    scopeNote.textContent = sitePaused
+      ? `Otter is paused on ${host}`
+      : `Changes apply only to ${host}`;
+    scopeNote.classList.toggle('hidden', !sitePaused && scope !== 'site');
+  }
+  if (resetBtn) resetBtn.textContent = scope === 'site' ? 'Reset site' : 'Reset all';
+
+  renderState(await readSettings());
+}
+
+scopeBtns.forEach(btn => {
+  btn.addEventListener('click', () => setScope(btn.dataset.scope));
+});
+
+pauseToggle?.addEventListener('change', async () => {
+  sitePaused = pauseToggle.checked;
+  await StorageHelper.setPaused(siteOrigin, sitePaused);
+  await setScope(scope);
+  reapplyTabs(siteOrigin);
+});
+
 // ─── Feature Listeners (Broadcasting) ─────────────────────────────────────────
 
 rulerToggle?.addEventListener('change', async () => {
   const enabled = rulerToggle.checked;
-  await chrome.storage.local.set({ [KEYS.RULER_ENABLED]: enabled });
+  await saveSettings({ [STORAGE_KEYS.RULER_ENABLED]: enabled });
   expandBody(bodyRuler, enabled);
   cardRuler?.classList.toggle('active', enabled);
   refreshFooter();
-  sendToAllTabs({ type: 'FOCUS_RULER_TOGGLE', enabled, settings: { height: getHeight(), opacity: getDimOpacity() } });
+  sendToAllTabs({ type: 'FOCUS_RULER_TOGGLE', enabled, settings: { height: getHeight(), opacity: getDimOpacity(), follow: getFollow(), snap: !!snapToggle?.checked, shape: getShape(), width: getRulerWidth(), ...getRulerLook() } });
+});
+
+shapeChips.forEach(chip => {
+  chip.addEventListener('click', () => {
+    const shape = chip.dataset.shape;
+    setActiveShape(shape);
+    saveSettings({ [STORAGE_KEYS.RULER_SHAPE]: shape });
+    sendToAllTabs({ type: 'FOCUS_RULER_UPDATE_SETTINGS', settings: { shape } });
+  });
+});
+
+rulerStyleChips.forEach(chip => {
+  chip.addEventListener('click', () => {
+    const style = chip.dataset.rulerStyle;
+    setActiveRulerStyle(style);
+    updateRulerLook(STORAGE_KEYS.RULER_STYLE, { style });
+  });
+});
+
+rulerMaskColor?.addEventListener('input', () => {
+  const maskColor = rulerMaskColor.value;
+  rulerMaskSwatch.style.background = maskColor;
+  updateRulerLook(STORAGE_KEYS.RULER_MASK_COLOR, { maskColor });
+});
+
+rulerTintToggle?.addEventListener('change', () => {
+  const tintEnabled = rulerTintToggle.checked;
+  expandBody(rulerTintRow, tintEnabled);
+  updateRulerLook(STORAGE_KEYS.RULER_TINT_ENABLED, { tintEnabled });
+});
+
+rulerTintSwatches.forEach(swatch => {
+  swatch.addEventListener('click', () => {
+    const tint = swatch.dataset.color;
+    setActiveSwatch(tint, rulerTintSwatches);
+    rulerTintCustom.value = tint;
+    updateRulerLook(STORAGE_KEYS.RULER_TINT, { tint });
+  });
+});
+
+rulerTintCustom?.addEventListener('input', () => {
+  const tint = rulerTintCustom.value;
+  setActiveSwatch(null, rulerTintSwatches);
+  updateRulerLook(STORAGE_KEYS.RULER_TINT, { tint });
+});
+
+rulerLineColor?.addEventListener('input', () => {
+  const lineColor = rulerLineColor.value;
+  rulerLineSwatch.style.background = lineColor;
+  updateRulerLook(STORAGE_KEYS.RULER_LINE_COLOR, { lineColor });
+});
+
+rulerLineWidthRange?.addEventListener('input', () => {
+  const lineWidth = parseInt(rulerLineWidthRange.value, 10);
+  rulerLineWidthOutput.textContent = `${lineWidth} px`;
+  updateRulerLook(STORAGE_KEYS.RULER_LINE_WIDTH, { lineWidth });
+});
+
+rulerWidthRange?.addEventListener('input', () => {
+  const width = getRulerWidth();
+  rulerWidthOutput.textContent = `${width} px`;
+  saveSettings({ [STORAGE_KEYS.RULER_WIDTH]: width });
+  sendToAllTabs({ type: 'FOCUS_RULER_UPDATE_SETTINGS', settings: { width } });
+});
+
+snapToggle?.addEventListener('change', () => {
+  const snap = snapToggle.checked;
+  saveSettings({ [STORAGE_KEYS.RULER_SNAP]: snap });
+  sendToAllTabs({ type: 'FOCUS_RULER_UPDATE_SETTINGS', settings: { snap } });
+});
+
+followChips.forEach(chip => {
+  chip.addEventListener('click', () => {
+    const follow = chip.dataset.follow;
+    setActiveFollow(follow);
+    saveSettings({ [STORAGE_KEYS.RULER_FOLLOW]: follow });
+    sendToAllTabs({ type: 'FOCUS_RULER_UPDATE_SETTINGS', settings: { follow } });
+  });
 });
 
 heightRange?.addEventListener('input', () => {
   const h = getHeight();
   heightOutput.textContent = `${h} px`;
-  chrome.storage.local.set({ [KEYS.RULER_HEIGHT]: h });
+  saveSettings({ [STORAGE_KEYS.RULER_HEIGHT]: h });
   sendToAllTabs({ type: 'FOCUS_RULER_UPDATE_SETTINGS', settings: { height: h } });
 });
 
@@ -205,13 +502,13 @@ opacityRange?.addEventListener('input', () => {
   const pct = parseInt(opacityRange.value, 10);
   const op  = pct / 100;
   opacityOutput.textContent = `${pct}%`;
-  chrome.storage.local.set({ [KEYS.DIM_OPACITY]: op });
+  saveSettings({ [STORAGE_KEYS.DIM_OPACITY]: op });
   sendToAllTabs({ type: 'FOCUS_RULER_UPDATE_SETTINGS', settings: { opacity: op } });
 });
 
 overlayToggle?.addEventListener('change', async () => {
   const enabled = overlayToggle.checked;
-  await chrome.storage.local.set({ [KEYS.OVERLAY_ENABLED]: enabled });
+  await saveSettings({ [STORAGE_KEYS.OVERLAY_ENABLED]: enabled });
   expandBody(bodyOverlay, enabled);
   cardOverlay?.classList.toggle('active', enabled);
   refreshFooter();
@@ -223,7 +520,7 @@ swatches.forEach(swatch => {
     const color = swatch.dataset.color;
     setActiveSwatch(color);
     customColor.value = color;
-    chrome.storage.local.set({ [KEYS.OVERLAY_COLOR]: color });
+    saveSettings({ [STORAGE_KEYS.OVERLAY_COLOR]: color });
     if (overlayToggle.checked) sendToAllTabs({ type: 'COLOR_OVERLAY_UPDATE', settings: { color } });
   });
 });
@@ -231,7 +528,7 @@ swatches.forEach(swatch => {
 customColor?.addEventListener('input', () => {
   const color = customColor.value;
   setActiveSwatch(null);
-  chrome.storage.local.set({ [KEYS.OVERLAY_COLOR]: color });
+  saveSettings({ [STORAGE_KEYS.OVERLAY_COLOR]: color });
   if (overlayToggle.checked) sendToAllTabs({ type: 'COLOR_OVERLAY_UPDATE', settings: { color } });
 });
 
@@ -239,66 +536,118 @@ overlayOpRange?.addEventListener('input', () => {
   const pct = parseInt(overlayOpRange.value, 10);
   const op  = pct / 100;
   overlayOpOutput.textContent = `${pct}%`;
-  chrome.storage.local.set({ [KEYS.OVERLAY_OPACITY]: op });
+  saveSettings({ [STORAGE_KEYS.OVERLAY_OPACITY]: op });
   if (overlayToggle.checked) sendToAllTabs({ type: 'COLOR_OVERLAY_UPDATE', settings: { opacity: op } });
 });
 
 darkToggle?.addEventListener('change', async () => {
   const enabled = darkToggle.checked;
-  await chrome.storage.local.set({ [KEYS.DARK_MODE]: enabled });
+  await saveSettings({ [STORAGE_KEYS.DARK_MODE_ENABLED]: enabled });
   expandBody(bodyDark, enabled);
   cardDark?.classList.toggle('active', enabled);
   refreshFooter();
-  sendToAllTabs({ type: 'DARK_MODE_TOGGLE', enabled });
+  sendToAllTabs({ type: 'DARK_MODE_TOGGLE', enabled, settings: getDarkSettings() });
+});
+
+darkBrightnessRange?.addEventListener('input', () => {
+  const val = parseInt(darkBrightnessRange.value, 10);
+  if (darkBrightnessOutput) darkBrightnessOutput.textContent = `${val}%`;
+  saveSettings({ [STORAGE_KEYS.DARK_BRIGHTNESS]: val });
+  sendToAllTabs({ type: 'DARK_MODE_UPDATE', settings: { brightness: val } });
+});
+
+darkContrastRange?.addEventListener('input', () => {
+  const val = parseInt(darkContrastRange.value, 10);
+  if (darkContrastOutput) darkContrastOutput.textContent = `${val}%`;
+  saveSettings({ [STORAGE_KEYS.DARK_CONTRAST]: val });
+  sendToAllTabs({ type: 'DARK_MODE_UPDATE', settings: { contrast: val } });
+});
+
+darkDimImagesToggle?.addEventListener('change', () => {
+  const dimImages = darkDimImagesToggle.checked;
+  saveSettings({ [STORAGE_KEYS.DARK_DIM_IMAGES]: dimImages });
+  sendToAllTabs({ type: 'DARK_MODE_UPDATE', settings: { dimImages } });
 });
 
 cvdToggle?.addEventListener('change', async () => {
   const enabled = cvdToggle.checked;
-  const stored  = await chrome.storage.local.get([KEYS.CVD_MODE]);
-  let mode      = stored[KEYS.CVD_MODE] ?? 'none';
+  const stored  = await readSettings();
+  let mode      = stored[STORAGE_KEYS.CVD_MODE] ?? 'none';
   if (enabled && mode === 'none') {
-    mode = 'protanopia';
-    chrome.storage.local.set({ [KEYS.CVD_MODE]: mode });
+    mode = stored[STORAGE_KEYS.CVD_METHOD] === 'correct' ? 'deuteranomaly' : 'protanopia';
+    saveSettings({ [STORAGE_KEYS.CVD_MODE]: mode });
     setActiveChip(mode);
   }
-  chrome.storage.local.set({ [KEYS.CVD_ENABLED]: enabled });
+  saveSettings({ [STORAGE_KEYS.CVD_ENABLED]: enabled });
   expandBody(bodyCvd, enabled);
   cardCvd?.classList.toggle('active', enabled);
   refreshFooter();
-  sendToAllTabs({ type: 'CVD_FILTER_TOGGLE', enabled, settings: { mode } });
+  sendToAllTabs({ type: 'CVD_FILTER_TOGGLE', enabled, settings: cvdSettings({ ...stored, [STORAGE_KEYS.CVD_MODE]: mode }) });
 });
 
 chips.forEach(chip => {
   chip.addEventListener('click', async () => {
     const mode       = chip.dataset.mode;
-    const stored     = await chrome.storage.local.get([KEYS.CVD_MODE]);
-    const currentMode= stored[KEYS.CVD_MODE];
+    const stored     = await readSettings();
+    const currentMode= stored[STORAGE_KEYS.CVD_MODE];
     if (currentMode === mode) {
       setActiveChip('none');
-      chrome.storage.local.set({ [KEYS.CVD_MODE]: 'none', [KEYS.CVD_ENABLED]: false });
+      saveSettings({ [STORAGE_KEYS.CVD_MODE]: 'none', [STORAGE_KEYS.CVD_ENABLED]: false });
       cvdToggle.checked = false;
       cardCvd?.classList.remove('active');
       refreshFooter();
       sendToAllTabs({ type: 'CVD_FILTER_TOGGLE', enabled: false });
     } else {
       setActiveChip(mode);
-      chrome.storage.local.set({ [KEYS.CVD_MODE]: mode, [KEYS.CVD_ENABLED]: true });
+      saveSettings({ [STORAGE_KEYS.CVD_MODE]: mode, [STORAGE_KEYS.CVD_ENABLED]: true });
       cvdToggle.checked = true;
       cardCvd?.classList.add('active');
       refreshFooter();
-      sendToAllTabs({ type: 'CVD_FILTER_UPDATE', settings: { mode } });
+      sendToAllTabs({ type: 'CVD_FILTER_UPDATE', settings: cvdSettings({ ...stored, [STORAGE_KEYS.CVD_MODE]: mode }) });
+    }
+  });
+});
+
+methodChips.forEach(chip => {
+  chip.addEventListener('click', async () => {
+    const method = chip.dataset.method;
+    const stored = await readSettings();
+    if (stored[STORAGE_KEYS.CVD_METHOD] === method) return;
+    setActiveMethod(method);
+
+    // Achromatopsia can only be simulated — correcting it would be a no-op
+    const modeChip = [...chips].find(c => c.dataset.mode === stored[STORAGE_KEYS.CVD_MODE]);
+    if (method === 'correct' && modeChip?.hasAttribute('data-simulate-only')) {
+      setActiveChip('none');
+      saveSettings({ [STORAGE_KEYS.CVD_METHOD]: method, [STORAGE_KEYS.CVD_MODE]: 'none', [STORAGE_KEYS.CVD_ENABLED]: false });
+      cvdToggle.checked = false;
+      cardCvd?.classList.remove('active');
+      refreshFooter();
+      sendToAllTabs({ type: 'CVD_FILTER_TOGGLE', enabled: false });
+      return;
     }
+
+    saveSettings({ [STORAGE_KEYS.CVD_METHOD]: method });
+    if (stored[STORAGE_KEYS.CVD_ENABLED]) sendToAllTabs({ type: 'CVD_FILTER_UPDATE', settings: { method } });
   });
 });
 
+cvdSeverityRange?.addEventListener('input', async () => {
+  const pct = parseInt(cvdSeverityRange.value, 10);
+  if (cvdSeverityOutput) cvdSeverityOutput.textContent = `${pct}%`;
+  saveSettings({ [STORAGE_KEYS.CVD_SEVERITY]: pct / 100 });
+  const stored = await readSettings();
+  if (stored[STORAGE_KEYS.CVD_ENABLED]) sendToAllTabs({ type: 'CVD_FILTER_UPDATE', settings: { severity: pct / 100 } });
+});
+
 dyslexiaFontToggle?.addEventListener('change', async () => {
   const enabled = dyslexiaFontToggle.checked;
   const font = fontSelect ? fontSelect.value : 'default';
   if (enabled && font === 'default') {
     fontSelect.value = 'OpenDyslexic';
-    chrome.storage.local.set({ [KEYS.FONT_FAMILY]: 'OpenDyslexic' });
+    saveSettings({ [STORAGE_KEYS.FONT_FAMILY]: 'OpenDyslexic' });
   }
-  await chrome.storage.local.set({ [KEYS.DYSLEXIA_FONT]: enabled });
+  await saveSettings({ [STORAGE_KEYS.DYSLEXIA_FONT]: enabled });
   expandBody(bodyDyslexia, enabled);
   cardDyslexiaFont?.classList.toggle('active', enabled);
   refreshFooter();
@@ -310,10 +659,10 @@ dyslexiaFontToggle?.addEventListener('change', async () => {
 
 fontSelect?.addEventListener('change', async () => {
   const font = fontSelect.value;
-  await chrome.storage.local.set({ [KEYS.FONT_FAMILY]: font });
+  await saveSettings({ [STORAGE_KEYS.FONT_FAMILY]: font });
   if (font !== 'default' && !dyslexiaFontToggle.checked) {
     dyslexiaFontToggle.checked = true;
-    await chrome.storage.local.set({ [KEYS.DYSLEXIA_FONT]: true });
+    await saveSettings({ [STORAGE_KEYS.DYSLEXIA_FONT]: true });
     expandBody(bodyDyslexia, true);
     cardDyslexiaFont?.classList.add('active');
     refreshFooter();
@@ -324,16 +673,96 @@ fontSelect?.addEventListener('change', async () => {
   });
   });
 
-//textScaleRange?.addEventListener('input', () => {
-  //const scale = parseInt(textScaleRange.value, 10);
- // if (textScaleOutput) textScaleOutput.textContent = `${scale}%`;
- // chrome.storage.local.set({ [KEYS.TEXT_SCALE]: scale });
- // sendToAllTabs({ type: 'TEXT_SCALE_UPDATE', settings: { scale } });
-//});
+spacingToggle?.addEventListener('change', async () => {
+  const enabled = spacingToggle.checked;
+  await saveSettings({ [STORAGE_KEYS.TEXT_SPACING]: enabled });
+  expandBody(bodySpacing, enabled);
+  cardSpacing?.classList.toggle('active', enabled);
+  refreshFooter();
+  sendToAllTabs({ type: 'TEXT_SPACING_UPDATE', settings: getSpacingSettings() });
+});
+
+spacingSliders.forEach(({ key, range, output, format }) => {
+  range?.addEventListener('input', () => {
+    const val = parseFloat(range.value);
+    output.textContent = format(val);
+    saveSettings({ [key]: val });
+    if (spacingToggle.checked) sendToAllTabs({ type: 'TEXT_SPACING_UPDATE', settings: getSpacingSettings() });
+  });
+});
+
+lineLengthChips.forEach(chip => {
+  chip.addEventListener('click', () => {
+    const length = parseInt(chip.dataset.lineLength, 10);
+    setActiveLineLength(length);
+    saveSettings({ [STORAGE_KEYS.MAX_LINE_LENGTH]: length });
+    if (spacingToggle.checked) sendToAllTabs({ type: 'TEXT_SPACING_UPDATE', settings: getSpacingSettings() });
+  });
+});
+
+spacingWcagBtn?.addEventListener('click', () => {
+  const wcag = {
+    [STORAGE_KEYS.LINE_HEIGHT]       : DEFAULTS[STORAGE_KEYS.LINE_HEIGHT],
+    [STORAGE_KEYS.LETTER_SPACING]    : DEFAULTS[STORAGE_KEYS.LETTER_SPACING],
+    [STORAGE_KEYS.WORD_SPACING]      : DEFAULTS[STORAGE_KEYS.WORD_SPACING],
+    [STORAGE_KEYS.PARAGRAPH_SPACING] : DEFAULTS[STORAGE_KEYS.PARAGRAPH_SPACING],
+  };
+  renderSpacing({ ...wcag, [STORAGE_KEYS.MAX_LINE_LENGTH]: getSpacingSettings().maxLineLength });
+  saveSettings(wcag);
+  if (spacingToggle.checked) sendToAllTabs({ type: 'TEXT_SPACING_UPDATE', settings: getSpacingSettings() });
+});
+
+bionicToggle?.addEventListener('change', async () => {
+  const enabled = bionicToggle.checked;
+  await saveSettings({ [STORAGE_KEYS.BIONIC_ENABLED]: enabled });
+  cardBionic?.classList.toggle('active', enabled);
+  refreshFooter();
+  sendToAllTabs({ type: 'BIONIC_READING_TOGGLE', enabled });
+});
+
+syllablesToggle?.addEventListener('change', async () => {
+  const enabled = syllablesToggle.checked;
+  await saveSettings({ [STORAGE_KEYS.SYLLABLES_ENABLED]: enabled });
+  expandBody(bodySyllables, enabled);
+  cardSyllables?.classList.toggle('active', enabled);
+  refreshFooter();
+  sendToAllTabs({ type: 'SYLLABLES_TOGGLE', enabled });
+});
+
+wordLookupToggle?.addEventListener('change', async () => {
+  const enabled = wordLookupToggle.checked;
+  await saveSettings({ [STORAGE_KEYS.WORD_LOOKUP_ENABLED]: enabled });
+  cardWordLookup?.classList.toggle('active', enabled);
+  refreshFooter();
+  sendToAllTabs({ type: 'WORD_LOOKUP_TOGGLE', enabled });
+});
+
+syllableChips.forEach(chip => {
+  chip.addEventListener('click', () => {
+    const style = chip.dataset.syllableStyle;
+    setActiveSyllableStyle(style);
+    saveSettings({ [STORAGE_KEYS.SYLLABLE_STYLE]: style });
+    sendToAllTabs({ type: 'SYLLABLES_UPDATE', settings: { [STORAGE_KEYS.SYLLABLE_STYLE]: style } });
+  });
+});
+
+syllableMinRange?.addEventListener('input', () => {
+  const length = parseInt(syllableMinRange.value, 10);
+  if (syllableMinOutput) syllableMinOutput.textContent = `${length} letters`;
+  saveSettings({ [STORAGE_KEYS.SYLLABLE_MIN_LENGTH]: length });
+  sendToAllTabs({ type: 'SYLLABLES_UPDATE', settings: { [STORAGE_KEYS.SYLLABLE_MIN_LENGTH]: length } });
+});
+
+textScaleRange?.addEventListener('input', () => {
+  const scale = parseInt(textScaleRange.value, 10);
+  if (textScaleOutput) textScaleOutput.textContent = `${scale}%`;
+  saveSettings({ [STORAGE_KEYS.TEXT_SCALE]: scale });
+  sendToAllTabs({ type: 'TEXT_SCALE_UPDATE', settings: { scale } });
+});
 
 ttsToggle?.addEventListener('change', async () => {
   const enabled = ttsToggle.checked;
-  await chrome.storage.local.set({ [KEYS.TTS_ENABLED]: enabled });
+  await saveSettings({ [STORAGE_KEYS.TTS_ENABLED]: enabled });
   expandBody(bodyTts, enabled);
   cardTts?.classList.toggle('active', enabled);
   refreshFooter();
@@ -342,90 +771,747 @@ ttsToggle?.addEventListener('change', async () => {
 ttsSpeedRange?.addEventListener('input', () => {
   const val = parseFloat(ttsSpeedRange.value);
   if (ttsSpeedOutput) ttsSpeedOutput.textContent = `${val.toFixed(1)}x`;
-  chrome.storage.local.set({ [KEYS.TTS_SPEED]: val });
+  saveSettings({ [STORAGE_KEYS.TTS_SPEED]: val });
+});
+
+ttsReadAlong?.addEventListener('change', () => {
+  saveSettings({ [STORAGE_KEYS.TTS_READ_ALONG]: ttsReadAlong.checked });
+});
+
+ttsVoiceSelect?.addEventListener('change', () => {
+  saveSettings({ [STORAGE_KEYS.TTS_VOICE]: ttsVoiceSelect.value });
+});
+
+ttsPitchRange?.addEventListener('input', () => {
+  const val = parseFloat(ttsPitchRange.value);
+  if (ttsPitchOutput) ttsPitchOutput.textContent = val.toFixed(1);
+  saveSettings({ [STORAGE_KEYS.TTS_PITCH]: val });
+});
+
+ttsVolumeRange?.addEventListener('input', () => {
+  const pct = parseInt(ttsVolumeRange.value, 10);
+  if (ttsVolumeOutput) ttsVolumeOutput.textContent = `${pct}%`;
+  saveSettings({ [STORAGE_KEYS.TTS_VOLUME]: pct / 100 });
 });
 
 // ─── Reset ────────────────────────────────────────────────────────────────────
 resetBtn?.addEventListener('click', async () => {
-  await chrome.storage.local.set(DEFAULTS);
+  // "This site" scope: drop the site's overrides so it follows the global state again
+  if (scope === 'site') {
+    await StorageHelper.clearSiteOverrides(siteOrigin);
+    renderState(await readSettings());
+    reapplyTabs(siteOrigin);
+    return;
+  }
+
+  await StorageHelper.set(DEFAULTS);
 
   sendToAllTabs({ type: 'FOCUS_RULER_TOGGLE',   enabled: false });
   sendToAllTabs({ type: 'COLOR_OVERLAY_TOGGLE', enabled: false });
   sendToAllTabs({ type: 'DARK_MODE_TOGGLE',     enabled: false });
   sendToAllTabs({ type: 'CVD_FILTER_TOGGLE',    enabled: false });
   sendToAllTabs({ type: 'SET_STATE', state: { dyslexia: { enabled: false, font: 'default' } } });
+  sendToAllTabs({ type: 'TEXT_SPACING_UPDATE', settings: { enabled: false } });
+  sendToAllTabs({ type: 'TEXT_SCALE_UPDATE', settings: { scale: 100 } });
+  sendToAllTabs({ type: 'BIONIC_READING_TOGGLE', enabled: false });
+  sendToAllTabs({ type: 'SYLLABLES_TOGGLE', enabled: false });
+  sendToAllTabs({ type: 'SYLLABLES_UPDATE', settings: DEFAULTS });
+  sendToAllTabs({ type: 'WORD_LOOKUP_TOGGLE', enabled: false });
+  sendToAllTabs({ type: 'DISTRACTION_TOGGLE', enabled: false });
+  sendToAllTabs({ type: 'DISTRACTION_UPDATE', settings: DEFAULTS });
+
+  renderState(DEFAULTS);
+});
+
+// ─── Presets ──────────────────────────────────────────────────────────────────
+async function renderPresets() {
+  const user = await StorageHelper.getUserPresets();
+  presetList.textContent = '';
+  for (const preset of [...OtterPresets.BUILTIN, ...user]) {
+    presetList.appendChild(buildPresetRow(preset));
+  }
+  if (presetExportBtn) presetExportBtn.disabled = user.length === 0;
+  renderFocusPresets(user);
+}
+
+function buildPresetRow(preset) {
+  const row = document.createElement('div');
+  row.className = 'preset-row';
+  row.setAttribute('role', 'listitem');
+
+  const name = document.createElement('span');
+  name.className   = 'preset-row__name';
+  name.textContent = preset.name;
+  name.title       = preset.name;
+  row.appendChild(name);
+
+  if (preset.builtIn) {
+    const badge = document.createElement('span');
+    badge.className   = 'preset-row__badge';
+    badge.textContent = 'built-in';
+    row.appendChild(badge);
+  }
 
-  // Reset UI manually
-  if (rulerToggle) rulerToggle.checked = false;
-  if (heightRange) heightRange.value = 40;
-  if (heightOutput) heightOutput.textContent = '40 px';
-  if (opacityRange) opacityRange.value = 75;
-  if (opacityOutput) opacityOutput.textContent = '75%';
+  const apply = document.createElement('button');
+  apply.className   = 'btn btn--ghost';
+  apply.textContent = 'Apply';
+  apply.setAttribute('aria-label', `Apply preset ${preset.name}`);
+  apply.addEventListener('click', () => applyPreset(preset));
+  row.appendChild(apply);
 
-  if (overlayToggle) overlayToggle.checked = false;
-  if (overlayOpRange) overlayOpRange.value = 15;
-  if (overlayOpOutput) overlayOpOutput.textContent = '15%';
-  if (customColor) customColor.value = '#ffff99';
-  setActiveSwatch('#ffff99');
+  if (!preset.builtIn) {
+    const del = document.createElement('button');
+    del.className   = 'preset-row__delete';
+    del.textContent = '✕';
+    del.title       = 'Delete preset';
+    del.setAttribute('aria-label', `Delete preset ${preset.name}`);
+    del.addEventListener('click', () => deletePreset(preset.id));
+    row.appendChild(del);
+  }
+  return row;
+}
+
+async function applyPreset(preset) {
+  await saveSettings(preset.settings);
+  renderState(await readSettings());
+  reapplyTabs(scope === 'site' ? siteOrigin : null);
+  showPresetStatus(`Applied “${preset.name}”${scope === 'site' ? ' to this site' : ''}.`);
+}
+
+async function deletePreset(id) {
+  const user = await StorageHelper.getUserPresets();
+  await StorageHelper.setUserPresets(user.filter(p => p.id !== id));
+  await renderPresets();
+}
 
-  if (darkToggle) darkToggle.checked = false;
-  if (cvdToggle) cvdToggle.checked = false;
-  setActiveChip('none');
+presetSaveBtn?.addEventListener('click', async () => {
+  const name = presetName.value.trim();
+  if (!name) {
+    showPresetStatus('Give the preset a name first.', true);
+    presetName.focus();
+    return;
+  }
+  const user     = await StorageHelper.getUserPresets();
+  if (user.length >= OtterPresets.MAX_COUNT) {
+    showPresetStatus(`You can keep up to ${OtterPresets.MAX_COUNT} presets — delete one first.`, true);
+    return;
+  }
+  const settings = OtterPresets.capture(await readSettings(), DEFAULTS);
+  const preset   = {
+    id   : OtterPresets.newId(),
+    name : OtterPresets.uniqueName(name, [...OtterPresets.BUILTIN, ...user]),
+    settings,
+  };
+  await StorageHelper.setUserPresets([...user, preset]);
+  presetName.value = '';
+  await renderPresets();
+  showPresetStatus(`Saved “${preset.name}”.`);
+});
 
-  if (dyslexiaFontToggle) dyslexiaFontToggle.checked = false;
-  if (fontSelect) fontSelect.value = 'default';
-  //if (textScaleRange) textScaleRange.value = 100;
- // if (textScaleOutput) textScaleOutput.textContent = '100%';
+presetName?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') presetSaveBtn.click();
+});
 
-  if (ttsToggle) ttsToggle.checked = false;
-  if (ttsSpeedRange) ttsSpeedRange.value = 1.0;
-  if (ttsSpeedOutput) ttsSpeedOutput.textContent = '1.0x';
+presetExportBtn?.addEventListener('click', async () => {
+  const user = await StorageHelper.getUserPresets();
+  if (user.length === 0) return;
 
-  [bodyRuler, bodyOverlay, bodyDark, bodyCvd, bodyDyslexia, bodyTts].forEach(b => expandBody(b, false));
-  [cardRuler, cardOverlay, cardDark, cardCvd, cardDyslexiaFont, cardTts].forEach(c => c?.classList.remove('active'));
-  
-  updateFooter(DEFAULTS);
+  const body = JSON.stringify(OtterPresets.toFile(user), null, 2);
+  const url  = URL.createObjectURL(new Blob([body], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = 'otter-presets.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+presetImportBtn?.addEventListener('click', () => presetImportFile?.click());
+
+presetImportFile?.addEventListener('change', async () => {
+  const file = presetImportFile.files?.[0];
+  presetImportFile.value = '';
+  if (!file) return;
+
+  try {
+    const { presets, errors } = OtterPresets.fromFile(await file.text(), DEFAULTS);
+    const user = await StorageHelper.getUserPresets();
+    // Presets past the cap are left out, like the ones with problems
+    const room = Math.max(0, OtterPresets.MAX_COUNT - user.length);
+    if (presets.length > room) {
+      errors.push(`${presets.length - room} preset${presets.length - room > 1 ? 's' : ''} over the limit of ${OtterPresets.MAX_COUNT}`);
+      presets.length = room;
+    }
+    for (const preset of presets) {
+      preset.name = OtterPresets.uniqueName(preset.name, [...OtterPresets.BUILTIN, ...user]);
+      user.push(preset);
+    }
+    await StorageHelper.setUserPresets(user);
+    await renderPresets();
+
+    const skipped = errors.length ? ` ${errors.length} problem${errors.length > 1 ? 's' : ''} skipped.` : '';
+    showPresetStatus(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}.${skipped}`, presets.length === 0);
+    if (presetStatus) presetStatus.title = errors.join('\n');
+  } catch (err) {
+    showPresetStatus(err.message, true);
+  }
+});
+
+function showPresetStatus(text, isError = false) {
+  if (!presetStatus) return;
+  presetStatus.textContent = text;
+  presetStatus.title       = '';
+  presetStatus.classList.toggle('error', isError);
+  presetStatus.classList.remove('hidden');
+}
+
+// ─── Keyboard shortcuts ───────────────────────────────────────────────────────
+// In-page bindings are one global map — not part of a site profile or a
+// preset — so they're written straight to storage, whatever the scope.
+let recordingBtn = null;
+
+async function renderShortcuts() {
+  if (!shortcutList) return;
+  const stored   = await StorageHelper.get([STORAGE_KEYS.SHORTCUT_BINDINGS]);
+  const bindings = stored[STORAGE_KEYS.SHORTCUT_BINDINGS];
+  const commands = await chrome.commands?.getAll().catch(() => []) ?? [];
+
+  shortcutList.textContent = '';
+  recordingBtn = null;
+  for (const action of OtterShortcuts.ACTIONS) {
+    const chromeKey = commands.find(c => c.name === action.id)?.shortcut || '';
+    shortcutList.appendChild(buildShortcutRow(action, bindings[action.id], chromeKey));
+  }
+}
+
+function buildShortcutRow(action, combo, chromeKey) {
+  const row = document.createElement('div');
+  row.className = 'shortcut-row';
+  row.setAttribute('role', 'listitem');
+
+  const name = document.createElement('span');
+  name.className   = 'shortcut-row__name';
+  name.textContent = action.label;
+  row.appendChild(name);
+
+  // Chrome reports its own key names ("⇧⌥R" on macOS) — shown as they come
+  const chromeCell = document.createElement('span');
+  chromeCell.className = 'shortcut-row__chrome';
+  chromeCell.title     = 'Chrome shortcut';
+  if (chromeKey) chromeCell.appendChild(kbd(chromeKey));
+  row.appendChild(chromeCell);
+
+  const bind = document.createElement('button');
+  bind.className = 'shortcut-row__bind';
+  bind.title     = 'On-page shortcut — click to change';
+  bind.setAttribute('aria-label', `On-page shortcut for ${action.label}: ${combo || 'none'}. Activate to change.`);
+  showCombo(bind, combo);
+  bind.addEventListener('click', () => startRecording(bind));
+  bind.addEventListener('keydown', (e) => recordKey(e, bind, action.id));
+  bind.addEventListener('blur', () => { if (recordingBtn === bind) renderShortcuts(); });
+  row.appendChild(bind);
+  return row;
+}
+
+function kbd(text) {
+  const el = document.createElement('kbd');
+  el.textContent = text;
+  return el;
+}
+
+function showCombo(btn, combo) {
+  btn.textContent = '';
+  if (!combo) { btn.textContent = 'none'; return; }
+  for (const part of OtterShortcuts.parts(combo)) btn.appendChild(kbd(part));
+}
+
+function startRecording(btn) {
+  if (recordingBtn === btn) return;
+  if (recordingBtn) renderShortcuts();
+  recordingBtn = btn;
+  btn.classList.add('recording');
+  btn.textContent = 'Press keys…';
+  btn.focus();
+}
+
+async function recordKey(e, btn, actionId) {
+  if (recordingBtn !== btn) return;
+  if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) return;   // blur cancels
+  e.preventDefault();
+  e.stopPropagation();
+
+  if (e.key === 'Escape') { renderShortcuts(); return; }
+  if (e.key === 'Backspace' || e.key === 'Delete') { await saveBinding(actionId, ''); return; }
+
+  const combo = OtterShortcuts.fromEvent(e);
+  if (!combo) {
+    if (!['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) btn.textContent = 'Hold Ctrl, Alt or ⌘ too…';
+    return;
+  }
+  await saveBinding(actionId, combo);
+}
+
+// A combo belongs to one action: taking it moves it off any other
+async function saveBinding(actionId, combo) {
+  recordingBtn = null;
+  const stored   = await StorageHelper.get([STORAGE_KEYS.SHORTCUT_BINDINGS]);
+  const bindings = stored[STORAGE_KEYS.SHORTCUT_BINDINGS];
+  for (const [id, bound] of Object.entries(bindings)) {
+    if (combo && bound === combo) bindings[id] = '';
+  }
+  bindings[actionId] = combo;
+  await StorageHelper.set({ [STORAGE_KEYS.SHORTCUT_BINDINGS]: bindings });
+  await renderShortcuts();
+}
+
+shortcutChromeBtn?.addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+shortcutResetBtn?.addEventListener('click', async () => {
+  await StorageHelper.set(OtterSchema.defaults([STORAGE_KEYS.SHORTCUT_BINDINGS]));
+  await renderShortcuts();
+});
+
+// ─── Read this page ───────────────────────────────────────────────────────────
+// The top frame's content script extracts the article and starts the speech queue;
+// the popup only offers "continue" when a position was saved for this URL.
+async function renderReadPage() {
+  if (!readPageBtn) return;
+  const saved = pageKey ? await StorageHelper.getReadingPosition(pageKey) : null;
+  const pct   = saved ? Math.round((saved.index / saved.total) * 100) : 0;
+  readPageBtn.textContent = saved ? `Continue reading (${pct}%)` : 'Read this page';
+  readPageRestartBtn?.classList.toggle('hidden', !saved);
+}
+
+async function startReadPage(fromStart) {
+  if (activeTabId === null) return;
+  try {
+    const res = await chrome.tabs.sendMessage(activeTabId, { type: 'READ_PAGE', fromStart }, { frameId: 0 });
+    if (res?.ok) {
+      window.close();
+      return;
+    }
+    showReadPageStatus(res?.error || 'Could not read this page.');
+  } catch (_) {
+    showReadPageStatus('Project Otter can\'t read this page.');
+  }
+}
+
+function showReadPageStatus(text) {
+  if (!readPageStatus) return;
+  readPageStatus.textContent = text;
+  readPageStatus.classList.add('error');
+  readPageStatus.classList.remove('hidden');
+}
+
+readPageBtn?.addEventListener('click', () => startReadPage(false));
+readPageRestartBtn?.addEventListener('click', () => startReadPage(true));
+
+// ─── Reader view ──────────────────────────────────────────────────────────────
+// Lives in the tab's top frame, which also knows whether it is open.
+async function renderReaderView() {
+  if (!readerViewBtn || activeTabId === null) return;
+  const res = await chrome.tabs.sendMessage(activeTabId, { type: 'READER_VIEW_STATE' }, { frameId: 0 }).catch(() => null);
+  readerViewBtn.textContent = res?.open ? 'Close' : 'Open';
+  cardReaderView?.classList.toggle('active', !!res?.open);
+}
+
+readerViewBtn?.addEventListener('click', async () => {
+  if (activeTabId === null) return;
+  try {
+    const res = await chrome.tabs.sendMessage(activeTabId, { type: 'READER_VIEW_TOGGLE' }, { frameId: 0 });
+    if (res?.ok) {
+      window.close();
+      return;
+    }
+    showReaderViewStatus(res?.error || 'Could not open reader view.');
+  } catch (_) {
+    showReaderViewStatus('Project Otter can\'t open this page in reader view.');
+  }
+});
+
+function showReaderViewStatus(text) {
+  if (!readerViewStatus) return;
+  readerViewStatus.textContent = text;
+  readerViewStatus.classList.add('error');
+  readerViewStatus.classList.remove('hidden');
+}
+
+// ─── Distraction blocker ──────────────────────────────────────────────────────
+distractionToggle?.addEventListener('change', async () => {
+  const enabled = distractionToggle.checked;
+  await saveSettings({ [STORAGE_KEYS.DISTRACTION_ENABLED]: enabled });
+  expandBody(bodyDistraction, enabled);
+  cardDistraction?.classList.toggle('active', enabled);
+  refreshFooter();
+  sendToAllTabs({ type: 'DISTRACTION_TOGGLE', enabled });
+});
+
+for (const [toggle, key] of distractionCategories) {
+  toggle?.addEventListener('change', () => {
+    saveSettings({ [key]: toggle.checked });
+    sendToAllTabs({ type: 'DISTRACTION_UPDATE', settings: { [key]: toggle.checked } });
+  });
+}
+
+// Elements hidden with the picker are kept per site, whatever the scope
+async function renderHiddenElements() {
+  if (!showHiddenBtn) return;
+  const count = siteOrigin ? (await StorageHelper.getHiddenElements(siteOrigin)).length : 0;
+  showHiddenBtn.textContent = count ? `Show hidden (${count})` : 'Show hidden';
+  showHiddenBtn.disabled    = count === 0;
+  if (hideElementBtn) hideElementBtn.disabled = !siteOrigin;
+}
+
+// The picker runs in the top frame; the popup closes so the page can be clicked
+hideElementBtn?.addEventListener('click', async () => {
+  if (activeTabId === null) return;
+  const res = await chrome.tabs.sendMessage(activeTabId, { type: 'PICK_ELEMENT' }, { frameId: 0 }).catch(() => null);
+  if (res?.ok) window.close();
+});
+
+showHiddenBtn?.addEventListener('click', async () => {
+  if (!siteOrigin) return;
+  await StorageHelper.clearHiddenElements(siteOrigin);
+  if (activeTabId !== null) {
+    chrome.tabs.sendMessage(activeTabId, { type: 'HIDDEN_ELEMENTS_CHANGED' }, { frameId: 0 }).catch(() => {});
+  }
+  renderHiddenElements();
+});
+
+// ─── Focus sessions ───────────────────────────────────────────────────────────
+// The timer runs in the service worker and keeps the session in storage; the
+// popup starts, stops and skips through messages and counts down locally.
+// Its settings are one timer for every tab, so they are written globally
+// whatever the scope, and take effect from the next session.
+let focusSession = {};
+let focusTimer   = null;
+
+async function renderFocusSession() {
+  const stored = await StorageHelper.get([STORAGE_KEYS.FOCUS_SESSION, STORAGE_KEYS.FOCUS_HISTORY]);
+  focusSession = stored[STORAGE_KEYS.FOCUS_SESSION];
+  renderFocusState();
+  renderFocusHistory(stored[STORAGE_KEYS.FOCUS_HISTORY]);
+
+  clearInterval(focusTimer);
+  if (focusSession.phase) focusTimer = setInterval(renderFocusState, 1000);
+}
+
+function renderFocusState() {
+  const running = !!focusSession.phase;
+  if (focusSessionBtn) focusSessionBtn.textContent = running ? 'Stop' : 'Start';
+  focusSkipRow?.classList.toggle('hidden', focusSession.phase !== 'break');
+  cardFocusSession?.classList.toggle('active', running);
+  if (!focusSessionState) return;
+
+  if (!running) {
+    focusSessionState.textContent = 'Work, then a short break';
+    return;
+  }
+  const left = Math.max(0, Math.ceil((focusSession.endsAt - Date.now()) / 1000));
+  const time = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+  focusSessionState.textContent = focusSession.phase === 'break'
+    ? `On a break · ${time} left`
+    : `Focusing · round ${focusSession.round} · ${time} left`;
+}
+
+function renderFocusHistory(history) {
+  if (!focusHistory) return;
+  const days  = Object.values(history);
+  if (!days.length) {
+    focusHistory.textContent = 'No focus sessions yet.';
+    return;
+  }
+  const today = history[StorageHelper.dayOf()] || { sessions: 0, minutes: 0 };
+  const total = days.reduce((sum, d) => ({ sessions: sum.sessions + d.sessions, minutes: sum.minutes + d.minutes }),
+    { sessions: 0, minutes: 0 });
+  focusHistory.textContent =
+    `Today: ${countOf(today.sessions, 'session')}, ${formatMinutes(today.minutes)} · ` +
+    `All time: ${countOf(total.sessions, 'session')}, ${formatMinutes(total.minutes)}`;
+}
+
+function countOf(n, noun) {
+  return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return h ? `${h} h ${m} min` : `${m} min`;
+}
+
+// Built-in and saved presets. The stored id is kept on the select, since
+// settings render before the presets are listed.
+function renderFocusPresets(user) {
+  if (!focusPresetSelect) return;
+  const selected = focusPresetSelect.dataset.value ?? focusPresetSelect.value;
+  focusPresetSelect.length = 1;
+  for (const preset of [...OtterPresets.BUILTIN, ...user]) {
+    const opt = document.createElement('option');
+    opt.value       = preset.id;
+    opt.textContent = preset.name;
+    focusPresetSelect.appendChild(opt);
+  }
+  selectFocusPreset(selected);
+}
+
+// A preset deleted since shows as "Nothing", which is what a session then does
+function selectFocusPreset(id) {
+  if (!focusPresetSelect) return;
+  focusPresetSelect.dataset.value = id || '';
+  focusPresetSelect.value = id || '';
+  if (focusPresetSelect.selectedIndex < 0) focusPresetSelect.value = '';
+}
+
+// Starting may apply a preset and stopping puts its values back, so the
+// controls are re-read once the worker is done
+focusSessionBtn?.addEventListener('click', async () => {
+  const type = focusSession.phase ? 'FOCUS_SESSION_STOP' : 'FOCUS_SESSION_START';
+  focusSessionBtn.disabled = true;
+  await chrome.runtime.sendMessage({ type }).catch(() => null);
+  focusSessionBtn.disabled = false;
+  renderState(await readSettings());
+});
+
+focusSkipBtn?.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'FOCUS_SESSION_SKIP' }).catch(() => {});
+});
+
+focusWorkRange?.addEventListener('input', () => {
+  const minutes = parseInt(focusWorkRange.value, 10);
+  if (focusWorkOutput) focusWorkOutput.textContent = `${minutes} min`;
+  StorageHelper.set({ [STORAGE_KEYS.FOCUS_WORK_MINUTES]: minutes });
+});
+
+focusBreakRange?.addEventListener('input', () => {
+  const minutes = parseInt(focusBreakRange.value, 10);
+  if (focusBreakOutput) focusBreakOutput.textContent = `${minutes} min`;
+  StorageHelper.set({ [STORAGE_KEYS.FOCUS_BREAK_MINUTES]: minutes });
+});
+
+focusPresetSelect?.addEventListener('change', () => {
+  focusPresetSelect.dataset.value = focusPresetSelect.value;
+  StorageHelper.set({ [STORAGE_KEYS.FOCUS_PRESET]: focusPresetSelect.value });
+});
+
+// Phases change while the popup is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[STORAGE_KEYS.FOCUS_SESSION] || changes[STORAGE_KEYS.FOCUS_HISTORY]) renderFocusSession();
 });
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 function getHeight()        { return parseInt(heightRange.value, 10); }
 function getDimOpacity()    { return parseInt(opacityRange.value, 10) / 100; }
+function getRulerLook() {
+  return {
+    style       : document.querySelector('.chip[data-ruler-style].selected')?.dataset.rulerStyle || 'mask',
+    maskColor   : rulerMaskColor?.value ?? '#000000',
+    tintEnabled : !!rulerTintToggle?.checked,
+    tint        : rulerTintCustom?.value ?? '#ffff99',
+    lineColor   : rulerLineColor?.value ?? '#f5c842',
+    lineWidth   : parseInt(rulerLineWidthRange?.value ?? 1, 10),
+  };
+}
+
+// One ruler look setting: stored under `key`, sent to the page as `settings`
+function updateRulerLook(key, settings) {
+  saveSettings({ [key]: Object.values(settings)[0] });
+  sendToAllTabs({ type: 'FOCUS_RULER_UPDATE_SETTINGS', settings });
+}
+
+function getShape()         { return document.querySelector('.chip[data-shape].selected')?.dataset.shape || 'band'; }
+function getRulerWidth()    { return parseInt(rulerWidthRange.value, 10); }
+function getFollow()        { return document.querySelector('.chip[data-follow].selected')?.dataset.follow || 'mouse'; }
 function getColor()         { return customColor.value; }
 function getOverlayOpacity(){ return parseInt(overlayOpRange.value, 10) / 100; }
+function getDarkSettings()  {
+  return {
+    dimImages  : !!darkDimImagesToggle?.checked,
+    brightness : parseInt(darkBrightnessRange?.value ?? 100, 10),
+    contrast   : parseInt(darkContrastRange?.value ?? 100, 10),
+  };
+}
+
+function getSpacingSettings() {
+  const value = (key) => parseFloat(spacingSliders.find(s => s.key === key)?.range?.value ?? DEFAULTS[key]);
+  return {
+    enabled          : !!spacingToggle?.checked,
+    lineHeight       : value(STORAGE_KEYS.LINE_HEIGHT),
+    letterSpacing    : value(STORAGE_KEYS.LETTER_SPACING),
+    wordSpacing      : value(STORAGE_KEYS.WORD_SPACING),
+    paragraphSpacing : value(STORAGE_KEYS.PARAGRAPH_SPACING),
+    maxLineLength    : parseInt(document.querySelector('.chip[data-line-length].selected')?.dataset.lineLength ?? 0, 10),
+  };
+}
+
+function renderSpacing(s) {
+  for (const { key, range, output, format } of spacingSliders) {
+    if (range) range.value = s[key];
+    if (output) output.textContent = format(s[key]);
+  }
+  setActiveLineLength(s[STORAGE_KEYS.MAX_LINE_LENGTH]);
+}
+
+function setActiveLineLength(length) {
+  lineLengthChips.forEach(c => {
+    const match = parseInt(c.dataset.lineLength, 10) === length;
+    c.classList.toggle('selected', match);
+    c.setAttribute('aria-checked', String(match));
+  });
+}
+
+function setActiveSyllableStyle(style) {
+  syllableChips.forEach(c => {
+    const match = c.dataset.syllableStyle === style;
+    c.classList.toggle('selected', match);
+    c.setAttribute('aria-checked', String(match));
+  });
+}
 
 function expandBody(el, open) {
   el?.classList.toggle('hidden', !open);
 }
 
-function setActiveSwatch(color) {
-  swatches.forEach(s => {
+function setActiveSwatch(color, group = swatches) {
+  group.forEach(s => {
     const match = color !== null && s.dataset.color === color;
     s.classList.toggle('selected', match);
     s.setAttribute('aria-checked', String(match));
   });
 }
 
+function setActiveRulerStyle(style) {
+  rulerStyleChips.forEach(c => {
+    const match = c.dataset.rulerStyle === style;
+    c.classList.toggle('selected', match);
+    c.setAttribute('aria-checked', String(match));
+  });
+  // Underline has no mask; blur has no color
+  rulerOpacityRow?.classList.toggle('hidden', style === 'underline');
+  rulerMaskRow?.classList.toggle('hidden', style !== 'mask');
+  const opacityLabel = rulerOpacityRow?.querySelector('.setting-row__label');
+  if (opacityLabel) opacityLabel.textContent = style === 'blur' ? 'Blur Intensity' : 'Dim Intensity';
+}
+
+function setActiveShape(shape) {
+  shapeChips.forEach(c => {
+    const match = c.dataset.shape === shape;
+    c.classList.toggle('selected', match);
+    c.setAttribute('aria-checked', String(match));
+  });
+  rulerWidthRow?.classList.toggle('hidden', shape !== 'spotlight');
+}
+
+function setActiveFollow(follow) {
+  followChips.forEach(c => {
+    const match = c.dataset.follow === follow;
+    c.classList.toggle('selected', match);
+    c.setAttribute('aria-checked', String(match));
+  });
+}
+
 function setActiveChip(mode) {
   chips.forEach(c => {
     const match = c.dataset.mode === mode;
     c.classList.toggle('selected', match);
     c.setAttribute('aria-checked', String(match));
   });
+  const partial = [...chips].some(c => c.dataset.mode === mode && c.hasAttribute('data-partial'));
+  cvdSeverityRow?.classList.toggle('hidden', !partial);
+}
+
+function setActiveMethod(method) {
+  const correct = method === 'correct';
+  methodChips.forEach(c => {
+    const match = c.dataset.method === method;
+    c.classList.toggle('selected', match);
+    c.setAttribute('aria-checked', String(match));
+  });
+  chips.forEach(c => {
+    if (!c.hasAttribute('data-simulate-only')) return;
+    c.disabled = correct;
+    c.title    = correct ? 'No color left to correct — available in Simulate' : '';
+  });
+  if (cvdMethodNote) {
+    cvdMethodNote.textContent = correct
+      ? 'Shifts colors you can\'t tell apart into ones you can.'
+      : '⚠ Simulate shows how the page looks with this CVD — for testing designs, not vision correction.';
+  }
+}
+
+// Full CVD settings for content-script messages, from a settings object
+function cvdSettings(s) {
+  return {
+    mode     : s[STORAGE_KEYS.CVD_MODE],
+    method   : s[STORAGE_KEYS.CVD_METHOD],
+    severity : s[STORAGE_KEYS.CVD_SEVERITY],
+  };
+}
+
+// Fills the voice picker from chrome.tts, grouped by language
+async function loadVoices() {
+  if (!ttsVoiceSelect) return;
+  const voices = await chrome.tts.getVoices();
+  voices
+    .filter(v => v.voiceName)
+    .sort((a, b) => (a.lang || '').localeCompare(b.lang || '') || a.voiceName.localeCompare(b.voiceName))
+    .forEach(v => {
+      const opt = document.createElement('option');
+      opt.value       = v.voiceName;
+      opt.textContent = v.lang ? `${v.voiceName} (${v.lang})` : v.voiceName;
+      ttsVoiceSelect.appendChild(opt);
+    });
+}
+
+// A saved voice that this device doesn't have stays selectable (and saved)
+// rather than silently reverting to the default.
+function selectVoice(name) {
+  const value = name || '';
+  if (value && ![...ttsVoiceSelect.options].some(o => o.value === value)) {
+    const opt = document.createElement('option');
+    opt.value       = value;
+    opt.textContent = `${value} (unavailable)`;
+    ttsVoiceSelect.appendChild(opt);
+  }
+  ttsVoiceSelect.value = value;
+}
+
+// Settings as shown in the popup for the current scope
+async function readSettings() {
+  const stored    = await StorageHelper.get(OtterSchema.settingKeys());
+  const overrides = scope === 'site' ? await StorageHelper.getSiteOverrides(siteOrigin) : {};
+  return { ...stored, ...overrides };
+}
+
+// Writes to the global keys or this site's overrides. Writes are chained so a
+// fast slider drag can't interleave two read-modify-writes of siteOverrides.
+function saveSettings(items) {
+  saveChain = saveChain
+    .then(() => scope === 'site'
+      ? StorageHelper.setSiteOverrides(siteOrigin, items)
+      : StorageHelper.set(items))
+    .catch(err => console.warn('[ProjectOtter Popup] Storage write failed:', err));
+  return saveChain;
 }
 
 async function refreshFooter() {
-  const stored = await chrome.storage.local.get(Object.values(KEYS));
-  updateFooter({ ...DEFAULTS, ...stored });
+  updateFooter(await readSettings());
 }
 
 function updateFooter(s) {
   const active = [
-    s[KEYS.RULER_ENABLED],
-    s[KEYS.OVERLAY_ENABLED],
-    s[KEYS.DARK_MODE],
-    s[KEYS.CVD_ENABLED],
-    s[KEYS.DYSLEXIA_FONT],
-    s[KEYS.TTS_ENABLED],
+    s[STORAGE_KEYS.RULER_ENABLED],
+    s[STORAGE_KEYS.OVERLAY_ENABLED],
+    s[STORAGE_KEYS.DARK_MODE_ENABLED],
+    s[STORAGE_KEYS.CVD_ENABLED],
+    s[STORAGE_KEYS.DYSLEXIA_FONT],
+    s[STORAGE_KEYS.TEXT_SPACING],
+    s[STORAGE_KEYS.BIONIC_ENABLED],
+    s[STORAGE_KEYS.SYLLABLES_ENABLED],
+    s[STORAGE_KEYS.WORD_LOOKUP_ENABLED],
+    s[STORAGE_KEYS.DISTRACTION_ENABLED],
+    s[STORAGE_KEYS.TTS_ENABLED],
   ].filter(Boolean).length;
 
   const hasActive = active > 0;
@@ -434,24 +1520,26 @@ function updateFooter(s) {
   if (activeBadge) activeBadge.classList.toggle('hidden', !hasActive);
 
   if (statusText) {
-    statusText.textContent = hasActive
-      ? `${active} feature${active > 1 ? 's' : ''} active`
-      : 'No features active';
+    statusText.textContent = sitePaused
+      ? 'Paused on this site'
+      : hasActive
+        ? `${active} feature${active > 1 ? 's' : ''} active`
+        : 'No features active';
   }
 
   // Section Amber Glow
-  const adhdActive = !!s[KEYS.RULER_ENABLED] || !!s[KEYS.TTS_ENABLED];
-  const dyslexiaActive = !!s[KEYS.OVERLAY_ENABLED] || !!s[KEYS.DYSLEXIA_FONT];
-  const cbActive = !!s[KEYS.DARK_MODE] || !!s[KEYS.CVD_ENABLED];
+  const adhdActive = !!s[STORAGE_KEYS.RULER_ENABLED] || !!s[STORAGE_KEYS.TTS_ENABLED] || !!s[STORAGE_KEYS.DISTRACTION_ENABLED];
+  const dyslexiaActive = !!s[STORAGE_KEYS.OVERLAY_ENABLED] || !!s[STORAGE_KEYS.DYSLEXIA_FONT] || !!s[STORAGE_KEYS.TEXT_SPACING] || !!s[STORAGE_KEYS.BIONIC_ENABLED] || !!s[STORAGE_KEYS.SYLLABLES_ENABLED] || !!s[STORAGE_KEYS.WORD_LOOKUP_ENABLED];
+  const cbActive = !!s[STORAGE_KEYS.DARK_MODE_ENABLED] || !!s[STORAGE_KEYS.CVD_ENABLED];
   document.getElementById('section-adhd')?.classList.toggle('has-active', adhdActive);
   document.getElementById('section-dyslexia')?.classList.toggle('has-active', dyslexiaActive);
   document.getElementById('section-colorblind')?.classList.toggle('has-active', cbActive);
 }
 
 function autoOpenActiveSection(s) {
-  const adhdActive     = !!s[KEYS.RULER_ENABLED] || !!s[KEYS.TTS_ENABLED];
-  const dyslexiaActive = !!s[KEYS.OVERLAY_ENABLED] || !!s[KEYS.DYSLEXIA_FONT];
-  const cbActive       = !!s[KEYS.DARK_MODE] || !!s[KEYS.CVD_ENABLED];
+  const adhdActive     = !!s[STORAGE_KEYS.RULER_ENABLED] || !!s[STORAGE_KEYS.TTS_ENABLED] || !!s[STORAGE_KEYS.DISTRACTION_ENABLED];
+  const dyslexiaActive = !!s[STORAGE_KEYS.OVERLAY_ENABLED] || !!s[STORAGE_KEYS.DYSLEXIA_FONT] || !!s[STORAGE_KEYS.TEXT_SPACING] || !!s[STORAGE_KEYS.BIONIC_ENABLED] || !!s[STORAGE_KEYS.SYLLABLES_ENABLED] || !!s[STORAGE_KEYS.WORD_LOOKUP_ENABLED];
+  const cbActive       = !!s[STORAGE_KEYS.DARK_MODE_ENABLED] || !!s[STORAGE_KEYS.CVD_ENABLED];
 
   const sectionMap = [
     { id: 'section-adhd',       active: adhdActive },
@@ -469,13 +1557,45 @@ function autoOpenActiveSection(s) {
   }
 }
 
+  // Delivers a live change to the tabs it applies to. "This site" changes only
+  // reach tabs on siteOrigin; global changes skip paused sites, and tabs with
+  // their own site profile get their fully resolved state instead — as does
+  // every tab during a focus break, which keeps some tools off.
   async function sendToAllTabs(message) {
     try {
-      const tabs = await chrome.tabs.query({});
+      await saveChain;
+      const stored    = await StorageHelper.get(null);
+      const overrides = stored[STORAGE_KEYS.SITE_OVERRIDES] || {};
+      const paused    = stored[STORAGE_KEYS.PAUSED_SITES]   || [];
+      const onBreak   = stored[STORAGE_KEYS.FOCUS_SESSION].phase === 'break';
+      const tabs      = await chrome.tabs.query({});
+      for (const tab of tabs) {
+        if (!tab.url || tab.url.startsWith("chrome://")) continue;
+        const origin = StorageHelper.originOf(tab.url);
+        if (scope === 'site' && origin !== siteOrigin) continue;
+        if (paused.includes(origin)) continue;
+
+        const outgoing = ((scope === 'global' && overrides[origin]) || onBreak)
+          ? { type: 'REAPPLY_STATE', state: StorageHelper.resolveForOrigin(stored, origin) }
+          : message;
+        chrome.tabs.sendMessage(tab.id, outgoing).catch(() => {});
+      }
+    } catch (_) {}
+  }
+
+  // Re-sends each tab its resolved state — every tab, or only tabs on
+  // `origin` (pause, site reset, presets)
+  async function reapplyTabs(origin = null) {
+    try {
+      await saveChain;
+      const stored = await StorageHelper.get(null);
+      const tabs   = await chrome.tabs.query({});
       for (const tab of tabs) {
-        if (tab.url && !tab.url.startsWith("chrome://")) {
-          chrome.tabs.sendMessage(tab.id, message).catch(() => {});
-        }
+        if (!tab.url || tab.url.startsWith("chrome://")) continue;
+        const tabOrigin = StorageHelper.originOf(tab.url);
+        if (origin && tabOrigin !== origin) continue;
+        const state = StorageHelper.resolveForOrigin(stored, tabOrigin);
+        chrome.tabs.sendMessage(tab.id, { type: 'REAPPLY_STATE', state }).catch(() => {});
       }
     } catch (_) {}
   }
\ No newline at end of file
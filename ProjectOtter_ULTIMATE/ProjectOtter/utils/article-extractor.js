@@ -0,0 +1,170 @@
+/**
+ * Project Otter — utils/article-extractor.js
+ *
+ * Finds the main readable content of a page — the article body without nav,
+ * ads, sidebars or footers — and returns it as an ordered list of block
+ * elements (paragraphs, headings, list items…). Loaded in manifest.json
+ * content_scripts before any script that reads whole pages.
+ *
+ * The scoring is a small take on Readability: every paragraph with real text
+ * votes for its parent (and, at half weight, its grandparent); class/id names
+ * that look like content or like clutter nudge the score; link-heavy
+ * containers are discounted. The winning container plus any sibling that
+ * scored well is the article.
+ *
+ * Nothing here modifies the page.
+ */
+
+const ARTICLE_MIN_PARAGRAPH = 25;    // chars before a <p> counts as text
+const ARTICLE_MIN_LOOSE_DIV = 80;    // chars before a <div> with no block children counts as a paragraph
+
+const ARTICLE_BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, dd, dt, figcaption, div';
+
+const ARTICLE_POSITIVE = /article|body|content|entry|main|page|post|text|blog|story|prose/i;
+const ARTICLE_NEGATIVE = /comment|contact|footer|footnote|masthead|menu|nav|promo|related|share|sidebar|sponsor|social|banner|breadcrumb|cookie|consent|subscribe|newsletter|popup|modal|\bads?\b|advert|widget/i;
+
+// Subtrees that are never part of the readable text
+const ARTICLE_SKIP_TAGS  = new Set(['NAV', 'ASIDE', 'FOOTER', 'FORM', 'BUTTON', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'svg', 'math', 'IFRAME', 'SELECT', 'TEXTAREA', 'DIALOG']);
+const ARTICLE_SKIP_ROLES = new Set(['navigation', 'complementary', 'banner', 'contentinfo', 'dialog', 'alert', 'menu', 'search']);
+const ARTICLE_SKIP_IDS   = new Set(['__al-ruler-host__', 'accessilens-overlay']);
+
+// The reader view's copy of the article (content-scripts/reader-view.js)
+const ARTICLE_READER_SELECTOR = '#otter-reader > article';
+
+const OtterArticle = {
+
+  // Returns { title, roots, blocks } for `doc`. `blocks` are non-overlapping
+  // elements in document order; it is empty when the page has no article-like
+  // text at all.
+  extract(doc = document) {
+    const body = doc.body;
+    if (!body) return { title: doc.title || '', roots: [], blocks: [] };
+
+    // While the reader view is open it is the article
+    const reader = doc.querySelector(ARTICLE_READER_SELECTOR);
+    if (reader) return { title: doc.title || '', roots: [reader], blocks: OtterArticle.collectBlocks(reader, []) };
+
+    const roots  = OtterArticle.findRoots(body);
+    const blocks = [];
+    for (const root of roots) OtterArticle.collectBlocks(root, blocks);
+
+    // Many sites keep the headline outside the article container
+    const h1 = doc.querySelector('h1');
+    if (h1 && !blocks.some(b => b.contains(h1) || h1.contains(b)) && OtterArticle.isReadable(h1)
+        && blocks.length && (h1.compareDocumentPosition(blocks[0]) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+      blocks.unshift(h1);
+    }
+
+    return { title: doc.title || '', roots, blocks };
+  },
+
+  // The best-scoring container, plus siblings that look like more of the same
+  // article (long posts are often split across several wrapper divs).
+  findRoots(body) {
+    const scores = new Map();
+    const vote   = (el, points) => {
+      if (!el || el === body.parentElement) return;
+      if (!scores.has(el)) scores.set(el, OtterArticle.classWeight(el));
+      scores.set(el, scores.get(el) + points);
+    };
+
+    for (const p of body.querySelectorAll('p, pre, td')) {
+      if (OtterArticle.isClutter(p)) continue;
+      const text = p.textContent.trim();
+      if (text.length < ARTICLE_MIN_PARAGRAPH) continue;
+
+      const points = 1 + (text.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+      vote(p.parentElement, points);
+      vote(p.parentElement?.parentElement, points / 2);
+    }
+
+    let best = null, bestScore = 0;
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - OtterArticle.linkDensity(el));
+      scores.set(el, adjusted);
+      if (adjusted > bestScore) { best = el; bestScore = adjusted; }
+    }
+    if (!best) return [body];
+
+    const roots     = [];
+    const threshold = Math.max(10, bestScore * 0.2);
+    for (const sibling of best.parentElement?.children || [best]) {
+      if (sibling === best || (scores.get(sibling) || 0) >= threshold) roots.push(sibling);
+    }
+    return roots;
+  },
+
+  // Leaf-most readable blocks under `root`, appended to `out`
+  collectBlocks(root, out) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: (el) => {
+        if (OtterArticle.isSkippedSubtree(el)) return NodeFilter.FILTER_REJECT;
+        return el.matches(ARTICLE_BLOCK_SELECTOR) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+      },
+    });
+
+    while (walker.nextNode()) {
+      const el = walker.currentNode;
+      // Containers are read through their child blocks
+      if (el.querySelector(ARTICLE_BLOCK_SELECTOR)) continue;
+      if (el.tagName === 'DIV' && el.textContent.trim().length < ARTICLE_MIN_LOOSE_DIV) continue;
+      if (!el.textContent.trim() || !OtterArticle.isReadable(el)) continue;
+      if (el.tagName === 'LI' && OtterArticle.linkDensity(el) > 0.5) continue;
+      out.push(el);
+    }
+    return out;
+  },
+
+  // ── Heuristics ─────────────────────────────────────────────────────────────
+
+  classWeight(el) {
+    const names = `${el.className && typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    let weight = 0;
+    if (ARTICLE_POSITIVE.test(names)) weight += 25;
+    if (ARTICLE_NEGATIVE.test(names)) weight -= 25;
+    if (el.tagName === 'ARTICLE' || el.tagName === 'MAIN' || el.getAttribute('role') === 'main') weight += 25;
+    return weight;
+  },
+
+  linkDensity(el) {
+    const total = el.textContent.length;
+    if (!total) return 0;
+    let linked = 0;
+    for (const a of el.querySelectorAll('a')) linked += a.textContent.length;
+    return Math.min(1, linked / total);
+  },
+
+  isSkippedSubtree(el) {
+    if (ARTICLE_SKIP_TAGS.has(el.tagName)) return true;
+    if (ARTICLE_SKIP_IDS.has(el.id))       return true;
+    if (ARTICLE_SKIP_ROLES.has(el.getAttribute('role'))) return true;
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    if (el.tagName === 'HEADER' && !el.querySelector('h1, h2')) return true;
+    const names = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    return ARTICLE_NEGATIVE.test(names) && !ARTICLE_POSITIVE.test(names);
+  },
+
+  isClutter(el) {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      if (OtterArticle.isSkippedSubtree(node)) return true;
+    }
+    return false;
+  },
+
+  // Rendered and not hidden with CSS
+  isReadable(el) {
+    if (el.getClientRects().length === 0) return false;
+    const style = getComputedStyle(el);
+    return style.visibility !== 'hidden' && style.display !== 'none';
+  },
+};
+
+// ── Expose globally for content scripts (pre-bundler) ─────────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterArticle = OtterArticle;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterArticle };
+}
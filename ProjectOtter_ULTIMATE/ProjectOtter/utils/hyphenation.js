@@ -0,0 +1,98 @@
+/**
+ * Project Otter — utils/hyphenation.js
+ *
+ * Splits words into syllables with Frank Liang's hyphenation algorithm (the
+ * one TeX uses), for content-scripts/syllables.js. Works offline: the
+ * patterns ship with the extension under assets/hyphenation/.
+ *
+ * Only this small engine is loaded with the content scripts. A language's
+ * patterns are tens of kilobytes, so a frame asks the service worker
+ * (LOAD_HYPHENATION) to inject that one file the first time it needs it;
+ * the file then calls OtterHyphenation.register().
+ *
+ * The points found are hyphenation points, which for these languages fall
+ * on syllable boundaries — closely enough for reading aids.
+ */
+
+// Bundled languages; `leftmin` / `rightmin` are the fewest letters kept
+// before the first and after the last break, as in TeX
+const HYPHENATION_LANGUAGES = {
+  en : { name: 'English', file: 'assets/hyphenation/hyph-en-us.js', leftmin: 2, rightmin: 3 },
+  fr : { name: 'French',  file: 'assets/hyphenation/hyph-fr.js',    leftmin: 2, rightmin: 3 },
+  es : { name: 'Spanish', file: 'assets/hyphenation/hyph-es.js',    leftmin: 2, rightmin: 2 },
+};
+
+const OtterHyphenation = {
+
+  LANGUAGES : HYPHENATION_LANGUAGES,
+  tables    : {},   // lang → { points: Map(letters → levels), longest }
+
+  // 'en-GB' → 'en'; null for languages without bundled patterns
+  languageOf(tag) {
+    const base = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+    return Object.hasOwn(HYPHENATION_LANGUAGES, base) ? base : null;
+  },
+
+  has(lang) {
+    return Object.hasOwn(OtterHyphenation.tables, lang);
+  },
+
+  // `patterns` is TeX pattern syntax, whitespace-separated: "hy3ph", ".ach4".
+  // A pattern's levels sit between its letters; "hy3ph" is stored as
+  // 'hyph' → [0, 0, 3, 0, 0].
+  register(lang, patterns) {
+    const points = new Map();
+    let longest = 0;
+    for (const pattern of patterns.split(/\s+/)) {
+      if (!pattern) continue;
+      const letters = pattern.replace(/\d/g, '');
+      points.set(letters, pattern.split(/\D/).map(d => Number(d) || 0));
+      longest = Math.max(longest, letters.length);
+    }
+    OtterHyphenation.tables[lang] = { points, longest };
+  },
+
+  // 'hyphenation' → ['hy', 'phen', 'a', 'tion']. Words in a language that
+  // isn't registered come back whole.
+  syllables(word, lang) {
+    const table = OtterHyphenation.tables[lang];
+    const lower = word.toLowerCase().replace(/’/g, "'");
+    // Some letters change length when lower-cased ('İ'); leave those words alone
+    if (!table || lower.length !== word.length) return [word];
+
+    const { leftmin, rightmin } = HYPHENATION_LANGUAGES[lang];
+    const padded = `.${lower}.`;
+    const levels = new Array(padded.length + 1).fill(0);
+    for (let i = 0; i < padded.length; i++) {
+      const end = Math.min(padded.length, i + table.longest);
+      for (let j = i + 1; j <= end; j++) {
+        const found = table.points.get(padded.slice(i, j));
+        if (!found) continue;
+        found.forEach((level, k) => {
+          if (level > levels[i + k]) levels[i + k] = level;
+        });
+      }
+    }
+
+    // Odd levels allow a break; levels[k + 1] sits before word[k]
+    const parts = [];
+    let start = 0;
+    for (let k = leftmin; k <= word.length - rightmin; k++) {
+      if (levels[k + 1] % 2 === 0) continue;
+      parts.push(word.slice(start, k));
+      start = k;
+    }
+    parts.push(word.slice(start));
+    return parts;
+  },
+};
+
+// ── Expose globally (content scripts, pre-bundler) ────────────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterHyphenation = OtterHyphenation;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterHyphenation, HYPHENATION_LANGUAGES };
+}
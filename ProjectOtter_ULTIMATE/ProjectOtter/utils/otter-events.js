@@ -0,0 +1,29 @@
+/**
+ * Project Otter — utils/otter-events.js
+ *
+ * In-page event bus between content scripts. Loaded in manifest.json right
+ * after storage-helper.js.
+ *
+ * Content scripts share the extension's isolated world, so an EventTarget
+ * living there is invisible to the page — unlike CustomEvents dispatched on
+ * window or document, which page scripts can observe and forge.
+ *
+ * Events:
+ *   'tts-position'  detail: { range: Range|null }
+ *                   The word being spoken (tts-engine.js), null when speech ends.
+ *   'reapply'       detail: { state }
+ *                   Effective settings after a client-side navigation or a
+ *                   replaced <body> (page-watcher.js). Handled like REAPPLY_STATE.
+ */
+
+const OtterEvents = new EventTarget();
+
+// ── Expose globally for content scripts (pre-bundler) ─────────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterEvents = OtterEvents;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterEvents };
+}
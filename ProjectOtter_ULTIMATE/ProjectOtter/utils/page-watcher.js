@@ -0,0 +1,121 @@
+/**
+ * Project Otter — utils/page-watcher.js
+ *
+ * Keeps Otter applied on pages that change underneath it. Loaded in
+ * manifest.json content_scripts right after otter-events.js.
+ *
+ * Single-page apps break the usual re-apply in two ways:
+ *   - Client-side navigation (history.pushState, back/forward inside the
+ *     app) never reaches the service worker's tabs.onUpdated "complete".
+ *   - Frameworks that re-render <head> or <body> throw away our own nodes:
+ *     the <style> overrides, the overlay, the SVG filter, the ruler host.
+ *
+ * Content scripts register the nodes they insert with keep(). A removed node
+ * is put back from the MutationObserver callback — before the next paint, so
+ * nothing flickers — and since it is the same element that goes back there
+ * is never a duplicate. After a navigation, or when <body> itself was
+ * replaced, the effective settings are read again and dispatched on
+ * OtterEvents as 'reapply', which each content script handles exactly like
+ * the service worker's REAPPLY_STATE.
+ */
+
+const PAGE_REAPPLY_DELAY = 50;    // ms; one re-read per burst of route changes
+const PAGE_MAX_RESTORES  = 10;    // per node per second, in case the page keeps removing it
+
+const OtterPage = {
+
+  kept     : new Map(),   // element → { where: 'head' | 'body', onRestore, restores, since }
+  observer : null,
+  body     : null,
+  href     : null,
+  pending  : false,
+
+  // Keeps `el` (already inserted) in the page. `onRestore` runs after it was
+  // put back, for nodes whose state doesn't survive re-insertion — a <style>
+  // is parsed from its text again and loses rules added with insertRule().
+  keep(el, onRestore = null) {
+    OtterPage.kept.set(el, {
+      where     : el.parentNode === document.head ? 'head' : 'body',
+      onRestore,
+      restores  : 0,
+      since     : 0,
+    });
+  },
+
+  // Takes `el` out of the page for good. Accepts null, like `?.remove()`.
+  remove(el) {
+    if (!el) return;
+    OtterPage.kept.delete(el);
+    el.remove();
+  },
+
+  start() {
+    if (OtterPage.observer) return;
+    OtterPage.body     = document.body;
+    OtterPage.href     = location.href;
+    OtterPage.observer = new MutationObserver(OtterPage.onMutations);
+    OtterPage.observer.observe(document, { childList: true, subtree: true });
+
+    // currententrychange covers pushState, replaceState and traversal;
+    // popstate and hashchange are the fallback without the Navigation API
+    if (window.navigation) {
+      window.navigation.addEventListener('currententrychange', OtterPage.onNavigate);
+    } else {
+      window.addEventListener('popstate',   OtterPage.onNavigate);
+      window.addEventListener('hashchange', OtterPage.onNavigate);
+    }
+  },
+
+  onMutations(mutations) {
+    if (document.body !== OtterPage.body) {
+      OtterPage.body = document.body;
+      OtterPage.scheduleReapply();
+    }
+    if (!mutations.some(m => m.removedNodes.length)) return;
+
+    const now = Date.now();
+    for (const [el, entry] of OtterPage.kept) {
+      if (el.isConnected) continue;
+      if (now - entry.since > 1000) { entry.since = now; entry.restores = 0; }
+      if (++entry.restores > PAGE_MAX_RESTORES) continue;
+
+      const parent = (entry.where === 'head' ? document.head : document.body) || document.documentElement;
+      if (!parent) continue;
+      parent.appendChild(el);
+      entry.onRestore?.();
+    }
+  },
+
+  // Same-URL history updates (state objects, scroll positions) are not navigations
+  onNavigate() {
+    if (location.href === OtterPage.href) return;
+    OtterPage.href = location.href;
+    OtterPage.scheduleReapply();
+  },
+
+  scheduleReapply() {
+    if (OtterPage.pending) return;
+    OtterPage.pending = true;
+    setTimeout(async () => {
+      OtterPage.pending = false;
+      try {
+        const state = await window.StorageHelper.getEffective(null);
+        window.OtterEvents.dispatchEvent(new CustomEvent('reapply', { detail: { state } }));
+      } catch (err) {
+        // The extension was reloaded or updated; this page's scripts are orphaned
+        console.debug('[Project Otter] page-watcher re-apply failed:', err.message);
+      }
+    }, PAGE_REAPPLY_DELAY);
+  },
+};
+
+// ── Expose globally for content scripts (pre-bundler) ─────────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterPage = OtterPage;
+  if (typeof document !== 'undefined' && document.documentElement) OtterPage.start();
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterPage };
+}
@@ -0,0 +1,214 @@
+/**
+ * Project Otter — utils/presets.js
+ *
+ * Named settings bundles ("presets") and their JSON file format.
+ * Loaded by the popup (and anything else that applies presets) after
+ * settings-schema.js and storage-helper.js.
+ *
+ * A preset is { id, name, settings } where `settings` is a partial map of
+ * storage keys → values. Applying a preset writes every key it lists;
+ * keys it does not list keep their current value.
+ *
+ * Built-in presets live here in code and can't be edited or deleted.
+ * User presets are stored under STORAGE_KEYS.USER_PRESETS.
+ *
+ * Import files are untrusted — teachers pass them around — so every value is
+ * checked against the settings schema (utils/settings-schema.js) before it
+ * can reach storage. Unknown keys are dropped, never stored.
+ */
+
+const PRESET_FILE_FORMAT  = 'project-otter-presets';
+const PRESET_FILE_VERSION = 1;
+const PRESET_NAME_MAX     = 40;
+const PRESET_MAX_COUNT    = OtterSchema.PRESETS_MAX;
+
+// Keys that are plumbing, not user-facing settings, and the focus timer
+// (a preset is what a session turns on) — never part of a preset
+const PRESET_EXCLUDED_KEYS = new Set([
+  'siteOverrides',
+  'pausedSites',
+  'userPresets',
+  'readingPositions',
+  'hiddenElements',
+  'focusSession',
+  'focusHistory',
+  'focusWorkMinutes',
+  'focusBreakMinutes',
+  'focusPreset',
+  'shortcutBindings',
+  'typographyEngineEnabled',
+]);
+
+// Every feature switch, off — built-ins start from this so applying one
+// preset never leaves another preset's tools running.
+const PRESET_ALL_OFF = {
+  focusRulerEnabled       : false,
+  overlayEnabled          : false,
+  darkModeEnabled         : false,
+  cvdEnabled              : false,
+  dyslexiaFontEnabled     : false,
+  textSpacingEnabled      : false,
+  bionicReadingEnabled    : false,
+  syllablesEnabled        : false,
+  wordLookupEnabled       : false,
+  distractionBlockEnabled : false,
+  ttsEnabled              : false,
+};
+
+const BUILTIN_PRESETS = [
+  {
+    id       : 'builtin-dyslexia-reading',
+    name     : 'Dyslexia reading',
+    builtIn  : true,
+    settings : {
+      ...PRESET_ALL_OFF,
+      dyslexiaFontEnabled : true,
+      dyslexiaFontFamily  : 'OpenDyslexic',
+      textSpacingEnabled  : true,
+      overlayEnabled      : true,
+      overlayColor        : '#ffff99',
+      overlayOpacity      : 0.15,
+      ttsEnabled          : true,
+      ttsSpeed            : 0.9,
+    },
+  },
+  {
+    id       : 'builtin-adhd-focus',
+    name     : 'ADHD focus',
+    builtIn  : true,
+    settings : {
+      ...PRESET_ALL_OFF,
+      focusRulerEnabled       : true,
+      rulerHeight             : 44,
+      dimOpacity              : 0.75,
+      bionicReadingEnabled    : true,
+      distractionBlockEnabled : true,
+    },
+  },
+  {
+    id       : 'builtin-low-glare',
+    name     : 'Low-glare reading',
+    builtIn  : true,
+    settings : {
+      ...PRESET_ALL_OFF,
+      darkModeEnabled   : true,
+      focusRulerEnabled : true,
+      rulerHeight       : 56,
+      dimOpacity        : 0.5,
+    },
+  },
+];
+
+const OtterPresets = {
+
+  BUILTIN   : BUILTIN_PRESETS,
+  MAX_COUNT : PRESET_MAX_COUNT,
+
+  newId() {
+    return `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  // Picks the preset-able keys out of a full settings object
+  capture(settings, defaults) {
+    const out = {};
+    for (const key of Object.keys(defaults)) {
+      if (PRESET_EXCLUDED_KEYS.has(key)) continue;
+      if (key in settings) out[key] = settings[key];
+    }
+    return out;
+  },
+
+  // Returns { settings, errors }: settings holds only valid entries
+  sanitizeSettings(raw, defaults) {
+    const settings = {};
+    const errors   = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { settings, errors: ['settings must be an object'] };
+    }
+
+    for (const [key, value] of Object.entries(raw)) {
+      if (!(key in defaults) || PRESET_EXCLUDED_KEYS.has(key)) {
+        errors.push(`unknown setting "${key}"`);
+        continue;
+      }
+      const result = OtterSchema.validate(key, value);
+      if (result.error) errors.push(result.error);
+      else settings[key] = result.value;
+    }
+    return { settings, errors };
+  },
+
+  // Serialisable file body for a list of user presets
+  toFile(presets) {
+    return {
+      format     : PRESET_FILE_FORMAT,
+      version    : PRESET_FILE_VERSION,
+      exportedAt : new Date().toISOString(),
+      presets    : presets.map(({ name, settings }) => ({ name, settings })),
+    };
+  },
+
+  // Parses an import file. Throws on anything that isn't an Otter preset file;
+  // otherwise returns { presets, errors } with per-preset problems listed.
+  fromFile(text, defaults) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      throw new Error('File is not valid JSON.');
+    }
+
+    if (!data || data.format !== PRESET_FILE_FORMAT) {
+      throw new Error('Not a Project Otter preset file.');
+    }
+    if (!Number.isInteger(data.version) || data.version > PRESET_FILE_VERSION) {
+      throw new Error('Preset file was made by a newer version of Project Otter.');
+    }
+    if (!Array.isArray(data.presets) || data.presets.length === 0) {
+      throw new Error('Preset file contains no presets.');
+    }
+    if (data.presets.length > PRESET_MAX_COUNT) {
+      throw new Error(`Preset files are limited to ${PRESET_MAX_COUNT} presets.`);
+    }
+
+    const presets = [];
+    const errors  = [];
+    data.presets.forEach((entry, i) => {
+      const name = typeof entry?.name === 'string' ? entry.name.trim().slice(0, PRESET_NAME_MAX) : '';
+      if (!name) {
+        errors.push(`Preset ${i + 1}: missing name`);
+        return;
+      }
+      const result = OtterPresets.sanitizeSettings(entry.settings, defaults);
+      result.errors.forEach(e => errors.push(`${name}: ${e}`));
+      if (Object.keys(result.settings).length === 0) {
+        errors.push(`${name}: no usable settings`);
+        return;
+      }
+      presets.push({ id: OtterPresets.newId(), name, settings: result.settings });
+    });
+
+    return { presets, errors };
+  },
+
+  // "Name", "Name (2)", "Name (3)"… so imports never shadow existing presets
+  uniqueName(name, existing) {
+    const taken = new Set(existing.map(p => p.name.toLowerCase()));
+    if (!taken.has(name.toLowerCase())) return name;
+    for (let n = 2; ; n++) {
+      const candidate = `${name} (${n})`;
+      if (!taken.has(candidate.toLowerCase())) return candidate;
+    }
+  },
+};
+
+// ── Expose globally (popup / content scripts, pre-bundler) ────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterPresets = OtterPresets;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterPresets, BUILTIN_PRESETS, PRESET_FILE_FORMAT, PRESET_FILE_VERSION };
+}
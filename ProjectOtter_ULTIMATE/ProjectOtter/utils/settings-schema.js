@@ -0,0 +1,360 @@
+/**
+ * Project Otter — utils/settings-schema.js
+ *
+ * The one definition of every chrome.storage.local key: its type, default
+ * and allowed values. Loaded before storage-helper.js everywhere — first in
+ * manifest.json content_scripts, by importScripts() in the service worker
+ * and by a <script> tag in the popup — so there is nothing to keep in sync.
+ *
+ * StorageHelper checks every read and write against it: a missing or invalid
+ * stored value reads back as its default, numbers are clamped to their range,
+ * and a write with a bad value drops that entry. Unknown keys never reach a
+ * content script.
+ *
+ * Storage carries a schema version (SCHEMA_VERSION_KEY). When a key is
+ * renamed or reshaped, bump SETTINGS_SCHEMA_VERSION and append a step to
+ * SETTINGS_MIGRATIONS; the service worker runs the steps the stored data
+ * hasn't seen yet on install and update.
+ */
+
+const SETTINGS_SCHEMA_VERSION = 1;
+const SCHEMA_VERSION_KEY      = 'schemaVersion';
+const USER_PRESETS_MAX        = 50;   // presets a user can keep, imports included
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const ORIGIN    = /^https?:\/\/[^/\s]+$/;
+const SELECTOR  = /^[^{}]{1,500}$/;   // a CSS selector that can't open or close a rule
+const DAY       = /^\d{4}-\d{2}-\d{2}$/;   // local calendar date, YYYY-MM-DD
+const COMBO     = /^(Ctrl\+)?(Alt\+)?(Shift\+)?(Meta\+)?(\+|[^+\s]{1,12})$/;   // see utils/shortcuts.js
+
+// `internal` keys are plumbing the extension keeps for itself (profiles,
+// presets, reading positions), not settings — see OtterSchema.settingKeys().
+// Their `check` repairs a stored value entry by entry instead of replacing it.
+// `global` settings have one value for every site, so no site profile holds them.
+const SETTINGS_SCHEMA = {
+
+  // ── Focus Ruler ──────────────────────────────────────────────────────────
+  focusRulerEnabled       : { type: 'boolean', default: false },
+  rulerHeight             : { type: 'number',  default: 40,    min: 16,   max: 140 },   // px
+  dimOpacity              : { type: 'number',  default: 0.75,  min: 0.1,  max: 0.95 },
+  rulerFollow             : { type: 'string',  default: 'mouse', oneOf: ['mouse', 'keyboard', 'caret', 'tts'] },
+  rulerSnap               : { type: 'boolean', default: false },
+  rulerShape              : { type: 'string',  default: 'band', oneOf: ['band', 'spotlight', 'paragraph', 'column'] },
+  rulerWidth              : { type: 'number',  default: 480,   min: 160,  max: 1200 },  // px
+  rulerStyle              : { type: 'string',  default: 'mask', oneOf: ['mask', 'blur', 'underline'] },
+  rulerMaskColor          : { type: 'string',  default: '#000000', pattern: HEX_COLOR },
+  rulerTintEnabled        : { type: 'boolean', default: false },
+  rulerTint               : { type: 'string',  default: '#ffff99', pattern: HEX_COLOR },
+  rulerLineColor          : { type: 'string',  default: '#f5c842', pattern: HEX_COLOR },
+  rulerLineWidth          : { type: 'number',  default: 1,     min: 0,    max: 6 },     // px, 0 hides the lines
+
+  // ── Color Overlay ────────────────────────────────────────────────────────
+  overlayEnabled          : { type: 'boolean', default: false },
+  overlayColor            : { type: 'string',  default: '#ffff99', pattern: HEX_COLOR },
+  overlayOpacity          : { type: 'number',  default: 0.15,  min: 0.05, max: 0.5 },
+
+  // ── Dark Mode ────────────────────────────────────────────────────────────
+  darkModeEnabled         : { type: 'boolean', default: false },
+  darkDimImages           : { type: 'boolean', default: false },
+  darkBrightness          : { type: 'number',  default: 100,   min: 50,   max: 150 },   // percent
+  darkContrast            : { type: 'number',  default: 100,   min: 50,   max: 150 },   // percent
+
+  // ── CVD Filter ───────────────────────────────────────────────────────────
+  cvdEnabled              : { type: 'boolean', default: false },
+  cvdMode                 : { type: 'string',  default: 'none', oneOf: ['none', 'protanopia', 'deuteranopia', 'tritanopia', 'protanomaly', 'deuteranomaly', 'tritanomaly', 'achromatopsia', 'achromatomaly'] },
+  cvdMethod               : { type: 'string',  default: 'simulate', oneOf: ['simulate', 'correct'] },
+  cvdSeverity             : { type: 'number',  default: 0.6,   min: 0.1,  max: 1 },     // "-omaly" modes only
+
+  // ── Dyslexia ─────────────────────────────────────────────────────────────
+  dyslexiaFontEnabled     : { type: 'boolean', default: false },
+  dyslexiaFontFamily      : { type: 'string',  default: 'default', oneOf: ['default', 'OpenDyslexic', 'Arial', 'Comic Sans MS', 'sans-serif'] },
+  textScale               : { type: 'number',  default: 100,   min: 50,   max: 200 },   // percent
+
+  // ── Text Spacing (WCAG 1.4.12 minimums) ──────────────────────────────────
+  textSpacingEnabled      : { type: 'boolean', default: false },
+  lineHeight              : { type: 'number',  default: 1.5,   min: 1,    max: 2.5 },   // × font size
+  letterSpacing           : { type: 'number',  default: 0.12,  min: 0,    max: 0.3 },   // em
+  wordSpacing             : { type: 'number',  default: 0.16,  min: 0,    max: 0.5 },   // em
+  paragraphSpacing        : { type: 'number',  default: 2,     min: 0,    max: 3 },     // em
+  maxLineLength           : { type: 'number',  default: 0,     oneOf: [0, 60, 70, 80, 100] },  // ch, 0 = no cap
+
+  // ── Bionic Reading / Typography engine ───────────────────────────────────
+  bionicReadingEnabled    : { type: 'boolean', default: false },
+  typographyEngineEnabled : { type: 'boolean', default: false },
+
+  // ── Syllables ────────────────────────────────────────────────────────────
+  syllablesEnabled        : { type: 'boolean', default: false },
+  syllableStyle           : { type: 'string',  default: 'colors', oneOf: ['colors', 'dots', 'gaps'] },
+  syllableMinLength       : { type: 'number',  default: 7,     min: 4,    max: 15 },    // letters
+
+  // ── Word lookup ──────────────────────────────────────────────────────────
+  wordLookupEnabled       : { type: 'boolean', default: false },   // double-click; the shortcut always works
+
+  // ── Distraction blocker ──────────────────────────────────────────────────
+  distractionBlockEnabled : { type: 'boolean', default: false },
+  distractionAds          : { type: 'boolean', default: true },
+  distractionSticky       : { type: 'boolean', default: true },    // fixed banners, pop-ups, sticky headers
+  distractionSidebars     : { type: 'boolean', default: true },
+  distractionAutoplay     : { type: 'boolean', default: true },
+  distractionMotion       : { type: 'boolean', default: true },    // animations, transitions, GIFs
+
+  // ── Focus sessions ───────────────────────────────────────────────────────
+  // One timer for every tab, so these are only ever stored globally
+  focusWorkMinutes        : { type: 'number',  default: 25,    min: 5,    max: 90, global: true },
+  focusBreakMinutes       : { type: 'number',  default: 5,     min: 1,    max: 30, global: true },
+  focusPreset             : { type: 'string',  default: 'builtin-adhd-focus', pattern: /^[\w-]{0,80}$/, global: true },  // '' = keep the current tools
+
+  // ── Text to Speech ───────────────────────────────────────────────────────
+  ttsEnabled              : { type: 'boolean', default: false },
+  ttsSpeed                : { type: 'number',  default: 1.0,   min: 0.5,  max: 2.0 },
+  ttsReadAlong            : { type: 'boolean', default: true },
+  ttsVoice                : { type: 'string',  default: '', pattern: /^[^\u0000-\u001f]{0,120}$/ },  // '' = browser default
+  ttsPitch                : { type: 'number',  default: 1.0,   min: 0.5,  max: 2.0 },
+  ttsVolume               : { type: 'number',  default: 1.0,   min: 0,    max: 1 },
+
+  // ── In-page shortcuts ────────────────────────────────────────────────────
+  // { [action]: combo }, '' = unbound. The actions with a default Chrome
+  // command key (manifest.json) start unbound here.
+  shortcutBindings        : { type: 'object', internal: true, check: checkShortcutBindings, default: {
+    'toggle-focus-ruler'    : '',
+    'toggle-color-overlay'  : '',
+    'toggle-dark-mode'      : 'Alt+Shift+D',
+    'cycle-cvd-mode'        : 'Alt+Shift+C',
+    'toggle-dyslexia-font'  : 'Alt+Shift+F',
+    'read-selection'        : '',
+    'pause-speech'          : '',
+    'stop-speech'           : 'Alt+Shift+X',
+    'toggle-text-spacing'   : 'Alt+Shift+L',
+    'toggle-bionic-reading' : 'Alt+Shift+B',
+    'toggle-syllables'      : 'Alt+Shift+Y',
+    'toggle-distractions'   : 'Alt+Shift+H',
+    'lookup-word'           : 'Alt+Shift+W',
+    'toggle-reader-view'    : 'Alt+Shift+V',
+    'toggle-tts'            : 'Alt+Shift+T',
+  } },
+
+  // ── Internal ─────────────────────────────────────────────────────────────
+  siteOverrides           : { type: 'object', default: {}, internal: true, check: checkSiteOverrides },
+  pausedSites             : { type: 'array',  default: [], internal: true, check: checkPausedSites },
+  userPresets             : { type: 'array',  default: [], internal: true, check: checkUserPresets },
+  readingPositions        : { type: 'object', default: {}, internal: true, check: checkReadingPositions },
+  hiddenElements          : { type: 'object', default: {}, internal: true, check: checkHiddenElements },
+  focusSession            : { type: 'object', default: {}, internal: true, check: checkFocusSession },
+  focusHistory            : { type: 'object', default: {}, internal: true, check: checkFocusHistory },
+};
+
+// ─── Migrations ──────────────────────────────────────────────────────────────
+// Ordered; each step brings `stored` (everything in storage, mutable) up to
+// its `version`. Steps only rename and reshape — validation and missing
+// defaults are handled once, after the last step, by OtterSchema.migrate().
+const SETTINGS_MIGRATIONS = [
+  {
+    // Unversioned installs: the key layout is unchanged, values are checked
+    version : 1,
+    migrate() {},
+  },
+];
+
+// { [origin]: { <setting>: value } } — bad origins, bad values and empty
+// profiles are dropped
+function checkSiteOverrides(value) {
+  const out = {};
+  for (const [origin, items] of Object.entries(value)) {
+    if (!ORIGIN.test(origin)) continue;
+    const { values } = OtterSchema.sanitize(items, { settingsOnly: true, site: true });
+    if (Object.keys(values).length) out[origin] = values;
+  }
+  return out;
+}
+
+// [origin], without duplicates
+function checkPausedSites(value) {
+  return [...new Set(value.filter(o => typeof o === 'string' && ORIGIN.test(o)))];
+}
+
+// [{ id, name, settings }], the first USER_PRESETS_MAX of them
+function checkUserPresets(value) {
+  return value
+    .filter(p => p && typeof p.id === 'string' && typeof p.name === 'string' && p.name.trim())
+    .slice(0, USER_PRESETS_MAX)
+    .map(p => ({
+      id       : p.id,
+      name     : p.name,
+      settings : OtterSchema.sanitize(p.settings, { settingsOnly: true }).values,
+    }));
+}
+
+// { [action]: combo } — every action present; unknown actions are dropped,
+// and a combo bound twice keeps only its first action
+function checkShortcutBindings(value) {
+  const out  = structuredClone(SETTINGS_SCHEMA.shortcutBindings.default);
+  const used = new Set();
+  for (const action of Object.keys(out)) {
+    const combo = action in value ? value[action] : out[action];
+    const ok    = typeof combo === 'string' && COMBO.test(combo) && /(^|\+)(Ctrl|Alt|Meta)\+/.test(combo);
+    out[action] = ok && !used.has(combo) ? combo : '';
+    used.add(out[action]);
+  }
+  return out;
+}
+
+// { [pageKey]: { index, total, snippet, savedAt } }
+function checkReadingPositions(value) {
+  const out = {};
+  for (const [pageKey, p] of Object.entries(value)) {
+    if (!p || !Number.isInteger(p.index) || !Number.isInteger(p.total) || p.index < 0 ||
+        typeof p.snippet !== 'string' || !Number.isFinite(p.savedAt)) continue;
+    out[pageKey] = p;
+  }
+  return out;
+}
+
+// { [origin]: [selector] } — bad origins, bad selectors and empty lists are dropped
+function checkHiddenElements(value) {
+  const out = {};
+  for (const [origin, list] of Object.entries(value)) {
+    if (!ORIGIN.test(origin) || !Array.isArray(list)) continue;
+    const selectors = [...new Set(list.filter(s => typeof s === 'string' && SELECTOR.test(s) && s.trim()))];
+    if (selectors.length) out[origin] = selectors;
+  }
+  return out;
+}
+
+// The running focus session, or {} when there is none:
+// { phase, round, endsAt, workMinutes, breakMinutes, before, beforeSites, applied },
+// where `applied` holds what the session's preset wrote, `before` the global
+// values it replaced and `beforeSites` those it replaced in site profiles
+function checkFocusSession(value) {
+  if (!['work', 'break'].includes(value.phase) || !Number.isInteger(value.round) || value.round < 1 ||
+      !Number.isFinite(value.endsAt) || !Number.isFinite(value.workMinutes) ||
+      !Number.isFinite(value.breakMinutes)) return {};
+  return {
+    phase        : value.phase,
+    round        : value.round,
+    endsAt       : value.endsAt,
+    workMinutes  : value.workMinutes,
+    breakMinutes : value.breakMinutes,
+    before       : OtterSchema.sanitize(value.before || {}, { settingsOnly: true }).values,
+    beforeSites  : checkSiteOverrides(value.beforeSites || {}),
+    applied      : OtterSchema.sanitize(value.applied || {}, { settingsOnly: true }).values,
+  };
+}
+
+// { [day]: { sessions, minutes } } — bad dates and counts are dropped
+function checkFocusHistory(value) {
+  const out = {};
+  for (const [day, d] of Object.entries(value)) {
+    if (!DAY.test(day) || !d || !Number.isInteger(d.sessions) || d.sessions < 1 ||
+        !Number.isFinite(d.minutes) || d.minutes < 0) continue;
+    out[day] = { sessions: d.sessions, minutes: d.minutes };
+  }
+  return out;
+}
+
+const OtterSchema = {
+
+  VERSION     : SETTINGS_SCHEMA_VERSION,
+  VERSION_KEY : SCHEMA_VERSION_KEY,
+  PRESETS_MAX : USER_PRESETS_MAX,
+
+  // Keys a user sets (everything but the internal ones)
+  settingKeys() {
+    return Object.keys(SETTINGS_SCHEMA).filter(key => !SETTINGS_SCHEMA[key].internal);
+  },
+
+  // Fresh copy of the defaults, for `keys` or for every key
+  defaults(keys = Object.keys(SETTINGS_SCHEMA)) {
+    const out = {};
+    for (const key of keys) {
+      if (key in SETTINGS_SCHEMA) out[key] = structuredClone(SETTINGS_SCHEMA[key].default);
+    }
+    return out;
+  },
+
+  // Returns { value } — clamped or repaired where possible — or { error }
+  validate(key, value) {
+    const spec = SETTINGS_SCHEMA[key];
+    if (!spec) return { error: `unknown setting "${key}"` };
+
+    const ok = spec.type === 'array'  ? Array.isArray(value)
+             : spec.type === 'object' ? !!value && typeof value === 'object' && !Array.isArray(value)
+             : spec.type === 'number' ? Number.isFinite(value)
+             : typeof value === spec.type;
+    if (!ok) return { error: `"${key}" must be a ${spec.type}` };
+
+    if (spec.oneOf && !spec.oneOf.includes(value)) {
+      return { error: `"${key}" has unsupported value "${value}"` };
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      return { error: `"${key}" is not a valid value` };
+    }
+    if (spec.min !== undefined) return { value: Math.min(spec.max, Math.max(spec.min, value)) };
+    if (spec.check)             return { value: spec.check(value) };
+    return { value };
+  },
+
+  // Splits `items` into { values, errors }. `settingsOnly` also rejects the
+  // internal keys (site profiles and presets hold settings, never plumbing),
+  // and `site` the global ones.
+  sanitize(items, { settingsOnly = false, site = false } = {}) {
+    const values = {};
+    const errors = [];
+    if (!items || typeof items !== 'object' || Array.isArray(items)) {
+      return { values, errors: ['settings must be an object'] };
+    }
+    for (const [key, raw] of Object.entries(items)) {
+      if (settingsOnly && SETTINGS_SCHEMA[key]?.internal) {
+        errors.push(`unknown setting "${key}"`);
+        continue;
+      }
+      if (site && SETTINGS_SCHEMA[key]?.global) {
+        errors.push(`"${key}" can't be set for a single site`);
+        continue;
+      }
+      const { value, error } = OtterSchema.validate(key, raw);
+      if (error) errors.push(error);
+      else values[key] = value;
+    }
+    return { values, errors };
+  },
+
+  // What a read returns: the requested keys (every key for null), each one
+  // valid — a missing or invalid stored value becomes its default
+  resolve(stored, keys = null) {
+    const out = {};
+    for (const key of keys ?? Object.keys(SETTINGS_SCHEMA)) {
+      if (!(key in SETTINGS_SCHEMA)) continue;
+      const result = key in stored ? OtterSchema.validate(key, stored[key]) : null;
+      out[key] = result && !result.error ? result.value : structuredClone(SETTINGS_SCHEMA[key].default);
+    }
+    return out;
+  },
+
+  // Brings everything in storage (`stored`) up to the current schema.
+  // Returns { set, remove }: the items to write and the keys to delete.
+  // Data from a newer version (a downgrade) is left untouched.
+  migrate(stored) {
+    const from = Number.isInteger(stored[SCHEMA_VERSION_KEY]) ? stored[SCHEMA_VERSION_KEY] : 0;
+    if (from > SETTINGS_SCHEMA_VERSION) return { set: {}, remove: [] };
+
+    const data = { ...stored };
+    for (const step of SETTINGS_MIGRATIONS) {
+      if (step.version > from) step.migrate(data);
+    }
+
+    const set    = OtterSchema.resolve(data);
+    const remove = Object.keys(stored).filter(key => !(key in set) && key !== SCHEMA_VERSION_KEY);
+    set[SCHEMA_VERSION_KEY] = SETTINGS_SCHEMA_VERSION;
+    return { set, remove };
+  },
+};
+
+// ── Expose globally (content scripts / popup, pre-bundler) ────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterSchema = OtterSchema;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterSchema, SETTINGS_SCHEMA, SETTINGS_SCHEMA_VERSION, SCHEMA_VERSION_KEY };
+}
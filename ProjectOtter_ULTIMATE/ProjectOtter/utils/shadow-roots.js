@@ -0,0 +1,129 @@
+/**
+ * Project Otter — utils/shadow-roots.js
+ *
+ * Open shadow roots for the engines that style or rewrite the whole page.
+ * A <style> in document.head never reaches inside web components, and a
+ * TreeWalker over the document never enters them, so those engines also
+ * work on every open shadow root — including roots attached later.
+ *
+ * Later roots are found two ways: hosts inserted into the document (or into
+ * a root already known) are checked by a MutationObserver, and
+ * content-scripts/shadow-hook.js, which runs in the page's own world,
+ * reports attachShadow() calls on hosts that are already connected — a
+ * custom element upgraded in place, or one attaching in connectedCallback.
+ *
+ * Styles go in through adoptedStyleSheets: one constructed sheet is shared
+ * by every root, so an insertRule() on it reaches all of them at once.
+ * Closed roots stay out of reach, as they should.
+ */
+
+const SHADOW_EVENT = '__otter-shadow-attached__';   // dispatched by shadow-hook.js
+
+const OtterShadowRoots = {
+
+  watchers : new Set(),
+  seen     : new WeakSet(),
+  observer : null,
+
+  // Every open shadow root in `root`, nested ones included, in tree order
+  all(root = document) {
+    const out   = [];
+    const visit = (node) => {
+      const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+      for (let el = walker.currentNode; el; el = walker.nextNode()) {
+        if (!el.shadowRoot) continue;
+        out.push(el.shadowRoot);
+        visit(el.shadowRoot);
+      }
+    };
+    visit(root);
+    return out;
+  },
+
+  // Calls `callback(root)` for each open shadow root that appears from now
+  // on (the caller handles the existing ones through all()). Returns a
+  // function that stops the callback.
+  watch(callback) {
+    OtterShadowRoots.watchers.add(callback);
+    if (!OtterShadowRoots.observer) OtterShadowRoots.start();
+    return () => {
+      OtterShadowRoots.watchers.delete(callback);
+      if (!OtterShadowRoots.watchers.size) OtterShadowRoots.stop();
+    };
+  },
+
+  // Adopts `sheet` into every open shadow root, present and future. Returns
+  // a function that takes it out of all of them again.
+  share(sheet) {
+    const adopt = (root) => {
+      if (!root.adoptedStyleSheets.includes(sheet)) {
+        root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+      }
+    };
+    OtterShadowRoots.all().forEach(adopt);
+    const stop = OtterShadowRoots.watch(adopt);
+
+    return () => {
+      stop();
+      for (const root of OtterShadowRoots.all()) {
+        if (root.adoptedStyleSheets.includes(sheet)) {
+          root.adoptedStyleSheets = root.adoptedStyleSheets.filter(s => s !== sheet);
+        }
+      }
+    };
+  },
+
+  // ── Discovery ──────────────────────────────────────────────────────────────
+
+  start() {
+    OtterShadowRoots.seen     = new WeakSet();
+    OtterShadowRoots.observer = new MutationObserver(OtterShadowRoots.onMutations);
+    OtterShadowRoots.observer.observe(document, { childList: true, subtree: true });
+    for (const root of OtterShadowRoots.all()) OtterShadowRoots.track(root, false);
+    document.addEventListener(SHADOW_EVENT, OtterShadowRoots.onAttached, true);
+  },
+
+  stop() {
+    OtterShadowRoots.observer?.disconnect();
+    OtterShadowRoots.observer = null;
+    document.removeEventListener(SHADOW_EVENT, OtterShadowRoots.onAttached, true);
+  },
+
+  track(root, notify) {
+    if (OtterShadowRoots.seen.has(root)) return;
+    OtterShadowRoots.seen.add(root);
+    OtterShadowRoots.observer.observe(root, { childList: true, subtree: true });
+    if (notify) [...OtterShadowRoots.watchers].forEach(callback => callback(root));
+  },
+
+  onMutations(mutations) {
+    for (const m of mutations) {
+      for (const node of m.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        for (const root of OtterShadowRoots.all(node)) OtterShadowRoots.track(root, true);
+      }
+    }
+  },
+
+  // The event is composed, so a listener on the document sees it even for
+  // hosts inside other shadow roots; composedPath() still starts at the host.
+  // Handled a microtask later: frameworks like Lit assign the new root's
+  // adoptedStyleSheets right after attaching it, which would drop ours.
+  onAttached(e) {
+    const host = e.composedPath()[0];
+    queueMicrotask(() => {
+      if (!OtterShadowRoots.observer || !host?.shadowRoot) return;
+      OtterShadowRoots.track(host.shadowRoot, true);
+    });
+  },
+};
+
+// ── Expose globally for content scripts (pre-bundler) ─────────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterShadowRoots = OtterShadowRoots;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterShadowRoots };
+}
@@ -0,0 +1,80 @@
+/**
+ * Project Otter — utils/shortcuts.js
+ *
+ * The shortcut actions and the key-combo format shared by the popup (which
+ * rebinds them) and content-scripts/shortcuts.js (which listens for them).
+ *
+ * Every action can run two ways, and both end up in the service worker's
+ * runShortcut():
+ *   - as a Chrome command (manifest.json "commands"): works from anywhere,
+ *     but Chrome gives at most four of them a default key and they can only
+ *     be rebound at chrome://extensions/shortcuts.
+ *   - as an in-page shortcut: bound in the popup and stored under
+ *     STORAGE_KEYS.SHORTCUT_BINDINGS, so there is no limit — but only while
+ *     a web page has focus.
+ *
+ * A combo is written "Ctrl+Alt+Shift+Meta+K" (modifiers in that order, only
+ * the ones held) and needs Ctrl, Alt or Meta so ordinary typing never
+ * triggers one.
+ */
+
+const SHORTCUT_MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const SHORTCUT_ACTIONS = [
+  { id: 'toggle-focus-ruler',    label: 'Focus Ruler on/off',         command: true },
+  { id: 'toggle-color-overlay',  label: 'Color overlay on/off',       command: true },
+  { id: 'toggle-dark-mode',      label: 'Dark mode on/off',           command: true },
+  { id: 'cycle-cvd-mode',        label: 'Next colorblindness filter', command: true },
+  { id: 'toggle-dyslexia-font',  label: 'Dyslexia font on/off',       command: true },
+  { id: 'read-selection',        label: 'Read selection aloud',       command: true },
+  { id: 'lookup-word',           label: 'Look up selected word',      command: true },
+  { id: 'toggle-reader-view',    label: 'Reader view on/off',         command: true },
+  { id: 'pause-speech',          label: 'Pause / resume reading',     command: true },
+  { id: 'stop-speech',           label: 'Stop reading',               command: true },
+  { id: 'toggle-text-spacing',   label: 'Text spacing on/off' },
+  { id: 'toggle-bionic-reading', label: 'Bionic Reading on/off' },
+  { id: 'toggle-syllables',      label: 'Syllables on/off' },
+  { id: 'toggle-distractions',   label: 'Distraction blocker on/off' },
+  { id: 'toggle-tts',            label: 'Text to Speech on/off' },
+];
+
+const OtterShortcuts = {
+
+  ACTIONS : SHORTCUT_ACTIONS,
+
+  // The combo for a keydown, or null while only modifiers are held or
+  // without Ctrl, Alt or Meta. Letters and digits come from e.code, so
+  // Alt/Option doesn't turn Alt+Shift+B into "Alt+Shift+∫".
+  fromEvent(e) {
+    if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'].includes(e.key)) return null;
+    if (!e.ctrlKey && !e.altKey && !e.metaKey) return null;
+
+    const key = /^Key[A-Z]$/.test(e.code)   ? e.code.slice(3)
+              : /^Digit\d$/.test(e.code)    ? e.code.slice(5)
+              : e.key.length === 1          ? e.key.toUpperCase()
+              : e.key;
+    if (!key || key === 'Unidentified' || key === 'Dead') return null;
+
+    const held = [e.ctrlKey, e.altKey, e.shiftKey, e.metaKey];
+    return [...SHORTCUT_MODIFIERS.filter((_, i) => held[i]), key].join('+');
+  },
+
+  // "Alt+Shift+B" → ['Alt', 'Shift', 'B'], for <kbd> rendering
+  parts(combo) {
+    return combo ? combo.split(/\+(?!$)/) : [];
+  },
+
+  label(id) {
+    return SHORTCUT_ACTIONS.find(a => a.id === id)?.label || id;
+  },
+};
+
+// ── Expose globally (content scripts / popup, pre-bundler) ────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterShortcuts = OtterShortcuts;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterShortcuts, SHORTCUT_ACTIONS };
+}
@@ -1,9 +1,10 @@
 /**
  * Project Otter — utils/storage-helper.js
  *
- * SINGLE SOURCE OF TRUTH for all chrome.storage.local keys.
- * Loaded FIRST in manifest.json content_scripts so every subsequent
- * content script can access window.STORAGE_KEYS and window.StorageHelper.
+ * SINGLE SOURCE OF TRUTH for all chrome.storage.local key names.
+ * Loaded right after utils/settings-schema.js in manifest.json content_scripts
+ * so every subsequent content script can access window.STORAGE_KEYS and
+ * window.StorageHelper.
  *
  * KEY NAMING — two rules:
  *   1. Keys that teammates have already started coding against (dyslexia,
@@ -11,72 +12,202 @@
  *   2. All other keys use the AccessiLens naming convention.
  *
  * Storage type: chrome.storage.LOCAL (not sync).
- * Schema style: FLAT keys (not a nested blob).
+ * Schema style: FLAT keys (not a nested blob). Types, defaults, limits and
+ * the shape of every object are defined once, in SETTINGS_SCHEMA
+ * (utils/settings-schema.js) — look them up there.
  */
 
 const STORAGE_KEYS = {
 
     // ── Focus Ruler ────────────────────────────────────────────────────────
-    RULER_ENABLED : 'focusRulerEnabled',    // boolean — default: false
-    RULER_HEIGHT  : 'rulerHeight',          // number  — default: 40 (px)
-    DIM_OPACITY   : 'dimOpacity',           // number  — default: 0.75 (float 0–1)
+    RULER_ENABLED : 'focusRulerEnabled',
+    RULER_HEIGHT  : 'rulerHeight',
+    DIM_OPACITY   : 'dimOpacity',
+    RULER_FOLLOW  : 'rulerFollow',
+    RULER_SNAP    : 'rulerSnap',
+    RULER_SHAPE   : 'rulerShape',
+    RULER_WIDTH   : 'rulerWidth',
+    RULER_STYLE        : 'rulerStyle',
+    RULER_MASK_COLOR   : 'rulerMaskColor',
+    RULER_TINT_ENABLED : 'rulerTintEnabled',
+    RULER_TINT         : 'rulerTint',
+    RULER_LINE_COLOR   : 'rulerLineColor',
+    RULER_LINE_WIDTH   : 'rulerLineWidth',
   
     // ── Color Overlay ──────────────────────────────────────────────────────
-    OVERLAY_ENABLED : 'overlayEnabled',     // boolean — default: false
-    OVERLAY_COLOR   : 'overlayColor',       // string  — default: '#ffff99' (hex)
-    OVERLAY_OPACITY : 'overlayOpacity',     // number  — default: 0.15 (float 0–1)
+    OVERLAY_ENABLED : 'overlayEnabled',
+    OVERLAY_COLOR   : 'overlayColor',
+    OVERLAY_OPACITY : 'overlayOpacity',
   
     // ── Dark Mode ──────────────────────────────────────────────────────────
-    DARK_MODE_ENABLED : 'darkModeEnabled',  // boolean — default: false
+    DARK_MODE_ENABLED : 'darkModeEnabled',
+    DARK_DIM_IMAGES   : 'darkDimImages',
+    DARK_BRIGHTNESS   : 'darkBrightness',
+    DARK_CONTRAST     : 'darkContrast',
   
     // ── Colorblindness / CVD Filter ────────────────────────────────────────
-    CVD_ENABLED : 'cvdEnabled',             // boolean — default: false
-    CVD_MODE    : 'cvdMode',               // string  — default: 'none'
-                                            //   'none'|'protanopia'|'deuteranopia'|'tritanopia'
+    CVD_ENABLED  : 'cvdEnabled',
+    CVD_MODE     : 'cvdMode',
+    CVD_METHOD   : 'cvdMethod',
+    CVD_SEVERITY : 'cvdSeverity',
   
     // ── Dyslexia (teammate zone — key name from main branch) ───────────────
-    DYSLEXIA_FONT   : 'dyslexiaFontEnabled', // boolean — default: false
-    TEXT_SCALE      : 'textScale',           // number  — default: 100 (percent, 50–200)
+    DYSLEXIA_FONT   : 'dyslexiaFontEnabled',
+    TEXT_SCALE      : 'textScale',
+
+    // ── Text Spacing (WCAG 1.4.12) ─────────────────────────────────────────
+    TEXT_SPACING      : 'textSpacingEnabled',
+    LINE_HEIGHT       : 'lineHeight',
+    LETTER_SPACING    : 'letterSpacing',
+    WORD_SPACING      : 'wordSpacing',
+    PARAGRAPH_SPACING : 'paragraphSpacing',
+    MAX_LINE_LENGTH   : 'maxLineLength',
   
     // ── Bionic Reading (teammate zone — key name from main branch) ──────────
-    BIONIC_ENABLED  : 'bionicReadingEnabled', // boolean — default: false
-                                              // NOTE: main used 'bionicReadingEnabled'
-                                              // so we match it here for teammate compatibility
+    BIONIC_ENABLED  : 'bionicReadingEnabled',
   
+    // ── Syllables ──────────────────────────────────────────────────────────
+    SYLLABLES_ENABLED   : 'syllablesEnabled',
+    SYLLABLE_STYLE      : 'syllableStyle',
+    SYLLABLE_MIN_LENGTH : 'syllableMinLength',
+
+    // ── Word lookup ────────────────────────────────────────────────────────
+    WORD_LOOKUP_ENABLED : 'wordLookupEnabled',
+
+    // ── Distraction blocker ────────────────────────────────────────────────
+    DISTRACTION_ENABLED  : 'distractionBlockEnabled',
+    DISTRACTION_ADS      : 'distractionAds',
+    DISTRACTION_STICKY   : 'distractionSticky',
+    DISTRACTION_SIDEBARS : 'distractionSidebars',
+    DISTRACTION_AUTOPLAY : 'distractionAutoplay',
+    DISTRACTION_MOTION   : 'distractionMotion',
+
+    // ── Focus sessions (global only) ───────────────────────────────────────
+    FOCUS_WORK_MINUTES  : 'focusWorkMinutes',
+    FOCUS_BREAK_MINUTES : 'focusBreakMinutes',
+    FOCUS_PRESET        : 'focusPreset',
+
     // ── Typography Engine master toggle ────────────────────────────────────
-    TYPO_ENABLED    : 'typographyEngineEnabled', // boolean — default: false
-  
+    TYPO_ENABLED    : 'typographyEngineEnabled',
+    FONT_FAMILY     : 'dyslexiaFontFamily',
+
+    // ── Text to Speech ─────────────────────────────────────────────────────
+    TTS_ENABLED     : 'ttsEnabled',
+    TTS_SPEED       : 'ttsSpeed',
+    TTS_READ_ALONG  : 'ttsReadAlong',
+    TTS_VOICE       : 'ttsVoice',
+    TTS_PITCH       : 'ttsPitch',
+    TTS_VOLUME      : 'ttsVolume',
+
+    // ── Per-site profiles ──────────────────────────────────────────────────
+    SITE_OVERRIDES  : 'siteOverrides',
+    PAUSED_SITES    : 'pausedSites',
+
+    // ── Presets ────────────────────────────────────────────────────────────
+    USER_PRESETS    : 'userPresets',
+
+    // ── Read this page ─────────────────────────────────────────────────────
+    READING_POSITIONS : 'readingPositions',
+
+    // ── Hidden elements (distraction blocker's picker) ─────────────────────
+    HIDDEN_ELEMENTS   : 'hiddenElements',
+
+    // ── Focus session timer (service worker) ───────────────────────────────
+    FOCUS_SESSION     : 'focusSession',
+    FOCUS_HISTORY     : 'focusHistory',
+
+    // ── Keyboard shortcuts ─────────────────────────────────────────────────
+    SHORTCUT_BINDINGS : 'shortcutBindings',
+
   };
+
+  // Feature switches that are forced off while Otter is paused on a site
+  const FEATURE_TOGGLES = [
+    STORAGE_KEYS.RULER_ENABLED,
+    STORAGE_KEYS.OVERLAY_ENABLED,
+    STORAGE_KEYS.DARK_MODE_ENABLED,
+    STORAGE_KEYS.CVD_ENABLED,
+    STORAGE_KEYS.DYSLEXIA_FONT,
+    STORAGE_KEYS.TEXT_SPACING,
+    STORAGE_KEYS.BIONIC_ENABLED,
+    STORAGE_KEYS.SYLLABLES_ENABLED,
+    STORAGE_KEYS.WORD_LOOKUP_ENABLED,
+    STORAGE_KEYS.DISTRACTION_ENABLED,
+    STORAGE_KEYS.TYPO_ENABLED,
+    STORAGE_KEYS.TTS_ENABLED,
+  ];
+
+  // Tools that hold attention on the page — relaxed during a focus break
+  const BREAK_TOGGLES = [
+    STORAGE_KEYS.RULER_ENABLED,
+    STORAGE_KEYS.DISTRACTION_ENABLED,
+  ];
   
+  const READING_POSITIONS_MAX = 200;
+  const HIDDEN_ELEMENTS_MAX   = 100;   // per site
+  const FOCUS_HISTORY_DAYS    = 365;
+
   // ─── StorageHelper ────────────────────────────────────────────────────────────
-  // All reads/writes go through these methods.
+  // All reads/writes go through these methods, and get()/set() check every
+  // value against OtterSchema: reads come back complete and valid (defaults
+  // for anything missing or invalid), writes drop invalid entries.
   // set() does NOT auto-broadcast via runtime.sendMessage (unlike main branch).
   // Popup sends messages directly to the active tab — no background relay needed.
+  //
+  // Per-site profiles: the flat keys are the global ("everywhere") settings.
+  // siteOverrides[origin] layers on top of them, and pausedSites switches every
+  // feature off for an origin. Content scripts read through getEffective() so
+  // they always see the merged state for the page they run in. A focus
+  // session's break switches BREAK_TOGGLES off everywhere in the same way.
   
   const StorageHelper = {
   
-    get(keys) {
-      return chrome.storage.local.get(keys);
+    // `keys`: one key, an array of keys, or null for every key
+    async get(keys) {
+      const wanted = typeof keys === 'string' ? [keys] : keys;
+      const stored = await chrome.storage.local.get(wanted);
+      return OtterSchema.resolve(stored, wanted);
     },
   
     set(items) {
-      return chrome.storage.local.set(items);
+      const { values, errors } = OtterSchema.sanitize(items);
+      if (errors.length) console.warn('[ProjectOtter] Dropped invalid settings:', errors);
+      return chrome.storage.local.set(values);
     },
   
     getAll() {
-      return chrome.storage.local.get(Object.values(STORAGE_KEYS));
+      return StorageHelper.get(Object.values(STORAGE_KEYS));
+    },
+
+    // Runs the schema migrations over everything in storage (service worker,
+    // on install and update)
+    async migrate() {
+      const { set, remove } = OtterSchema.migrate(await chrome.storage.local.get(null));
+      if (remove.length) await chrome.storage.local.remove(remove);
+      await chrome.storage.local.set(set);
+      return { set, remove };
     },
   
     getRulerSettings() {
-      return chrome.storage.local.get([
+      return StorageHelper.get([
         STORAGE_KEYS.RULER_ENABLED,
         STORAGE_KEYS.RULER_HEIGHT,
         STORAGE_KEYS.DIM_OPACITY,
+        STORAGE_KEYS.RULER_FOLLOW,
+        STORAGE_KEYS.RULER_SNAP,
+        STORAGE_KEYS.RULER_SHAPE,
+        STORAGE_KEYS.RULER_WIDTH,
+        STORAGE_KEYS.RULER_STYLE,
+        STORAGE_KEYS.RULER_MASK_COLOR,
+        STORAGE_KEYS.RULER_TINT_ENABLED,
+        STORAGE_KEYS.RULER_TINT,
+        STORAGE_KEYS.RULER_LINE_COLOR,
+        STORAGE_KEYS.RULER_LINE_WIDTH,
       ]);
     },
   
     getOverlaySettings() {
-      return chrome.storage.local.get([
+      return StorageHelper.get([
         STORAGE_KEYS.OVERLAY_ENABLED,
         STORAGE_KEYS.OVERLAY_COLOR,
         STORAGE_KEYS.OVERLAY_OPACITY,
@@ -84,21 +215,230 @@ const STORAGE_KEYS = {
     },
   
     getFilterSettings() {
-      return chrome.storage.local.get([
+      return StorageHelper.get([
         STORAGE_KEYS.DARK_MODE_ENABLED,
+        STORAGE_KEYS.DARK_DIM_IMAGES,
+        STORAGE_KEYS.DARK_BRIGHTNESS,
+        STORAGE_KEYS.DARK_CONTRAST,
         STORAGE_KEYS.CVD_ENABLED,
         STORAGE_KEYS.CVD_MODE,
+        STORAGE_KEYS.CVD_METHOD,
+        STORAGE_KEYS.CVD_SEVERITY,
       ]);
     },
   
     getDyslexiaSettings() {
-      return chrome.storage.local.get([
+      return StorageHelper.get([
         STORAGE_KEYS.DYSLEXIA_FONT,
         STORAGE_KEYS.TEXT_SCALE,
         STORAGE_KEYS.BIONIC_ENABLED,
         STORAGE_KEYS.TYPO_ENABLED,
       ]);
     },
+
+    // ── Per-site profiles ──────────────────────────────────────────────────
+
+    // Profile key for a URL. Only http(s) pages get per-site profiles;
+    // everything else (file://, chrome://, about:) follows the global state.
+    originOf(url) {
+      try {
+        const u = new URL(url);
+        return (u.protocol === 'http:' || u.protocol === 'https:') ? u.origin : null;
+      } catch (_) {
+        return null;
+      }
+    },
+
+    // Subframes use the tab's site: the last ancestor origin is the top frame's
+    currentOrigin() {
+      if (typeof location === 'undefined') return null;
+      const ancestors = location.ancestorOrigins;
+      return StorageHelper.originOf(ancestors?.length ? ancestors[ancestors.length - 1] : location.href);
+    },
+
+    // Merges global values with the origin's overrides. `stored` must include
+    // SITE_OVERRIDES, PAUSED_SITES and FOCUS_SESSION when the origin and a
+    // focus break should be honoured.
+    resolveForOrigin(stored, origin) {
+      const overrides = (origin && stored[STORAGE_KEYS.SITE_OVERRIDES]?.[origin]) || {};
+      const paused    = !!origin && (stored[STORAGE_KEYS.PAUSED_SITES] || []).includes(origin);
+      const onBreak   = stored[STORAGE_KEYS.FOCUS_SESSION]?.phase === 'break';
+
+      const state = { ...stored, ...overrides };
+      delete state[STORAGE_KEYS.SITE_OVERRIDES];
+      delete state[STORAGE_KEYS.PAUSED_SITES];
+
+      // Text scale has no switch of its own: 100% is "off"
+      if (paused) {
+        for (const key of FEATURE_TOGGLES) state[key] = false;
+        state[STORAGE_KEYS.TEXT_SCALE] = 100;
+      }
+      if (onBreak) {
+        for (const key of BREAK_TOGGLES) state[key] = false;
+      }
+      state.otterPaused = paused;
+      return state;
+    },
+
+    // Effective settings for `origin` (defaults to the calling page).
+    // Pass null for `keys` to resolve every key.
+    async getEffective(keys, origin = StorageHelper.currentOrigin()) {
+      const wanted = keys === null
+        ? null
+        : [...keys, STORAGE_KEYS.SITE_OVERRIDES, STORAGE_KEYS.PAUSED_SITES, STORAGE_KEYS.FOCUS_SESSION];
+      const stored = await StorageHelper.get(wanted);
+      return StorageHelper.resolveForOrigin(stored, origin);
+    },
+
+    async getSiteOverrides(origin) {
+      const stored = await StorageHelper.get([STORAGE_KEYS.SITE_OVERRIDES]);
+      return stored[STORAGE_KEYS.SITE_OVERRIDES]?.[origin] || {};
+    },
+
+    async setSiteOverrides(origin, items) {
+      if (!origin) return;
+      const stored = await StorageHelper.get([STORAGE_KEYS.SITE_OVERRIDES]);
+      const all    = stored[STORAGE_KEYS.SITE_OVERRIDES] || {};
+      all[origin]  = { ...(all[origin] || {}), ...items };
+      return StorageHelper.set({ [STORAGE_KEYS.SITE_OVERRIDES]: all });
+    },
+
+    // Writes `items` where they take effect for `origin`: into its site
+    // profile for keys it overrides, globally for everything else.
+    async setEffective(items, origin = StorageHelper.currentOrigin()) {
+      const overrides = origin ? await StorageHelper.getSiteOverrides(origin) : {};
+      const site = {}, global = {};
+      for (const [key, value] of Object.entries(items)) {
+        (key in overrides ? site : global)[key] = value;
+      }
+      if (Object.keys(site).length)   await StorageHelper.setSiteOverrides(origin, site);
+      if (Object.keys(global).length) await StorageHelper.set(global);
+    },
+
+    async clearSiteOverrides(origin) {
+      const stored = await StorageHelper.get([STORAGE_KEYS.SITE_OVERRIDES]);
+      const all    = stored[STORAGE_KEYS.SITE_OVERRIDES] || {};
+      delete all[origin];
+      return StorageHelper.set({ [STORAGE_KEYS.SITE_OVERRIDES]: all });
+    },
+
+    async isPaused(origin) {
+      const stored = await StorageHelper.get([STORAGE_KEYS.PAUSED_SITES]);
+      return (stored[STORAGE_KEYS.PAUSED_SITES] || []).includes(origin);
+    },
+
+    async setPaused(origin, paused) {
+      if (!origin) return;
+      const stored = await StorageHelper.get([STORAGE_KEYS.PAUSED_SITES]);
+      const list   = (stored[STORAGE_KEYS.PAUSED_SITES] || []).filter(o => o !== origin);
+      if (paused) list.push(origin);
+      return StorageHelper.set({ [STORAGE_KEYS.PAUSED_SITES]: list });
+    },
+
+    // ── Presets ────────────────────────────────────────────────────────────
+
+    async getUserPresets() {
+      const stored = await StorageHelper.get([STORAGE_KEYS.USER_PRESETS]);
+      return stored[STORAGE_KEYS.USER_PRESETS] || [];
+    },
+
+    setUserPresets(presets) {
+      return StorageHelper.set({ [STORAGE_KEYS.USER_PRESETS]: presets });
+    },
+
+    // ── Reading positions ──────────────────────────────────────────────────
+
+    // Page identity for "continue where I stopped": the URL without its #hash
+    pageKeyOf(url) {
+      try {
+        const u = new URL(url);
+        return (u.protocol === 'http:' || u.protocol === 'https:' || u.protocol === 'file:')
+          ? `${u.protocol}//${u.host}${u.pathname}${u.search}`
+          : null;
+      } catch (_) {
+        return null;
+      }
+    },
+
+    async getReadingPosition(pageKey) {
+      const stored = await StorageHelper.get([STORAGE_KEYS.READING_POSITIONS]);
+      return stored[STORAGE_KEYS.READING_POSITIONS]?.[pageKey] || null;
+    },
+
+    // Keeps the most recent READING_POSITIONS_MAX pages so the map can't grow forever
+    async setReadingPosition(pageKey, position) {
+      if (!pageKey) return;
+      const stored = await StorageHelper.get([STORAGE_KEYS.READING_POSITIONS]);
+      const all    = stored[STORAGE_KEYS.READING_POSITIONS] || {};
+      all[pageKey] = { ...position, savedAt: Date.now() };
+
+      const keys = Object.keys(all);
+      if (keys.length > READING_POSITIONS_MAX) {
+        keys.sort((a, b) => all[a].savedAt - all[b].savedAt)
+          .slice(0, keys.length - READING_POSITIONS_MAX)
+          .forEach(k => delete all[k]);
+      }
+      return StorageHelper.set({ [STORAGE_KEYS.READING_POSITIONS]: all });
+    },
+
+    async clearReadingPosition(pageKey) {
+      const stored = await StorageHelper.get([STORAGE_KEYS.READING_POSITIONS]);
+      const all    = stored[STORAGE_KEYS.READING_POSITIONS] || {};
+      if (!(pageKey in all)) return;
+      delete all[pageKey];
+      return StorageHelper.set({ [STORAGE_KEYS.READING_POSITIONS]: all });
+    },
+
+    // ── Hidden elements ────────────────────────────────────────────────────
+
+    async getHiddenElements(origin) {
+      const stored = await StorageHelper.get([STORAGE_KEYS.HIDDEN_ELEMENTS]);
+      return stored[STORAGE_KEYS.HIDDEN_ELEMENTS]?.[origin] || [];
+    },
+
+    // Keeps the most recent HIDDEN_ELEMENTS_MAX selectors per site
+    async addHiddenElement(origin, selector) {
+      if (!origin) return;
+      const stored = await StorageHelper.get([STORAGE_KEYS.HIDDEN_ELEMENTS]);
+      const all    = stored[STORAGE_KEYS.HIDDEN_ELEMENTS] || {};
+      const list   = (all[origin] || []).filter(s => s !== selector);
+      list.push(selector);
+      all[origin] = list.slice(-HIDDEN_ELEMENTS_MAX);
+      return StorageHelper.set({ [STORAGE_KEYS.HIDDEN_ELEMENTS]: all });
+    },
+
+    async clearHiddenElements(origin) {
+      const stored = await StorageHelper.get([STORAGE_KEYS.HIDDEN_ELEMENTS]);
+      const all    = stored[STORAGE_KEYS.HIDDEN_ELEMENTS] || {};
+      if (!(origin in all)) return;
+      delete all[origin];
+      return StorageHelper.set({ [STORAGE_KEYS.HIDDEN_ELEMENTS]: all });
+    },
+
+    // ── Focus history ──────────────────────────────────────────────────────
+
+    // History key for a moment: its local calendar date, YYYY-MM-DD
+    dayOf(time = Date.now()) {
+      const d = new Date(time);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    async getFocusHistory() {
+      const stored = await StorageHelper.get([STORAGE_KEYS.FOCUS_HISTORY]);
+      return stored[STORAGE_KEYS.FOCUS_HISTORY] || {};
+    },
+
+    // Counts one finished work phase; keeps the last FOCUS_HISTORY_DAYS days
+    async addFocusSession(minutes, time = Date.now()) {
+      const all = await StorageHelper.getFocusHistory();
+      const day = StorageHelper.dayOf(time);
+      const today = all[day] || { sessions: 0, minutes: 0 };
+      all[day] = { sessions: today.sessions + 1, minutes: today.minutes + minutes };
+
+      const days = Object.keys(all).sort();
+      days.slice(0, Math.max(0, days.length - FOCUS_HISTORY_DAYS)).forEach(d => delete all[d]);
+      return StorageHelper.set({ [STORAGE_KEYS.FOCUS_HISTORY]: all });
+    },
   };
   
   // ── Expose globally for content scripts (pre-bundler) ─────────────────────────
@@ -109,5 +449,5 @@ const STORAGE_KEYS = {
   
   // ── Support module imports for post-bundler usage ─────────────────────────────
   if (typeof module !== 'undefined') {
-    module.exports = { STORAGE_KEYS, StorageHelper };
+    module.exports = { STORAGE_KEYS, FEATURE_TOGGLES, StorageHelper };
   }
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Project Otter — utils/text-wrappers.js
+ *
+ * Rewritten copies of page text, for the engines that restyle words inside
+ * text nodes (bionic-reading.js, syllables.js).
+ *
+ * The page's own Text node never leaves its parent. React, Vue and Angular
+ * keep references to the text nodes they render and later call
+ * removeChild() or insertBefore() with them; a node that was swapped out
+ * makes those calls throw and the app unmounts. So the rewritten copy goes
+ * into a <span> inserted just before the node, and the node itself is only
+ * emptied. The framework can still update, move or remove it:
+ *   - new text in the node is rendered into the span, and the node emptied again
+ *   - when the node is removed or moved, the span goes and the text comes back
+ *   - what the page inserts before the node goes before the span too
+ *   - when the span is removed (the page cleared its parent), the text comes back
+ * restoreAll() puts every node's text back and takes the spans out.
+ */
+
+const OtterTextWrappers = {
+
+  // A set of wrappers marked with `attr`. `render(wrapper, text)` fills a
+  // wrapper with the rewritten copy of `text`.
+  create(attr, render) {
+    const pairs     = new Map();   // wrapper span → { node, text }
+    const wrapperOf = new Map();   // page Text node → wrapper span
+
+    // Only the latest text of each node matters, so a node that changed
+    // several times in one batch is rendered once
+    function sync(mutations) {
+      const changed = new Set();
+      for (const m of mutations) {
+        if (m.type === 'characterData') {
+          changed.add(m.target);
+          continue;
+        }
+        m.removedNodes.forEach(forget);
+        if (m.addedNodes.length) follow(m.nextSibling);
+      }
+      for (const node of changed) {
+        const wrapper = wrapperOf.get(node);
+        if (!wrapper) continue;
+        pairs.get(wrapper).text = node.data;
+        render(wrapper, node.data);
+        node.data = '';
+      }
+    }
+
+    // insertBefore(x, node) lands x between the span and the node
+    function follow(node) {
+      const wrapper = wrapperOf.get(node);
+      if (wrapper && node.previousSibling !== wrapper) node.before(wrapper);
+    }
+
+    // A node taken out of the page: whatever it held goes back to plain text
+    function forget(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (wrapperOf.has(node)) restore(wrapperOf.get(node));
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        if (pairs.has(node)) restore(node);
+        else node.querySelectorAll(`[${attr}]`).forEach(restore);
+      }
+    }
+
+    // Text the page wrote while the node was out of sight wins over ours
+    function restore(wrapper) {
+      const pair = pairs.get(wrapper);
+      if (!pair) return;
+      pairs.delete(wrapper);
+      wrapperOf.delete(pair.node);
+      if (pair.node.data === '') pair.node.data = pair.text;
+      wrapper.remove();
+    }
+
+    return {
+
+      has: node => wrapperOf.has(node),
+
+      wrap(node, value = '') {
+        const wrapper = document.createElement('span');
+        wrapper.setAttribute(attr, value);
+        render(wrapper, node.data);
+        node.before(wrapper);
+        pairs.set(wrapper, { node, text: node.data });
+        wrapperOf.set(node, wrapper);
+        node.data = '';
+      },
+
+      // Renders every wrapper again, after a setting that changes the copy
+      rerenderAll() {
+        for (const [wrapper, pair] of pairs) render(wrapper, pair.text);
+      },
+
+      sync,
+      restore,
+
+      restoreAll() {
+        [...pairs.keys()].forEach(restore);
+      },
+    };
+  },
+};
+
+// ── Expose globally for content scripts (pre-bundler) ─────────────────────────
+if (typeof window !== 'undefined') {
+  window.OtterTextWrappers = OtterTextWrappers;
+}
+
+// ── Support module imports for post-bundler usage ─────────────────────────────
+if (typeof module !== 'undefined') {
+  module.exports = { OtterTextWrappers };
+}